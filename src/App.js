@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import "./galactic-quote.css";
 
 import jsPDF from "jspdf";
@@ -6,105 +6,146 @@ import autoTable from "jspdf-autotable";
 
 import logoUrl from "./assets/almav.png";
 
-/** ========= Defaults ========= */
-const APP_OWNER_NAME = "Alma Industria Creativa E.I.R.L. | Alma Quinta";
-
-const STORAGE_KEYS = {
-  SETTINGS: "alma_quote_settings_v2",
-  SERVICES: "alma_quote_services_v2",
-};
-
-const DEFAULT_SETTINGS = {
-  exchangeRate: 3.5, // 1 USD = 3.5 PEN
-  igvRate: 0.18, // 18%
-  companyName: APP_OWNER_NAME,
-  companyRuc: "",
-  companyEmail: "",
-  companyPhone: "",
-};
-
-const DEFAULT_SERVICES = [
-  {
-    id: "srv_creacion_web",
-    code: "creacion_web",
-    label: "Creación de página web",
-    suggestion:
-      "Incluye estructura, secciones, responsive, performance básico, formularios y puesta en producción.",
-    defaultHourlyCost: 60,
-  },
-  {
-    id: "srv_mantenimiento_web",
-    code: "mantenimiento_web",
-    label: "Mantenimiento de página web",
-    suggestion:
-      "Actualizaciones, backups, monitoreo, correcciones, seguridad básica, soporte mensual.",
-    defaultHourlyCost: 50,
-  },
-  {
-    id: "srv_diseno_figma",
-    code: "diseno_figma",
-    label: "Diseño UI en Figma",
-    suggestion:
-      "Wireframes + UI final, componentes, estilos, prototipo navegable y handoff a desarrollo.",
-    defaultHourlyCost: 55,
-  },
-];
-
-const safeId = () =>
-  typeof crypto !== "undefined" && crypto.randomUUID
-    ? crypto.randomUUID()
-    : String(Date.now() + Math.random());
-
-function moneyFmt(amount, currency) {
-  const locale = currency === "PEN" ? "es-PE" : "en-US";
-  return new Intl.NumberFormat(locale, {
-    style: "currency",
-    currency,
-    maximumFractionDigits: 2,
-  }).format(Number.isFinite(amount) ? amount : 0);
-}
-
-function sanitizeFilename(s) {
-  return (s || "documento")
-    .toString()
-    .trim()
-    .replace(/[\\/:*?"<>|]/g, "")
-    .replace(/\s+/g, "_")
-    .slice(0, 80);
-}
+import { addDaysISO, safeId, todayISO } from "./lib/util";
+import {
+  fromCents,
+  percentToDecimal,
+  round2,
+  roundHalfUp,
+  toPercentInput,
+} from "./lib/money";
+import { amountInWords } from "./lib/amountInWords";
+import {
+  BASE_CURRENCY,
+  DATED_RATE_CURRENCY,
+  cleanCurrency,
+  convertCurrency,
+  currencyCode,
+  currencyUses,
+  hasConfiguredRate,
+  moneyFmt,
+} from "./lib/currency";
+import {
+  cleanExchangeRate,
+  configuredCurrencyRates,
+  lockedExchangeRate,
+  mergeExchangeRates,
+  parseExchangeRateCsv,
+  parseRateNumber,
+} from "./lib/exchangeRates";
+import {
+  EMPTY_CLIENT,
+  cleanClient,
+  clientDocError,
+  isValidRuc,
+} from "./lib/clients";
+import {
+  DEFAULT_SERVICES,
+  PRICING_DEFAULT_QTY,
+  PRICING_TYPES,
+  TAX_CATEGORIES,
+  cleanServices,
+  serviceLabel,
+  serviceSuggestion,
+  slugifyCode,
+} from "./lib/services";
+import {
+  INVOICE_KINDS,
+  INVOICE_OMITTED_LINES,
+  cleanInvoice,
+  invoiceKindFor,
+  nextInvoiceNumber,
+  normalizeInvoiceSeries,
+} from "./lib/invoices";
+import {
+  APP_OWNER_NAME,
+  DEFAULT_SETTINGS,
+  ISSUER_LOGO_MAX_BYTES,
+  LANGUAGES,
+  cleanBankAccount,
+  cleanIssuer,
+  cleanLanguage,
+  cleanSettings,
+  cleanTeamRole,
+  hexToRgb,
+  issuerUses,
+  resolveIssuer,
+} from "./lib/settings";
+import {
+  flattenGroups,
+  groupRowsBySection,
+  moveItem,
+  moveRowBy,
+  moveRowTo,
+} from "./lib/sections";
+import {
+  EXPIRABLE_STATUSES,
+  MILESTONE_PRESET,
+  QUOTE_STATUSES,
+  cleanMilestone,
+  cleanSavedQuote,
+  diffQuoteRevisions,
+  expireSavedQuotes,
+  formatQuoteNumber,
+  formatRevisionNumber,
+  lastStatusChange,
+  matchesQuoteSearch,
+  quoteCounterKey,
+  quoteExpired,
+  quoteFileName,
+  revisionSnapshot,
+  withStatus,
+} from "./lib/quotes";
+import {
+  bundleRows,
+  cleanBundle,
+  cleanBundleItem,
+  cleanTemplate,
+  mergeById,
+  quoteFromTemplate,
+} from "./lib/templates";
+import { STORAGE_KEYS, readStoredEntity } from "./lib/storage";
+import {
+  CATALOG_VERSION,
+  LOCAL_ONLY_SETTINGS,
+  buildCatalogExport,
+  diffCatalogServices,
+  parseCatalogImport,
+} from "./lib/catalog";
+import {
+  computePaymentSchedule,
+  computeProfitability,
+  computeQuoteTotals,
+} from "./lib/totals";
+import { pricingQuantityText, translate } from "./lib/i18n";
 
-function toPercentInput(decimal) {
-  const n = Number(decimal);
-  if (!Number.isFinite(n)) return "";
-  return String(Math.round(n * 100 * 100) / 100); // 2 decimales
-}
+const EXCHANGE_RATES_SHOWN = 20; // filas visibles en administración
 
-function percentToDecimal(p) {
-  const n = Number(p);
-  if (!Number.isFinite(n)) return 0;
-  return n / 100;
+function downloadJson(fileName, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
 }
 
-function slugifyCode(str) {
-  return (str || "")
-    .toLowerCase()
-    .trim()
-    .replace(/[^\w\s-]/g, "")
-    .replace(/\s+/g, "_")
-    .replace(/_+/g, "_")
-    .slice(0, 40);
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
 }
 
 async function fetchAsDataURL(url) {
   try {
     const res = await fetch(url);
-    const blob = await res.blob();
-    return await new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
-      reader.readAsDataURL(blob);
-    });
+    return await blobToDataURL(await res.blob());
   } catch {
     return null;
   }
@@ -113,74 +154,301 @@ async function fetchAsDataURL(url) {
 export default function App() {
   /** ========= Admin state ========= */
   const [adminOpen, setAdminOpen] = useState(false);
+  const [showProfit, setShowProfit] = useState(false); // costo y margen, solo en pantalla
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [services, setServices] = useState(DEFAULT_SERVICES);
+  const [clients, setClients] = useState([]);
 
   /** ========= Quote meta ========= */
   const [currency, setCurrency] = useState("PEN"); // Moneda general
-  const [quote, setQuote] = useState({
+  const emptyQuote = () => ({
     clientName: "Cliente",
-    quoteNumber: "COT-001",
+    clientId: "", // vínculo al directorio de clientes
+    clientDocType: "RUC",
+    clientDocNumber: "",
+    clientAddress: "",
+    quoteNumber: "", // se reserva al guardar o generar el PDF
+    revision: 0, // 0 = original; R1, R2… al guardar como nueva revisión
     validityDays: 7,
-    date: new Date().toISOString().slice(0, 10),
+    date: todayISO(),
+    exchangeRate: null, // TC venta fijado según la fecha (null = pendiente)
+    exchangeRateDate: "", // fecha del TC registrado; "" = TC por defecto
+    currencyRates: null, // tasas fijadas de las demás monedas { EUR: 4.05 }
+    referenceCurrency: "", // conversión informativa; "" = PEN o USD
+    language: "es", // idioma del PDF para el cliente
+    issuerId: "", // perfil de emisor; "" = se asigna el predeterminado
+    discountType: "percent", // Descuento global: percent | amount
+    discountValue: 0,
+    pricesIncludeIgv: false, // true: las tarifas ya incluyen IGV
+    statusWatermark: true, // marca de agua BORRADOR / VENCIDA en el PDF
+    // null = usar los valores por defecto de administración
+    paymentConditions: null,
+    terms: null,
+    bankAccountIds: null,
+    milestones: [], // Cronograma de pagos
+    sections: [], // Fases: [{ id, name }] en orden de presentación
   });
 
+  const [quote, setQuote] = useState(emptyQuote);
+
+  // TC de la cotización: el fijado al elegir la fecha, no el de hoy
+  const exchangeRate =
+    quote.exchangeRate || Number(settings.exchangeRate) || 3.5;
+
+  // Soles por unidad de cada moneda; las que no estén fijadas usan su tasa actual
+  const ratesToPen = useMemo(
+    () => ({
+      ...configuredCurrencyRates(settings),
+      ...quote.currencyRates,
+      [BASE_CURRENCY]: 1,
+      [DATED_RATE_CURRENCY]: exchangeRate,
+    }),
+    [settings, quote.currencyRates, exchangeRate]
+  );
+
+  const formatMoney = (amount, code) =>
+    moneyFmt(amount, code, settings.currencies);
+
+  /** ========= i18n ========= */
+  const uiLang = settings.uiLanguage;
+  const docLang = quote.language;
+  const t = (key, vars) => translate(uiLang, key, vars); // interfaz
+  const td = (key, vars) => translate(docLang, key, vars); // PDF para el cliente
+  const errorText = (err) =>
+    err?.key ? t(err.key, err.vars) : err?.message || String(err);
+
+  // "1 USD = 3.75 PEN" para la moneda de la cotización y la de referencia
+  const exchangeRateText = (codes) =>
+    [...new Set(codes)]
+      .filter((code) => code !== BASE_CURRENCY)
+      .map((code) => `1 ${code} = ${ratesToPen[code]} ${BASE_CURRENCY}`)
+      .join(" · ");
+
   /** ========= Rows ========= */
   const firstServiceCode = services[0]?.code || "creacion_web";
 
-  const emptyRow = () => {
+  // Tarifa del catálogo expresada en la moneda de la cotización
+  const catalogRate = (svc, toCurrency = currency, rates = ratesToPen) =>
+    round2(
+      convertCurrency(
+        svc?.defaultHourlyCost ?? 0,
+        svc?.currency || BASE_CURRENCY,
+        toCurrency,
+        rates
+      )
+    );
+
+  const emptyRow = (sectionId = "") => {
     const svc =
       services.find((s) => s.code === firstServiceCode) || services[0];
     return {
       id: safeId(),
+      sectionId, // "" = sin sección
       serviceType: svc?.code || firstServiceCode,
       detail: "",
-      hours: 10,
-      hourlyCost: Number(svc?.defaultHourlyCost ?? 0),
+      pricingType: svc?.pricingType || "hourly",
+      hours: PRICING_DEFAULT_QTY[svc?.pricingType] ?? 10,
+      hourlyCost: catalogRate(svc),
+      discountType: "percent",
+      discountValue: 0,
+      rateOverridden: false,
+      roleId: "",
     };
   };
 
   const [rows, setRows] = useState([emptyRow()]);
 
+  /** ========= Saved quotes ========= */
+  const [savedQuotes, setSavedQuotes] = useState([]);
+  const [currentQuoteId, setCurrentQuoteId] = useState(null); // null = nueva
+  const [quoteSearch, setQuoteSearch] = useState("");
+  const [statusFilter, setStatusFilter] = useState("");
+  const [invoices, setInvoices] = useState([]);
+
+  /** ========= Bundles & templates ========= */
+  const [bundles, setBundles] = useState([]);
+  const [templates, setTemplates] = useState([]);
+
   /** ========= Load from localStorage ========= */
+  const [storageReport, setStorageReport] = useState([]);
+  const [storageLoaded, setStorageLoaded] = useState(false);
+
   useEffect(() => {
-    try {
-      const savedSettings = JSON.parse(
-        localStorage.getItem(STORAGE_KEYS.SETTINGS) || "null"
-      );
-      if (savedSettings && typeof savedSettings === "object") {
-        setSettings((prev) => ({ ...prev, ...savedSettings }));
-      }
-    } catch {}
+    const reports = [];
+    const load = (name) => {
+      const { data, report } = readStoredEntity(name);
+      if (report) reports.push(report);
+      return data;
+    };
 
-    try {
-      const savedServices = JSON.parse(
-        localStorage.getItem(STORAGE_KEYS.SERVICES) || "null"
-      );
-      if (Array.isArray(savedServices) && savedServices.length > 0) {
-        // Validación mínima
-        const cleaned = savedServices
-          .filter((s) => s && s.code && s.label)
-          .map((s) => ({
-            id: s.id || safeId(),
-            code: String(s.code),
-            label: String(s.label),
-            suggestion: String(s.suggestion || ""),
-            defaultHourlyCost: Number(s.defaultHourlyCost || 0),
-          }));
-        if (cleaned.length > 0) setServices(cleaned);
-      }
-    } catch {}
+    const savedSettings = load("SETTINGS");
+    if (savedSettings) {
+      setSettings((prev) => ({ ...prev, ...cleanSettings(savedSettings) }));
+    }
+
+    const savedServices = load("SERVICES");
+    if (savedServices?.length > 0) {
+      const cleaned = cleanServices(savedServices);
+      if (cleaned.length > 0) setServices(cleaned);
+    }
+
+    const saved = load("QUOTES");
+    if (saved) {
+      setSavedQuotes(saved.map(cleanSavedQuote).filter(Boolean));
+    }
+
+    const savedClients = load("CLIENTS");
+    if (savedClients) {
+      setClients(savedClients.map(cleanClient).filter(Boolean));
+    }
+
+    const savedInvoices = load("INVOICES");
+    if (savedInvoices) {
+      setInvoices(savedInvoices.map(cleanInvoice).filter(Boolean));
+    }
+
+    const savedBundles = load("BUNDLES");
+    if (savedBundles) {
+      setBundles(savedBundles.map(cleanBundle).filter(Boolean));
+    }
+
+    const savedTemplates = load("TEMPLATES");
+    if (savedTemplates) {
+      setTemplates(savedTemplates.map(cleanTemplate).filter(Boolean));
+    }
+
+    if (reports.length > 0) setStorageReport(reports);
+    setStorageLoaded(true);
   }, []);
 
   /** ========= Persist to localStorage ========= */
+  // No se escribe hasta terminar la carga, para no pisar lo guardado con los defaults
   useEffect(() => {
+    if (!storageLoaded) return;
     localStorage.setItem(STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
-  }, [settings]);
+  }, [storageLoaded, settings]);
 
   useEffect(() => {
+    if (!storageLoaded) return;
     localStorage.setItem(STORAGE_KEYS.SERVICES, JSON.stringify(services));
-  }, [services]);
+  }, [storageLoaded, services]);
+
+  useEffect(() => {
+    if (!storageLoaded) return;
+    localStorage.setItem(STORAGE_KEYS.QUOTES, JSON.stringify(savedQuotes));
+  }, [storageLoaded, savedQuotes]);
+
+  useEffect(() => {
+    if (!storageLoaded) return;
+    localStorage.setItem(STORAGE_KEYS.CLIENTS, JSON.stringify(clients));
+  }, [storageLoaded, clients]);
+
+  useEffect(() => {
+    if (!storageLoaded) return;
+    localStorage.setItem(STORAGE_KEYS.INVOICES, JSON.stringify(invoices));
+  }, [storageLoaded, invoices]);
+
+  useEffect(() => {
+    if (!storageLoaded) return;
+    localStorage.setItem(STORAGE_KEYS.BUNDLES, JSON.stringify(bundles));
+  }, [storageLoaded, bundles]);
+
+  useEffect(() => {
+    if (!storageLoaded) return;
+    localStorage.setItem(STORAGE_KEYS.TEMPLATES, JSON.stringify(templates));
+  }, [storageLoaded, templates]);
+
+  /** ========= Exchange rate lock ========= */
+  // Cotizaciones nuevas o guardadas antes del histórico de TC: se fija el de su fecha
+  // (solo se completa lo que falte: lo ya fijado no cambia)
+  useEffect(() => {
+    if (!storageLoaded || (quote.exchangeRate && quote.currencyRates)) return;
+    // Es automático: no es un paso del historial (deshacerlo lo volvería a fijar)
+    history.current.untracked = true;
+    setQuote((q) => {
+      const locked = lockedExchangeRate(settings, q.date);
+      return {
+        ...q,
+        ...(q.exchangeRate ? {} : locked),
+        currencyRates: q.currencyRates || locked.currencyRates,
+      };
+    });
+  }, [storageLoaded, quote.exchangeRate, quote.currencyRates, settings]);
+
+  // Las cotizaciones nuevas salen con el emisor predeterminado
+  const issuer = resolveIssuer(settings, quote.issuerId);
+  useEffect(() => {
+    if (!storageLoaded || quote.issuerId) return;
+    history.current.untracked = true;
+    setQuote((q) => ({ ...q, issuerId: issuer.id }));
+  }, [storageLoaded, quote.issuerId, issuer.id]);
+
+  // Tasas registradas hoy que difieren de las fijadas en la cotización
+  const tableExchangeRate = lockedExchangeRate(settings, quote.date);
+  const outdatedRates = quote.exchangeRate
+    ? [
+        (tableExchangeRate.exchangeRate !== quote.exchangeRate ||
+          tableExchangeRate.exchangeRateDate !== quote.exchangeRateDate) && {
+          code: DATED_RATE_CURRENCY,
+          rate: tableExchangeRate.exchangeRate,
+        },
+        ...Object.entries(quote.currencyRates || {})
+          .filter(
+            ([code, rate]) =>
+              tableExchangeRate.currencyRates[code] &&
+              tableExchangeRate.currencyRates[code] !== rate
+          )
+          .map(([code]) => ({
+            code,
+            rate: tableExchangeRate.currencyRates[code],
+          })),
+      ].filter(Boolean)
+    : [];
+
+  // La tasa de una moneda se fija la primera vez que la cotización la usa
+  function lockCurrencyRate(q, code) {
+    if (!hasConfiguredRate(code) || q.currencyRates?.[code]) return q;
+    return {
+      ...q,
+      currencyRates: { ...q.currencyRates, [code]: ratesToPen[code] },
+    };
+  }
+
+  function setReferenceCurrency(code) {
+    setQuote((q) => ({
+      ...lockCurrencyRate(q, code),
+      referenceCurrency: code,
+    }));
+  }
+
+  // Fija las tasas de la fecha y recalcula desde el catálogo las filas sin
+  // tarifa editada (como al cambiar de moneda)
+  function relockRatesFor(date) {
+    const locked = lockedExchangeRate(settings, date);
+    const rates = {
+      ...configuredCurrencyRates(settings),
+      ...locked.currencyRates,
+      [BASE_CURRENCY]: 1,
+      [DATED_RATE_CURRENCY]: locked.exchangeRate,
+    };
+    setRows((prev) =>
+      prev.map((r) => {
+        const svc = getServiceByCode(r.serviceType);
+        return r.rateOverridden || !svc
+          ? r
+          : { ...r, hourlyCost: catalogRate(svc, currency, rates) };
+      })
+    );
+    setQuote((q) => ({ ...q, date, ...locked }));
+  }
+
+  function changeQuoteDate(date) {
+    relockRatesFor(date);
+  }
+
+  function relockExchangeRate() {
+    relockRatesFor(quote.date);
+  }
 
   /** ========= Keep rows valid when services change ========= */
   useEffect(() => {
@@ -188,46 +456,204 @@ export default function App() {
     const codes = new Set(services.map((s) => s.code));
     const fallback = services[0].code;
 
+    // Sin filas afectadas se devuelve el mismo arreglo: no es un cambio del historial
     setRows((prev) =>
-      prev.map((r) =>
-        codes.has(r.serviceType) ? r : { ...r, serviceType: fallback }
-      )
+      prev.every((r) => codes.has(r.serviceType))
+        ? prev
+        : prev.map((r) =>
+            codes.has(r.serviceType) ? r : { ...r, serviceType: fallback }
+          )
     );
   }, [services]);
 
   /** ========= Computed ========= */
-  const computed = useMemo(() => {
-    const items = rows.map((r) => {
-      const hours = Number(r.hours) || 0;
-      const hourlyCost = Number(r.hourlyCost) || 0;
-      const subtotal = hours * hourlyCost;
-      return { ...r, hours, hourlyCost, subtotal };
-    });
+  const computed = useMemo(
+    () =>
+      computeQuoteTotals(rows, {
+        services,
+        currency,
+        ratesToPen,
+        discountType: quote.discountType,
+        discountValue: quote.discountValue,
+        pricesIncludeIgv: quote.pricesIncludeIgv,
+        referenceCurrency: quote.referenceCurrency,
+        igvRate: settings.igvRate,
+        roundingMode: settings.roundingMode,
+        detractionEnabled: settings.detractionEnabled,
+        detractionRate: settings.detractionRate,
+        detractionThreshold: settings.detractionThreshold,
+      }),
+    [
+      rows,
+      services,
+      currency,
+      quote.discountType,
+      quote.discountValue,
+      quote.pricesIncludeIgv,
+      quote.referenceCurrency,
+      settings.igvRate,
+      ratesToPen,
+      settings.roundingMode,
+      settings.detractionEnabled,
+      settings.detractionRate,
+      settings.detractionThreshold,
+    ]
+  );
 
-    const subtotal = items.reduce((acc, it) => acc + it.subtotal, 0);
-    const igv = subtotal * (Number(settings.igvRate) || 0);
-    const total = subtotal + igv;
-
-    // Conversión informativa
-    const rate = Number(settings.exchangeRate) || 1;
-    const otherCurrency = currency === "PEN" ? "USD" : "PEN";
-    const convert = (amount) => {
-      if (!Number.isFinite(amount)) return 0;
-      if (currency === "PEN") return amount / rate; // PEN -> USD
-      return amount * rate; // USD -> PEN
-    };
+  // Líneas del resumen y total en letras en el idioma indicado
+  const labeledLines = (lang) =>
+    computed.lines.map((line) => ({
+      ...line,
+      label: translate(lang, line.key, line.vars),
+    }));
 
-    return {
-      items,
-      subtotal,
-      igv,
-      total,
-      otherCurrency,
-      subtotalOther: convert(subtotal),
-      igvOther: convert(igv),
-      totalOther: convert(total),
+  function totalInWords(lang) {
+    const def = settings.currencies.find((c) => c.code === currency);
+    return amountInWords(
+      computed.cents.total,
+      (lang === "en" ? def?.wordsEn : def?.words) || currency,
+      lang
+    );
+  }
+
+  /** ========= Profitability (uso interno) ========= */
+  const { rows: rowProfit, ...profitability } = computeProfitability(computed, {
+    services,
+    teamRoles: settings.teamRoles,
+    currency,
+    ratesToPen,
+    minMarginPercent: settings.minMarginPercent,
+  });
+  const formatPercent = (ratio) =>
+    ratio === null ? "—" : `${(ratio * 100).toFixed(1)}%`;
+
+  /** ========= Undo / redo ========= */
+  // Instantáneas de filas, cotización, moneda, servicios y configuración.
+  // Los cambios seguidos (p. ej. al escribir) se agrupan en un solo paso.
+  const HISTORY_LIMIT = 100;
+  const HISTORY_MERGE_MS = 800;
+  const history = useRef({
+    past: [],
+    future: [],
+    current: null,
+    lastAt: 0,
+    untracked: false,
+  });
+  const [historySize, setHistorySize] = useState({ undo: 0, redo: 0 });
+  const [undoToast, setUndoToast] = useState(null);
+
+  useEffect(() => {
+    if (!storageLoaded) return;
+    const h = history.current;
+    const snapshot = { rows, quote, currency, services, settings };
+    const prev = h.current;
+
+    if (prev && Object.keys(snapshot).every((k) => snapshot[k] === prev[k])) {
+      return;
+    }
+    h.current = snapshot;
+    // La instantánea inicial no consume la marca: los efectos de carga
+    // (TC, emisor) llegan en el render siguiente
+    if (!prev) return;
+    if (h.untracked) {
+      h.untracked = false;
+      return;
+    }
+
+    const now = Date.now();
+    if (now - h.lastAt > HISTORY_MERGE_MS) {
+      h.past = [...h.past, prev].slice(-HISTORY_LIMIT);
+      // El aviso solo deshace su propia acción (los cambios agrupados en su paso lo conservan)
+      setUndoToast((toast) => (toast && toast.entry !== prev ? null : toast));
+    }
+    h.lastAt = now;
+    h.future = [];
+    setHistorySize({ undo: h.past.length, redo: 0 });
+  }, [storageLoaded, rows, quote, currency, services, settings]);
+
+  // Los correlativos ya reservados no se deshacen, ni el N° asignado
+  function restoreSnapshot(snapshot) {
+    const h = history.current;
+    h.untracked = true;
+    h.lastAt = 0;
+    setRows(snapshot.rows);
+    setQuote((q) =>
+      snapshot.quote.quoteNumber || !q.quoteNumber
+        ? snapshot.quote
+        : { ...snapshot.quote, quoteNumber: q.quoteNumber }
+    );
+    setCurrency(snapshot.currency);
+    setServices(snapshot.services);
+    setSettings((s) => ({
+      ...snapshot.settings,
+      quoteCounters: s.quoteCounters,
+      invoiceCounters: s.invoiceCounters,
+    }));
+    setHistorySize({ undo: h.past.length, redo: h.future.length });
+    setUndoToast(null);
+  }
+
+  function undo() {
+    const h = history.current;
+    if (h.past.length === 0) return;
+    const snapshot = h.past[h.past.length - 1];
+    h.past = h.past.slice(0, -1);
+    h.future = [h.current, ...h.future];
+    restoreSnapshot(snapshot);
+  }
+
+  function redo() {
+    const h = history.current;
+    if (h.future.length === 0) return;
+    const [snapshot, ...rest] = h.future;
+    h.past = [...h.past, h.current];
+    h.future = rest;
+    restoreSnapshot(snapshot);
+  }
+
+  // Antes de una acción destructiva: paso propio en el historial + aviso
+  // ligado a ese paso (entry = estado previo a la acción)
+  function markUndoable(message) {
+    const h = history.current;
+    h.lastAt = 0;
+    setUndoToast({ id: safeId(), message, entry: h.current });
+  }
+
+  function undoToastAction() {
+    const h = history.current;
+    if (undoToast && h.past[h.past.length - 1] === undoToast.entry) undo();
+    else setUndoToast(null);
+  }
+
+  useEffect(() => {
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
+
+  const historyActions = useRef({ undo, redo });
+  historyActions.current = { undo, redo };
+
+  // Ctrl+Z deshace, Ctrl+Shift+Z rehace (Cmd en macOS)
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      // En campos de texto se respeta el deshacer nativo del navegador
+      const el = e.target;
+      if (
+        el &&
+        (el.isContentEditable ||
+          ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName))
+      ) {
+        return;
+      }
+      e.preventDefault();
+      if (e.shiftKey) historyActions.current.redo();
+      else historyActions.current.undo();
     };
-  }, [rows, currency, settings.igvRate, settings.exchangeRate]);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
 
   /** ========= Helpers ========= */
   function getServiceByCode(code) {
@@ -239,17 +665,160 @@ export default function App() {
   }
 
   function removeRow(id) {
+    const row = rows.find((r) => r.id === id);
+    if (!row) return;
+    markUndoable(
+      t("toast.rowRemoved", {
+        name: getServiceByCode(row.serviceType)?.label || row.serviceType,
+      })
+    );
     setRows((prev) => prev.filter((r) => r.id !== id));
   }
 
-  function addRow() {
-    setRows((prev) => [...prev, emptyRow()]);
+  // Por defecto al final de la última sección
+  function addRow(
+    sectionId = quote.sections[quote.sections.length - 1]?.id || ""
+  ) {
+    const row = emptyRow(sectionId);
+    setRows((prev) =>
+      moveRowTo([...prev, row], quote.sections, row.id, { sectionId })
+    );
+  }
+
+  /** ========= Sections & reordering ========= */
+  const rowGroups = useMemo(
+    () =>
+      groupRowsBySection(computed.items, quote.sections).map((g) => ({
+        ...g,
+        subtotal: fromCents(
+          g.rows.reduce((acc, it) => acc + roundHalfUp(it.subtotal * 100), 0)
+        ),
+      })),
+    [computed.items, quote.sections]
+  );
+
+  function addSection() {
+    const section = {
+      id: safeId(),
+      name: td("sections.defaultName", { n: quote.sections.length + 1 }),
+    };
+    setQuote((q) => ({ ...q, sections: [...q.sections, section] }));
+  }
+
+  function renameSection(id, name) {
+    setQuote((q) => ({
+      ...q,
+      sections: q.sections.map((sec) =>
+        sec.id === id ? { ...sec, name } : sec
+      ),
+    }));
+  }
+
+  // Sus servicios pasan a "Sin sección"
+  function removeSection(id) {
+    const section = quote.sections.find((sec) => sec.id === id);
+    if (!section) return;
+
+    markUndoable(t("toast.sectionDeleted", { name: section.name }));
+    const sections = quote.sections.filter((sec) => sec.id !== id);
+    setQuote((q) => ({ ...q, sections }));
+    setRows((prev) =>
+      flattenGroups(
+        groupRowsBySection(
+          prev.map((r) => (r.sectionId === id ? { ...r, sectionId: "" } : r)),
+          sections
+        )
+      )
+    );
+  }
+
+  function moveSection(id, toIndex) {
+    const sections = moveItem(
+      quote.sections,
+      quote.sections.findIndex((sec) => sec.id === id),
+      toIndex
+    );
+    if (sections === quote.sections) return;
+    setQuote((q) => ({ ...q, sections }));
+    setRows((prev) => flattenGroups(groupRowsBySection(prev, sections)));
+  }
+
+  // Arrastrar y soltar (HTML5) desde el asa ⋮⋮ de filas y secciones
+  const dragging = useRef(null);
+  const [dragOverId, setDragOverId] = useState(null);
+
+  function startDrag(e, type, id) {
+    dragging.current = { type, id };
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", id);
+  }
+
+  function endDrag() {
+    dragging.current = null;
+    setDragOverId(null);
+  }
+
+  function dragOver(e, targetId) {
+    if (!dragging.current) return;
+    e.preventDefault();
+    if (dragOverId !== targetId) setDragOverId(targetId);
+  }
+
+  function dropOnRow(e, row) {
+    const drag = dragging.current;
+    endDrag();
+    if (!drag) return;
+    e.preventDefault();
+
+    if (drag.type === "row") {
+      setRows((prev) =>
+        moveRowTo(prev, quote.sections, drag.id, { beforeId: row.id })
+      );
+    } else {
+      const index = quote.sections.findIndex((sec) => sec.id === row.sectionId);
+      if (index >= 0) moveSection(drag.id, index);
+    }
+  }
+
+  // Sobre el encabezado: la fila pasa al inicio de esa sección
+  function dropOnSection(e, group) {
+    const drag = dragging.current;
+    endDrag();
+    if (!drag) return;
+    e.preventDefault();
+
+    if (drag.type === "row") {
+      setRows((prev) =>
+        moveRowTo(prev, quote.sections, drag.id, {
+          beforeId: group.rows.find((r) => r.id !== drag.id)?.id ?? null,
+          sectionId: group.section?.id || "",
+        })
+      );
+    } else if (group.section) {
+      moveSection(
+        drag.id,
+        quote.sections.findIndex((sec) => sec.id === group.section.id)
+      );
+    }
+  }
+
+  function handleMoveKey(e, type, id) {
+    const direction = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    if (!direction) return;
+    e.preventDefault();
+
+    if (type === "row") {
+      setRows((prev) => moveRowBy(prev, quote.sections, id, direction));
+    } else {
+      const index = quote.sections.findIndex((sec) => sec.id === id);
+      moveSection(id, index + direction);
+    }
   }
 
   function handleServiceChange(rowId, serviceType) {
     const svc = getServiceByCode(serviceType);
-    const suggestion = svc?.suggestion || "";
-    const defaultHourlyCost = Number(svc?.defaultHourlyCost ?? 0);
+    const suggestion = serviceSuggestion(svc, docLang);
+    const defaultHourlyCost = catalogRate(svc);
 
     setRows((prev) =>
       prev.map((r) =>
@@ -259,717 +828,5243 @@ export default function App() {
               serviceType,
               detail: r.detail?.trim() ? r.detail : suggestion,
               hourlyCost: defaultHourlyCost,
+              rateOverridden: false,
+              ...pricingTypePatch(r, svc?.pricingType || "hourly"),
             }
           : r
       )
     );
   }
 
-  /** ========= Admin: Services CRUD ========= */
-  const [newService, setNewService] = useState({
-    label: "",
-    code: "",
-    suggestion: "",
-    defaultHourlyCost: 0,
-  });
-
-  function addServiceFromAdmin() {
-    const label = (newService.label || "").trim();
-    const code = (newService.code || slugifyCode(label)).trim();
-
-    if (!label) {
-      alert("Escribe el nombre del servicio.");
-      return;
-    }
-    if (!code) {
-      alert("El código del servicio está vacío.");
-      return;
-    }
-    if (services.some((s) => s.code === code)) {
-      alert("Ese código ya existe. Cambia el código para que sea único.");
-      return;
-    }
+  // Cambia el idioma del documento; los detalles sugeridos sin editar se traducen
+  function changeQuoteLanguage(language) {
+    const lang = cleanLanguage(language);
+    if (lang === docLang) return;
 
-    const svc = {
-      id: safeId(),
-      code,
-      label,
-      suggestion: String(newService.suggestion || ""),
-      defaultHourlyCost: Number(newService.defaultHourlyCost) || 0,
-    };
+    setQuote((q) => ({ ...q, language: lang }));
+    setRows((prev) =>
+      prev.map((r) => {
+        const svc = getServiceByCode(r.serviceType);
+        return svc && r.detail === serviceSuggestion(svc, docLang)
+          ? { ...r, detail: serviceSuggestion(svc, lang) }
+          : r;
+      })
+    );
+  }
 
-    setServices((prev) => [...prev, svc]);
-    setNewService({
-      label: "",
-      code: "",
-      suggestion: "",
-      defaultHourlyCost: 0,
-    });
+  // Al cambiar de tipo, la cantidad vuelve al valor inicial de ese tipo
+  function pricingTypePatch(row, pricingType) {
+    if (row.pricingType === pricingType) return {};
+    return { pricingType, hours: PRICING_DEFAULT_QTY[pricingType] };
   }
 
-  function updateService(id, patch) {
-    setServices((prev) =>
-      prev.map((s) => (s.id === id ? { ...s, ...patch } : s))
+  function changeRowPricingType(rowId, pricingType) {
+    setRows((prev) =>
+      prev.map((r) =>
+        r.id === rowId ? { ...r, ...pricingTypePatch(r, pricingType) } : r
+      )
     );
   }
 
-  function deleteService(id) {
-    const svc = services.find((s) => s.id === id);
-    if (!svc) return;
+  /** ========= Quote numbering ========= */
+  const counterKey = quoteCounterKey(settings, quote.date);
+  const lastCorrelative = Number(settings.quoteCounters?.[counterKey]) || 0;
+  const nextQuoteNumberPreview = formatQuoteNumber(
+    settings,
+    counterKey,
+    lastCorrelative + 1
+  );
 
-    if (services.length <= 1) {
-      alert("Debe existir al menos 1 servicio.");
-      return;
-    }
-    const ok = window.confirm(`¿Eliminar el servicio: "${svc.label}"?`);
-    if (!ok) return;
+  const duplicateQuoteNumber =
+    !!quote.quoteNumber.trim() &&
+    savedQuotes.some(
+      (q) =>
+        q.id !== currentQuoteId &&
+        q.quote.quoteNumber === quote.quoteNumber.trim()
+    );
 
-    setServices((prev) => prev.filter((s) => s.id !== id));
+  function reserveQuoteNumber() {
+    const taken = new Set(savedQuotes.map((q) => q.quote.quoteNumber));
+    let n = lastCorrelative + 1;
+    while (taken.has(formatQuoteNumber(settings, counterKey, n))) n++;
+
+    setSettings((s) => ({
+      ...s,
+      quoteCounters: { ...s.quoteCounters, [counterKey]: n },
+    }));
+    return formatQuoteNumber(settings, counterKey, n);
   }
 
-  /** ========= PDF: Cotización (sin horas / sin costo hora) ========= */
-  async function generatePdfCotizacion() {
-    const doc = new jsPDF({ unit: "pt", format: "a4" });
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const marginX = 40;
+  // Devuelve el N° vigente o reserva el siguiente correlativo
+  function ensureQuoteNumber() {
+    const current = quote.quoteNumber.trim();
+    if (current) return current;
 
-    // Cargar logo como DataURL
-    const logoDataUrl = await fetchAsDataURL(logoUrl);
+    const reserved = reserveQuoteNumber();
+    // La reserva no es un paso del historial: deshacer no libera el N°
+    history.current.untracked = true;
+    setQuote((q) => ({ ...q, quoteNumber: reserved }));
+    return reserved;
+  }
 
-    // Header layout
-    const headerTop = 44;
-    const logoSize = 30;
+  function setLastCorrelative(value) {
+    setSettings((s) => ({
+      ...s,
+      quoteCounters: {
+        ...s.quoteCounters,
+        [counterKey]: Math.max(0, Math.floor(Number(value) || 0)),
+      },
+    }));
+  }
 
-    if (logoDataUrl) {
-      try {
-        doc.addImage(
-          logoDataUrl,
-          "PNG",
-          marginX,
-          headerTop - 26,
-          logoSize,
-          logoSize
-        );
-      } catch {}
-    }
+  function resetCorrelative() {
+    const scope =
+      counterKey === "global"
+        ? t("dialog.scopeSeries")
+        : t("dialog.scopeYear", { year: counterKey });
+    const ok = window.confirm(t("dialog.resetCorrelative", { scope }));
+    if (!ok) return;
+    setLastCorrelative(0);
+  }
 
-    doc.setFont("helvetica", "bold");
-    doc.setFontSize(13);
-    doc.text(
-      "COTIZACIÓN DE SERVICIOS",
-      logoDataUrl ? marginX + logoSize + 10 : marginX,
-      headerTop
+  /** ========= Currency switch ========= */
+  // Convierte las tarifas de las filas y los descuentos fijos a la nueva moneda
+  function switchCurrency(next) {
+    if (next === currency) return;
+    const rate = ratesToPen;
+
+    setRows((prev) =>
+      prev.map((r) => {
+        const svc = getServiceByCode(r.serviceType);
+        let hourlyCost;
+        if (r.rateOverridden || !svc) {
+          hourlyCost = settings.keepManualRates
+            ? r.hourlyCost
+            : round2(convertCurrency(r.hourlyCost, currency, next, rate));
+        } else {
+          // Sin edición manual: se recalcula desde el catálogo (sin arrastrar redondeos)
+          hourlyCost = catalogRate(svc, next);
+        }
+
+        return {
+          ...r,
+          hourlyCost,
+          discountValue:
+            r.discountType === "amount"
+              ? round2(convertCurrency(r.discountValue, currency, next, rate))
+              : r.discountValue,
+        };
+      })
     );
 
-    doc.setFont("helvetica", "normal");
-    doc.setFontSize(10);
+    setQuote((q) => ({
+      ...lockCurrencyRate(q, next),
+      discountValue:
+        q.discountType === "amount"
+          ? round2(convertCurrency(q.discountValue, currency, next, rate))
+          : q.discountValue,
+      milestones: q.milestones.map((m) =>
+        m.type === "amount"
+          ? {
+              ...m,
+              value: round2(convertCurrency(m.value, currency, next, rate)),
+            }
+          : m
+      ),
+    }));
 
-    const companyLines = [
-      settings.companyName || APP_OWNER_NAME,
-      settings.companyRuc ? `RUC: ${settings.companyRuc}` : "",
-      [settings.companyEmail, settings.companyPhone]
-        .filter(Boolean)
-        .join(" • "),
-    ].filter(Boolean);
+    setCurrency(next);
+  }
 
-    const rightLines = [
-      `N°: ${quote.quoteNumber}`,
-      `Fecha: ${quote.date}`,
-      `Cliente: ${quote.clientName}`,
-      `Moneda: ${currency}`,
-      `TC: 1 USD = ${Number(settings.exchangeRate) || 3.5} PEN`,
-      `IGV: ${Math.round((Number(settings.igvRate) || 0) * 100)}%`,
-    ];
+  /** ========= Payment schedule ========= */
+  const paymentSchedule = useMemo(
+    () =>
+      computePaymentSchedule(quote.milestones, computed.cents.total, {
+        currency,
+        otherCurrency: computed.otherCurrency,
+        ratesToPen,
+      }),
+    [
+      quote.milestones,
+      computed.cents.total,
+      computed.otherCurrency,
+      currency,
+      ratesToPen,
+    ]
+  );
 
-    const infoY = headerTop + 18;
+  function updateMilestones(updater) {
+    setQuote((q) => ({ ...q, milestones: updater(q.milestones) }));
+  }
 
-    companyLines.forEach((line, i) => {
-      doc.text(line, marginX, infoY + i * 14);
-    });
+  function addMilestone() {
+    updateMilestones((prev) => [
+      ...prev,
+      cleanMilestone({
+        name: td("milestones.defaultName", { n: prev.length + 1 }),
+        type: "percent",
+      }),
+    ]);
+  }
 
-    const rightX = pageWidth - marginX;
-    rightLines.forEach((line, i) => {
-      doc.text(line, rightX, infoY + i * 14, { align: "right" });
+  function updateMilestone(id, patch) {
+    updateMilestones((prev) =>
+      prev.map((m) => (m.id === id ? { ...m, ...patch } : m))
+    );
+  }
+
+  function removeMilestone(id) {
+    const milestone = quote.milestones.find((m) => m.id === id);
+    if (!milestone) return;
+    markUndoable(t("toast.milestoneDeleted", { name: milestone.name }));
+    updateMilestones((prev) => prev.filter((m) => m.id !== id));
+  }
+
+  function applyMilestonePreset() {
+    if (
+      quote.milestones.length > 0 &&
+      !window.confirm(t("dialog.replaceSchedule"))
+    ) {
+      return;
+    }
+    updateMilestones(() =>
+      MILESTONE_PRESET.map(({ key, ...m }) =>
+        cleanMilestone({
+          ...m,
+          name: td(`milestonePreset.${key}.name`),
+          condition: td(`milestonePreset.${key}.condition`),
+        })
+      )
+    );
+  }
+
+  /** ========= Commercial conditions ========= */
+  const validUntil = addDaysISO(quote.date, quote.validityDays);
+  // Los valores por defecto siguen el idioma del documento (si hay versión EN)
+  const englishDefaults = docLang === "en";
+  const paymentConditions =
+    quote.paymentConditions ??
+    ((englishDefaults && settings.defaultPaymentConditionsEn) ||
+      settings.defaultPaymentConditions);
+  const terms =
+    quote.terms ??
+    ((englishDefaults && settings.defaultTermsEn) || settings.defaultTerms);
+
+  // Por defecto: todas las cuentas en la moneda de la cotización
+  const quoteBankAccounts = settings.bankAccounts.filter((a) =>
+    quote.bankAccountIds
+      ? quote.bankAccountIds.includes(a.id)
+      : a.currency === currency
+  );
+
+  function toggleQuoteBankAccount(id) {
+    setQuote((q) => {
+      const current = q.bankAccountIds ?? quoteBankAccounts.map((a) => a.id);
+      return {
+        ...q,
+        bankAccountIds: current.includes(id)
+          ? current.filter((x) => x !== id)
+          : [...current, id],
+      };
     });
+  }
 
-    // Table (SIN horas, SIN costo hora)
-    const body = computed.items.map((it) => {
-      const label = getServiceByCode(it.serviceType)?.label || it.serviceType;
-      return [label, it.detail || "", moneyFmt(it.subtotal, currency)];
+  function addBankAccount() {
+    setSettings((s) => ({
+      ...s,
+      bankAccounts: [
+        ...s.bankAccounts,
+        cleanBankAccount({ id: safeId(), currency: currency }),
+      ],
+    }));
+  }
+
+  function updateBankAccount(id, patch) {
+    setSettings((s) => ({
+      ...s,
+      bankAccounts: s.bankAccounts.map((a) =>
+        a.id === id ? { ...a, ...patch } : a
+      ),
+    }));
+  }
+
+  function deleteBankAccount(id) {
+    const account = settings.bankAccounts.find((a) => a.id === id);
+    if (!account) return;
+
+    const ok = window.confirm(
+      t("dialog.deleteAccount", {
+        bank: account.bank,
+        number: account.accountNumber,
+      })
+    );
+    if (!ok) return;
+
+    markUndoable(
+      t("toast.accountDeleted", {
+        bank: account.bank,
+        number: account.accountNumber,
+      })
+    );
+    setSettings((s) => ({
+      ...s,
+      bankAccounts: s.bankAccounts.filter((a) => a.id !== id),
+    }));
+  }
+
+  /** ========= Admin: team roles (costo interno) ========= */
+  function addTeamRole() {
+    setSettings((s) => ({
+      ...s,
+      teamRoles: [
+        ...s.teamRoles,
+        cleanTeamRole({ id: safeId(), currency: BASE_CURRENCY }),
+      ],
+    }));
+  }
+
+  function updateTeamRole(id, patch) {
+    setSettings((s) => ({
+      ...s,
+      teamRoles: s.teamRoles.map((r) => (r.id === id ? { ...r, ...patch } : r)),
+    }));
+  }
+
+  function deleteTeamRole(id) {
+    const role = settings.teamRoles.find((r) => r.id === id);
+    if (!role) return;
+
+    const name = role.name || t("common.unnamed");
+    const ok = window.confirm(t("dialog.deleteRole", { name }));
+    if (!ok) return;
+
+    markUndoable(t("toast.roleDeleted", { name }));
+    setSettings((s) => ({
+      ...s,
+      teamRoles: s.teamRoles.filter((r) => r.id !== id),
+    }));
+    setRows((prev) =>
+      prev.map((r) => (r.roleId === id ? { ...r, roleId: "" } : r))
+    );
+  }
+
+  /** ========= Admin: issuer profiles ========= */
+  const defaultIssuer = resolveIssuer(settings, "");
+
+  function addIssuer() {
+    setSettings((s) => ({
+      ...s,
+      issuers: [...s.issuers, cleanIssuer({ id: safeId() })],
+    }));
+  }
+
+  function updateIssuer(id, patch) {
+    setSettings((s) => ({
+      ...s,
+      issuers: s.issuers.map((i) => (i.id === id ? { ...i, ...patch } : i)),
+    }));
+  }
+
+  function deleteIssuer(id) {
+    const profile = settings.issuers.find((i) => i.id === id);
+    if (!profile) return;
+    if (settings.issuers.length === 1) {
+      alert(t("dialog.lastIssuer"));
+      return;
+    }
+
+    const uses = issuerUses(id, savedQuotes, invoices);
+    if (uses.quotes > 0 || uses.invoices > 0) {
+      alert(t("dialog.issuerInUse", uses));
+      return;
+    }
+
+    const name = profile.name || t("common.unnamed");
+    const ok = window.confirm(t("dialog.deleteIssuer", { name }));
+    if (!ok) return;
+
+    markUndoable(t("toast.issuerDeleted", { name }));
+    setSettings((s) => {
+      const issuers = s.issuers.filter((i) => i.id !== id);
+      return {
+        ...s,
+        issuers,
+        defaultIssuerId:
+          s.defaultIssuerId === id ? issuers[0].id : s.defaultIssuerId,
+      };
     });
+    if (quote.issuerId === id) setQuote((q) => ({ ...q, issuerId: "" }));
+  }
 
-    autoTable(doc, {
-      startY: infoY + 80,
-      head: [["Servicio", "Detalle", "Importe"]],
-      body,
-      theme: "grid",
-      styles: {
-        font: "helvetica",
-        fontSize: 9,
-        cellPadding: 6,
-        valign: "top",
-      },
-      headStyles: { fontStyle: "bold" },
-      columnStyles: {
-        0: { cellWidth: 160 },
-        1: { cellWidth: 260 },
-        2: { cellWidth: 90, halign: "right" },
+  async function handleIssuerLogo(id, e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // permite volver a elegir el mismo archivo
+    if (!file) return;
+
+    if (!/^image\/(png|jpeg)$/.test(file.type)) {
+      alert(t("dialog.logoType"));
+      return;
+    }
+    if (file.size > ISSUER_LOGO_MAX_BYTES) {
+      alert(t("dialog.logoSize", { kb: ISSUER_LOGO_MAX_BYTES / 1024 }));
+      return;
+    }
+
+    try {
+      updateIssuer(id, { logo: await blobToDataURL(file) });
+    } catch {
+      alert(t("dialog.logoRead"));
+    }
+  }
+
+  /** ========= Saved quotes: library ========= */
+  const filteredSavedQuotes = useMemo(
+    () =>
+      savedQuotes
+        .filter((q) => !statusFilter || q.status === statusFilter)
+        .filter((q) => matchesQuoteSearch(q, quoteSearch))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)),
+    [savedQuotes, quoteSearch, statusFilter]
+  );
+
+  const statusCounts = useMemo(() => {
+    const counts = {};
+    for (const q of savedQuotes) counts[q.status] = (counts[q.status] || 0) + 1;
+    return counts;
+  }, [savedQuotes]);
+
+  /** ========= Quote lifecycle ========= */
+  // Vencimiento automático: borradores y enviadas pasada su validez. Solo al
+  // cargar o al cambiar fecha/validez, para no pisar un cambio de estado manual.
+  const expiryChecked = useRef({});
+  useEffect(() => {
+    if (!storageLoaded) return;
+    const checked = expiryChecked.current;
+    const keyOf = (q) => `${q.quote.date}|${q.quote.validityDays}`;
+    const pending = new Set(
+      savedQuotes.filter((q) => checked[q.id] !== keyOf(q)).map((q) => q.id)
+    );
+    if (pending.size === 0) return;
+    for (const q of savedQuotes) checked[q.id] = keyOf(q);
+    setSavedQuotes((prev) =>
+      expireSavedQuotes(prev, todayISO(), (q) => pending.has(q.id))
+    );
+  }, [storageLoaded, savedQuotes]);
+
+  const currentSaved = savedQuotes.find((q) => q.id === currentQuoteId);
+  const quoteStatus = currentSaved?.status || "borrador";
+
+  // La marca usa la fecha en pantalla, aunque aún no se haya guardado
+  const watermarkStatus =
+    EXPIRABLE_STATUSES.includes(quoteStatus) && quoteExpired(quote)
+      ? "vencida"
+      : QUOTE_STATUSES[quoteStatus].watermark && quoteStatus;
+  const pdfWatermark =
+    quote.statusWatermark &&
+    watermarkStatus &&
+    td(`watermark.${watermarkStatus}`);
+
+  function setSavedQuoteStatus(id, status) {
+    if (!QUOTE_STATUSES[status]) return;
+    setSavedQuotes((prev) =>
+      prev.map((q) => (q.id === id ? withStatus(q, status) : q))
+    );
+  }
+
+  // Una cotización sin guardar se guarda antes de marcarla como enviada
+  function markCurrentSent() {
+    const saved = currentSaved || saveCurrentQuote();
+    if (saved) setSavedQuoteStatus(saved.id, "enviada");
+  }
+
+  // Devuelve el registro guardado, o null si se canceló
+  function saveCurrentQuote({ newRevision = false } = {}) {
+    if (duplicateQuoteNumber) {
+      const ok = window.confirm(
+        t("dialog.duplicateNumber", { number: quote.quoteNumber })
+      );
+      if (!ok) return null;
+    }
+
+    const quoteNumber = ensureQuoteNumber();
+    const now = new Date().toISOString();
+    const id = currentQuoteId || safeId();
+    const prevSaved = savedQuotes.find((q) => q.id === id);
+
+    // Nueva revisión: lo guardado pasa al historial y lo editado queda como R+1
+    const revising = newRevision && !!prevSaved;
+    const revision = revising ? prevSaved.quote.revision + 1 : quote.revision;
+
+    const record = cleanSavedQuote({
+      id,
+      // Se congelan las condiciones vigentes al guardar
+      quote: {
+        ...quote,
+        quoteNumber,
+        revision,
+        paymentConditions,
+        terms,
+        bankAccountIds: quoteBankAccounts.map((a) => a.id),
       },
+      currency,
+      rows,
+      total: computed.total,
+      revisions: revising
+        ? [...prevSaved.revisions, revisionSnapshot(prevSaved)]
+        : prevSaved?.revisions || [],
+      status: revising ? "borrador" : prevSaved?.status || "borrador",
+      statusHistory: revising
+        ? [...prevSaved.statusHistory, { status: "borrador", at: now }]
+        : prevSaved?.statusHistory || [{ status: "borrador", at: now }],
+      createdAt: prevSaved?.createdAt || now,
+      updatedAt: now,
     });
 
-    const lastY = doc.lastAutoTable?.finalY || infoY + 90;
-    const totalsY = lastY + 16;
+    setSavedQuotes((prev) =>
+      prevSaved
+        ? prev.map((q) => (q.id === id ? record : q))
+        : [...prev, record]
+    );
+    setCurrentQuoteId(id);
+    if (revising) {
+      setQuote((q) => ({ ...q, revision }));
+      setRevisionCompare({ from: null, to: null });
+    }
+    return record;
+  }
+
+  /** ========= Revisions ========= */
+  const [revisionCompare, setRevisionCompare] = useState({
+    from: null,
+    to: null,
+  });
 
-    const labelX = pageWidth - marginX - 220;
-    const valueX = pageWidth - marginX;
+  const revisionVersions = useMemo(
+    () =>
+      currentSaved
+        ? [...currentSaved.revisions, revisionSnapshot(currentSaved)]
+        : [],
+    [currentSaved]
+  );
 
-    doc.setFontSize(10);
-    doc.setFont("helvetica", "normal");
+  // Por defecto se compara la versión vigente con la anterior
+  const revisionFrom =
+    revisionVersions.find((v) => v.revision === revisionCompare.from) ||
+    revisionVersions[revisionVersions.length - 2];
+  const revisionTo =
+    revisionVersions.find((v) => v.revision === revisionCompare.to) ||
+    revisionVersions[revisionVersions.length - 1];
 
-    doc.text("Subtotal", labelX, totalsY);
-    doc.text(moneyFmt(computed.subtotal, currency), valueX, totalsY, {
-      align: "right",
-    });
+  const revisionDiff = useMemo(
+    () =>
+      revisionFrom && revisionTo
+        ? diffQuoteRevisions(revisionFrom, revisionTo, (key) =>
+            translate(uiLang, key)
+          )
+        : null,
+    [revisionFrom, revisionTo, uiLang]
+  );
 
-    doc.text(
-      `IGV (${Math.round((Number(settings.igvRate) || 0) * 100)}%)`,
-      labelX,
-      totalsY + 16
+  function revisionRowLabel(r) {
+    return [getServiceByCode(r.serviceType)?.label || r.serviceType, r.detail]
+      .filter(Boolean)
+      .join(" — ");
+  }
+
+  // Cantidad × precio como en la tabla (precio fijo: solo el precio)
+  function revisionRowAmount(r, rowCurrency) {
+    const price = formatMoney(r.hourlyCost, rowCurrency);
+    const quantity = pricingQuantityText(r, uiLang);
+    return quantity ? `${quantity} × ${price}` : price;
+  }
+
+  function saveAsRevision() {
+    if (!currentSaved) return;
+
+    const { quoteNumber, revision } = currentSaved.quote;
+    const ok = window.confirm(
+      t("dialog.saveRevision", {
+        next: formatRevisionNumber(quoteNumber, revision + 1),
+        current: formatRevisionNumber(quoteNumber, revision),
+      })
     );
-    doc.text(moneyFmt(computed.igv, currency), valueX, totalsY + 16, {
-      align: "right",
-    });
+    if (!ok) return;
 
-    doc.setFont("helvetica", "bold");
-    doc.text("TOTAL", labelX, totalsY + 36);
-    doc.text(moneyFmt(computed.total, currency), valueX, totalsY + 36, {
-      align: "right",
-    });
+    saveCurrentQuote({ newRevision: true });
+  }
 
-    doc.setFont("helvetica", "normal");
-    doc.setFontSize(9);
-    doc.text(
-      "Si requiere validar comuníquese con administración",
-      marginX,
-      totalsY + 66
+  function loadQuoteIntoEditor(saved, { asNew = false } = {}) {
+    setQuote(
+      asNew
+        ? {
+            ...saved.quote,
+            quoteNumber: "",
+            revision: 0,
+            date: todayISO(),
+            exchangeRate: null,
+            exchangeRateDate: "",
+          }
+        : saved.quote
     );
+    setCurrency(saved.currency);
+    setRows(
+      saved.rows.length > 0
+        ? saved.rows.map((r) => (asNew ? { ...r, id: safeId() } : r))
+        : [emptyRow()]
+    );
+    setCurrentQuoteId(asNew ? null : saved.id);
+    setRevisionCompare({ from: null, to: null });
+  }
+
+  function openSavedQuote(id) {
+    const saved = savedQuotes.find((q) => q.id === id);
+    if (saved) loadQuoteIntoEditor(saved);
+  }
+
+  function duplicateSavedQuote(id) {
+    const saved = savedQuotes.find((q) => q.id === id);
+    if (saved) loadQuoteIntoEditor(saved, { asNew: true });
+  }
+
+  function deleteSavedQuote(id) {
+    const saved = savedQuotes.find((q) => q.id === id);
+    if (!saved) return;
+
+    // Los comprobantes guardan el id de su cotización: no se dejan huérfanos
+    const linked = invoices.filter((inv) => inv.quoteId === id);
+    if (linked.length > 0) {
+      alert(
+        t("dialog.quoteHasInvoices", {
+          number: saved.quote.quoteNumber,
+          invoices: linked.map((inv) => inv.number).join(", "),
+        })
+      );
+      return;
+    }
 
-    const fileName = sanitizeFilename(
-      `${quote.quoteNumber}_${quote.clientName}_cotizacion`
+    const ok = window.confirm(
+      t("dialog.deleteQuote", {
+        number: saved.quote.quoteNumber,
+        client: saved.quote.clientName,
+      })
     );
-    doc.save(`${fileName}.pdf`);
+    if (!ok) return;
+
+    setSavedQuotes((prev) => prev.filter((q) => q.id !== id));
+    if (currentQuoteId === id) setCurrentQuoteId(null);
   }
 
-  return (
-    <div className="galaxy">
-      <div className="stars" />
-      <div className="nebula" />
+  /** ========= Comprobantes ========= */
+  const invoicesByQuote = useMemo(() => {
+    const map = {};
+    for (const inv of invoices) {
+      (map[inv.quoteId] = map[inv.quoteId] || []).push(inv);
+    }
+    return map;
+  }, [invoices]);
 
-      <div className="container">
-        <header className="topbar">
-          <div className="brand">
-            <img className="brandLogo" src={logoUrl} alt="Alma Quinta" />
-            <div>
-              <h1 className="title">{APP_OWNER_NAME}</h1>
-              <p className="subtitle">
-                Cotizador • Web • Mantenimiento • UI/UX
-              </p>
+  const sortedInvoices = useMemo(
+    () => [...invoices].sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    [invoices]
+  );
 
-              <button
-                className="btn ghost adminBtn"
-                type="button"
-                onClick={() => setAdminOpen((v) => !v)}
-                title="Panel de administración"
-              >
-                {adminOpen ? "Cerrar administración" : "Administración"}
-              </button>
-            </div>
-          </div>
+  function setInvoiceSeries(kind, value) {
+    setSettings((s) => ({
+      ...s,
+      invoiceSeries: { ...s.invoiceSeries, [kind]: value },
+    }));
+  }
 
-          <div className="currency-box">
-            <label className="label">Moneda general</label>
-            <div className="segmented">
-              <button
-                className={currency === "PEN" ? "seg active" : "seg"}
-                onClick={() => setCurrency("PEN")}
-                type="button"
-              >
-                Soles (PEN)
-              </button>
-              <button
-                className={currency === "USD" ? "seg active" : "seg"}
-                onClick={() => setCurrency("USD")}
-                type="button"
-              >
-                Dólares (USD)
-              </button>
-            </div>
+  function reserveInvoiceNumber(kind) {
+    const { series, n, number } = nextInvoiceNumber(settings, invoices, kind);
+    setSettings((s) => ({
+      ...s,
+      invoiceCounters: { ...s.invoiceCounters, [series]: n },
+    }));
+    return number;
+  }
 
-            <div className="fx">
-              Tipo de cambio:{" "}
-              <b>1 USD = {Number(settings.exchangeRate) || 3.5} PEN</b>
-              <br />
-              IGV:{" "}
-              <b>{Math.round((Number(settings.igvRate) || 0.18) * 100)}%</b>
-            </div>
-          </div>
-        </header>
+  // Guarda la cotización, la marca como aceptada y crea el borrador del comprobante
+  // "" = según el documento del cliente; se puede forzar boleta o factura
+  const [invoiceKind, setInvoiceKind] = useState("");
 
-        {/* ===== Admin Panel ===== */}
-        {adminOpen && (
-          <section className="card adminPanel">
-            <div className="cardHead">
-              <h2 className="h2">Panel de administración</h2>
-              <div className="pill">Guardado automático (localStorage)</div>
-            </div>
+  function generateInvoice() {
+    const kind = invoiceKind || invoiceKindFor(quote.clientDocType);
+    const docNumber = quote.clientDocNumber.trim();
 
-            <div className="adminGrid">
-              <div className="adminBlock">
-                <h3 className="h3">Configuración</h3>
+    if (
+      kind === "factura" &&
+      (quote.clientDocType !== "RUC" || !isValidRuc(docNumber))
+    ) {
+      alert(t("dialog.invoiceNeedsRuc"));
+      return;
+    }
+    if (clientDocError(quote.clientDocType, docNumber)) {
+      alert(t(clientDocError(quote.clientDocType, docNumber)));
+      return;
+    }
+    if (computed.total <= 0) {
+      alert(t("dialog.nothingToInvoice"));
+      return;
+    }
 
-                <label className="field">
-                  <span className="label">Tipo de cambio (PEN por 1 USD)</span>
-                  <input
-                    className="input"
-                    type="number"
-                    step="0.01"
-                    min="0"
-                    value={settings.exchangeRate}
-                    onChange={(e) =>
-                      setSettings((s) => ({
-                        ...s,
-                        exchangeRate: Number(e.target.value) || 0,
-                      }))
-                    }
-                  />
-                </label>
+    const previous = currentQuoteId ? invoicesByQuote[currentQuoteId] : null;
+    const ok = window.confirm(
+      [
+        t("dialog.generateInvoice", {
+          kind: INVOICE_KINDS[kind].label.toLowerCase(),
+          amount: formatMoney(computed.total, currency),
+          client: quote.clientName,
+        }),
+        previous &&
+          t("dialog.invoiceExists", {
+            numbers: previous.map((inv) => inv.number).join(", "),
+          }),
+        quoteStatus !== "aceptada" && t("dialog.invoiceAccepts"),
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+    if (!ok) return;
 
-                <label className="field">
-                  <span className="label">IGV (%)</span>
-                  <input
-                    className="input"
-                    type="number"
-                    step="0.01"
-                    min="0"
-                    value={toPercentInput(settings.igvRate)}
-                    onChange={(e) =>
-                      setSettings((s) => ({
-                        ...s,
-                        igvRate: percentToDecimal(e.target.value),
-                      }))
-                    }
-                  />
-                  <div className="hint">Por defecto: 18%</div>
-                </label>
+    const saved = saveCurrentQuote();
+    if (!saved) return;
+    setSavedQuoteStatus(saved.id, "aceptada");
 
-                <div className="divider" />
+    const record = cleanInvoice({
+      id: safeId(),
+      kind,
+      number: reserveInvoiceNumber(kind),
+      issueDate: todayISO(),
+      quoteId: saved.id,
+      issuerId: issuer.id,
+      quoteNumber: formatRevisionNumber(
+        saved.quote.quoteNumber,
+        saved.quote.revision
+      ),
+      currency,
+      client: {
+        name: quote.clientName,
+        docType: quote.clientDocType,
+        docNumber,
+        address: quote.clientAddress,
+      },
+      items: computed.items.map((it) => ({
+        service: getServiceByCode(it.serviceType)?.label || it.serviceType,
+        detail: [clientPricingNote(it, "es"), it.detail]
+          .filter(Boolean)
+          .join("\n"),
+        taxCategory: it.taxCategory,
+        amount: it.net,
+      })),
+      // Los comprobantes se emiten siempre en español; los ítems ya traen
+      // los descuentos aplicados, así que no se repiten en el resumen
+      lines: labeledLines("es").filter(
+        (line) => !INVOICE_OMITTED_LINES.includes(line.key)
+      ),
+      igvRate: settings.igvRate,
+      pricesIncludeIgv: quote.pricesIncludeIgv,
+      total: computed.total,
+      totalInWords: totalInWords("es"),
+      detraction: computed.detractionApplies ? computed.detraction : 0,
+    });
 
-                <h3 className="h3">Datos de empresa (para PDF)</h3>
+    setInvoices((prev) => [...prev, record]);
+  }
 
-                <label className="field">
-                  <span className="label">Nombre</span>
-                  <input
-                    className="input"
-                    value={settings.companyName}
-                    readOnly
-                  />
-                </label>
+  function deleteInvoice(id) {
+    const inv = invoices.find((x) => x.id === id);
+    if (!inv) return;
+
+    const ok = window.confirm(
+      t("dialog.deleteInvoice", { number: inv.number })
+    );
+    if (!ok) return;
+
+    setInvoices((prev) => prev.filter((x) => x.id !== id));
+  }
+
+  function startNewQuote() {
+    setQuote(emptyQuote());
+    setRows([emptyRow()]);
+    setCurrentQuoteId(null);
+  }
+
+  /** ========= Admin: Services CRUD ========= */
+  const [newService, setNewService] = useState({
+    label: "",
+    labelEn: "",
+    code: "",
+    suggestion: "",
+    suggestionEn: "",
+    defaultHourlyCost: 0,
+    internalCost: 0,
+    currency: "PEN",
+    taxCategory: "gravado",
+    pricingType: "hourly",
+  });
+
+  function addServiceFromAdmin() {
+    const label = (newService.label || "").trim();
+    const code = (newService.code || slugifyCode(label)).trim();
+
+    if (!label) {
+      alert(t("dialog.serviceName"));
+      return;
+    }
+    if (!code) {
+      alert(t("dialog.serviceCode"));
+      return;
+    }
+    if (services.some((s) => s.code === code)) {
+      alert(t("dialog.serviceCodeTaken"));
+      return;
+    }
+
+    const svc = {
+      id: safeId(),
+      code,
+      label,
+      labelEn: String(newService.labelEn || "").trim(),
+      suggestion: String(newService.suggestion || ""),
+      suggestionEn: String(newService.suggestionEn || ""),
+      defaultHourlyCost: Number(newService.defaultHourlyCost) || 0,
+      internalCost: Math.max(0, Number(newService.internalCost) || 0),
+      currency: currencyCode(newService.currency),
+      taxCategory: TAX_CATEGORIES[newService.taxCategory]
+        ? newService.taxCategory
+        : "gravado",
+      pricingType: PRICING_TYPES[newService.pricingType]
+        ? newService.pricingType
+        : "hourly",
+    };
+
+    setServices((prev) => [...prev, svc]);
+    setNewService({
+      label: "",
+      labelEn: "",
+      code: "",
+      suggestion: "",
+      suggestionEn: "",
+      defaultHourlyCost: 0,
+      internalCost: 0,
+      currency: "PEN",
+      taxCategory: "gravado",
+      pricingType: "hourly",
+    });
+  }
+
+  function updateService(id, patch) {
+    setServices((prev) =>
+      prev.map((s) => (s.id === id ? { ...s, ...patch } : s))
+    );
+  }
+
+  function deleteService(id) {
+    const svc = services.find((s) => s.id === id);
+    if (!svc) return;
+
+    if (services.length <= 1) {
+      alert(t("dialog.lastService"));
+      return;
+    }
+    const ok = window.confirm(t("dialog.deleteService", { name: svc.label }));
+    if (!ok) return;
+
+    markUndoable(t("toast.serviceDeleted", { name: svc.label }));
+    setServices((prev) => prev.filter((s) => s.id !== id));
+  }
+
+  /** ========= Admin: Clients CRUD ========= */
+  const [newClient, setNewClient] = useState(EMPTY_CLIENT);
+
+  function addClientFromAdmin() {
+    const name = (newClient.name || "").trim();
+    const docNumber = (newClient.docNumber || "").trim();
+
+    if (!name) {
+      alert(t("dialog.clientName"));
+      return;
+    }
+    if (!docNumber) {
+      alert(t("dialog.clientDoc", { docType: newClient.docType }));
+      return;
+    }
+    const docError = clientDocError(newClient.docType, docNumber);
+    if (docError) {
+      alert(t(docError));
+      return;
+    }
+    if (clients.some((c) => c.docNumber === docNumber)) {
+      alert(
+        t("dialog.clientExists", {
+          docType: newClient.docType,
+          number: docNumber,
+        })
+      );
+      return;
+    }
+
+    setClients((prev) => [
+      ...prev,
+      cleanClient({ ...newClient, id: safeId(), name, docNumber }),
+    ]);
+    setNewClient(EMPTY_CLIENT);
+  }
+
+  // Nombre vacío en edición: se muestra pero no se guarda (el cliente se
+  // descartaría al recargar)
+  const [clientNameDrafts, setClientNameDrafts] = useState({});
+
+  function updateClient(id, patch) {
+    if (patch.name !== undefined) {
+      const blank = !patch.name.trim();
+      setClientNameDrafts(({ [id]: _, ...d }) =>
+        blank ? { ...d, [id]: patch.name } : d
+      );
+      if (blank) return;
+    }
+    setClients((prev) =>
+      prev.map((c) => (c.id === id ? { ...c, ...patch } : c))
+    );
+  }
+
+  function deleteClient(id) {
+    const client = clients.find((c) => c.id === id);
+    if (!client) return;
+
+    const ok = window.confirm(t("dialog.deleteClient", { name: client.name }));
+    if (!ok) return;
+
+    setClients((prev) => prev.filter((c) => c.id !== id));
+  }
+
+  function pickClient(clientId) {
+    const client = clients.find((c) => c.id === clientId);
+    setQuote((q) =>
+      client
+        ? {
+            ...q,
+            clientId: client.id,
+            clientName: client.name,
+            clientDocType: client.docType,
+            clientDocNumber: client.docNumber,
+            clientAddress: client.address,
+          }
+        : {
+            ...q,
+            clientId: "",
+            clientDocNumber: "",
+            clientAddress: "",
+          }
+    );
+  }
+
+  /** ========= Admin: currencies ========= */
+  const EMPTY_CURRENCY = {
+    code: "",
+    label: "",
+    symbol: "",
+    locale: "",
+    words: "",
+    rateToPen: "",
+  };
+  const [newCurrency, setNewCurrency] = useState(EMPTY_CURRENCY);
+  // Tasas en edición: solo se guardan cuando son mayores que 0
+  const [rateDrafts, setRateDrafts] = useState({});
+
+  function addCurrency() {
+    const entry = cleanCurrency(newCurrency);
+    if (!entry) {
+      alert(t("dialog.currencyCode"));
+      return;
+    }
+    if (settings.currencies.some((c) => c.code === entry.code)) {
+      alert(t("dialog.currencyExists", { code: entry.code }));
+      return;
+    }
+    if (!(Number(newCurrency.rateToPen) > 0)) {
+      alert(t("dialog.currencyRate", { code: entry.code }));
+      return;
+    }
+    setSettings((s) => ({ ...s, currencies: [...s.currencies, entry] }));
+    setNewCurrency(EMPTY_CURRENCY);
+  }
+
+  function updateCurrency(code, patch) {
+    setSettings((s) => ({
+      ...s,
+      currencies: s.currencies.map((c) =>
+        c.code === code ? { ...c, ...patch } : c
+      ),
+    }));
+  }
+
+  function deleteCurrency(code) {
+    const inUse = currencyUses(code, {
+      currency,
+      quote,
+      services,
+      settings,
+      savedQuotes,
+      invoices,
+      templates,
+    });
+    if (inUse.length > 0) {
+      alert(
+        t("dialog.currencyInUse", {
+          code,
+          uses: inUse.map((use) => t(`currencyUse.${use}`)).join(", "),
+        })
+      );
+      return;
+    }
+
+    const ok = window.confirm(t("dialog.deleteCurrency", { code }));
+    if (!ok) return;
+
+    setSettings((s) => ({
+      ...s,
+      currencies: s.currencies.filter((c) => c.code !== code),
+    }));
+  }
+
+  /** ========= Admin: exchange rates ========= */
+  const [newRate, setNewRate] = useState({
+    date: todayISO(),
+    buy: "",
+    sell: "",
+  });
+  // Compra/venta en edición ("fecha:campo"): solo se guardan cuando son mayores que 0
+  const [exchangeRateDrafts, setExchangeRateDrafts] = useState({});
+
+  function addExchangeRate() {
+    const entry = cleanExchangeRate({
+      date: newRate.date,
+      buy: parseRateNumber(newRate.buy),
+      sell: parseRateNumber(newRate.sell),
+    });
+    if (!entry) {
+      alert(t("dialog.rateRequired"));
+      return;
+    }
+    setSettings((s) => ({
+      ...s,
+      exchangeRates: mergeExchangeRates(s.exchangeRates, [entry]),
+    }));
+    setNewRate({ date: todayISO(), buy: "", sell: "" });
+  }
+
+  function updateExchangeRate(date, patch) {
+    setSettings((s) => ({
+      ...s,
+      exchangeRates: s.exchangeRates.map((r) =>
+        r.date === date ? { ...r, ...patch } : r
+      ),
+    }));
+  }
+
+  const exchangeRateDraftInvalid = (date) =>
+    ["buy", "sell"].some((field) => {
+      const draft = exchangeRateDrafts[`${date}:${field}`];
+      return draft !== undefined && !(Number(draft) > 0);
+    });
+
+  function editExchangeRate(date, field, value) {
+    setExchangeRateDrafts((d) => ({ ...d, [`${date}:${field}`]: value }));
+    if (Number(value) > 0) updateExchangeRate(date, { [field]: Number(value) });
+  }
+
+  function deleteExchangeRate(date) {
+    const ok = window.confirm(t("dialog.deleteRate", { date }));
+    if (!ok) return;
+    setSettings((s) => ({
+      ...s,
+      exchangeRates: s.exchangeRates.filter((r) => r.date !== date),
+    }));
+  }
+
+  async function handleExchangeRateCsv(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // permite volver a elegir el mismo archivo
+    if (!file) return;
+
+    let parsed;
+    try {
+      parsed = parseExchangeRateCsv(await file.text());
+    } catch (err) {
+      alert(t("dialog.importFailed", { error: errorText(err) }));
+      return;
+    }
+
+    const known = new Set(settings.exchangeRates.map((r) => r.date));
+    const replaced = parsed.rates.filter((r) => known.has(r.date)).length;
+    const first = parsed.rates[0].date;
+    const last = parsed.rates[parsed.rates.length - 1].date;
+    const ok = window.confirm(
+      t("dialog.importRates", {
+        count: parsed.rates.length,
+        first,
+        last,
+        added: parsed.rates.length - replaced,
+        replaced,
+        skipped:
+          parsed.skipped > 0
+            ? t("dialog.importRatesSkipped", { count: parsed.skipped })
+            : "",
+      })
+    );
+    if (!ok) return;
+
+    setSettings((s) => ({
+      ...s,
+      exchangeRates: mergeExchangeRates(s.exchangeRates, parsed.rates),
+    }));
+  }
+
+  /** ========= Bundles ========= */
+  function addBundle() {
+    const name = (window.prompt(t("dialog.bundleName")) || "").trim();
+    if (!name) return;
+    setBundles((prev) => [...prev, cleanBundle({ name, items: [] })]);
+  }
+
+  // Las filas actuales (servicio, tipo, cantidad y detalle) como paquete
+  function saveRowsAsBundle() {
+    const name = (window.prompt(t("dialog.bundleName")) || "").trim();
+    if (!name) return;
+    setBundles((prev) => [...prev, cleanBundle({ name, items: rows })]);
+  }
+
+  function updateBundle(id, patch) {
+    setBundles((prev) =>
+      prev.map((b) => (b.id === id ? { ...b, ...patch } : b))
+    );
+  }
+
+  function updateBundleItem(bundleId, itemId, patch) {
+    setBundles((prev) =>
+      prev.map((b) =>
+        b.id === bundleId
+          ? {
+              ...b,
+              items: b.items.map((it) =>
+                it.id === itemId ? { ...it, ...patch } : it
+              ),
+            }
+          : b
+      )
+    );
+  }
+
+  function addBundleItem(bundleId) {
+    const svc = services[0];
+    const item = cleanBundleItem({
+      serviceType: svc?.code || firstServiceCode,
+      pricingType: svc?.pricingType,
+      hours: PRICING_DEFAULT_QTY[svc?.pricingType] ?? 10,
+    });
+    setBundles((prev) =>
+      prev.map((b) =>
+        b.id === bundleId ? { ...b, items: [...b.items, item] } : b
+      )
+    );
+  }
+
+  function removeBundleItem(bundleId, itemId) {
+    setBundles((prev) =>
+      prev.map((b) =>
+        b.id === bundleId
+          ? { ...b, items: b.items.filter((it) => it.id !== itemId) }
+          : b
+      )
+    );
+  }
+
+  function deleteBundle(id) {
+    const bundle = bundles.find((b) => b.id === id);
+    if (!bundle) return;
+
+    const ok = window.confirm(t("dialog.deleteBundle", { name: bundle.name }));
+    if (!ok) return;
+
+    setBundles((prev) => prev.filter((b) => b.id !== id));
+  }
+
+  // Agrega los servicios del paquete al final de la última sección
+  function insertBundle(id) {
+    const bundle = bundles.find((b) => b.id === id);
+    if (!bundle) return;
+
+    const sectionId = quote.sections[quote.sections.length - 1]?.id || "";
+    const { rows: newRows, missing } = bundleRows(bundle, services, {
+      newRow: () => emptyRow(sectionId),
+      rateOf: (svc) => catalogRate(svc),
+      lang: docLang,
+    });
+
+    if (missing.length > 0) {
+      alert(t("dialog.bundleMissing", { codes: missing.join(", ") }));
+    }
+    if (newRows.length === 0) return;
+
+    markUndoable(
+      t("toast.bundleInserted", { name: bundle.name, count: newRows.length })
+    );
+    setRows((prev) =>
+      flattenGroups(groupRowsBySection([...prev, ...newRows], quote.sections))
+    );
+  }
+
+  /** ========= Templates ========= */
+  function saveAsTemplate() {
+    const name = (window.prompt(t("dialog.templateName")) || "").trim();
+    if (!name) return;
+
+    const existing = templates.find(
+      (t) => t.name.toLowerCase() === name.toLowerCase()
+    );
+    if (
+      existing &&
+      !window.confirm(t("dialog.replaceTemplate", { name: existing.name }))
+    ) {
+      return;
+    }
+
+    const record = cleanTemplate({
+      id: existing?.id,
+      name,
+      quote,
+      currency,
+      rows,
+    });
+    setTemplates((prev) =>
+      existing
+        ? prev.map((t) => (t.id === existing.id ? record : t))
+        : [...prev, record]
+    );
+  }
+
+  // Cotización nueva (sin cliente ni número) con ids nuevos y tarifas del catálogo actual
+  function startFromTemplate(id) {
+    const template = templates.find((t) => t.id === id);
+    if (!template) return;
+
+    const { quote: templateQuote, rows: newRows } = quoteFromTemplate(
+      template,
+      services,
+      { rateOf: catalogRate }
+    );
+
+    markUndoable(t("toast.fromTemplate", { name: template.name }));
+    setQuote({ ...emptyQuote(), ...templateQuote });
+    setCurrency(template.currency);
+    setRows(newRows.length > 0 ? newRows : [emptyRow()]);
+    setCurrentQuoteId(null);
+    setRevisionCompare({ from: null, to: null });
+  }
+
+  function deleteTemplate(id) {
+    const template = templates.find((t) => t.id === id);
+    if (!template) return;
+
+    const ok = window.confirm(
+      t("dialog.deleteTemplate", { name: template.name })
+    );
+    if (!ok) return;
+
+    setTemplates((prev) => prev.filter((t) => t.id !== id));
+  }
+
+  /** ========= Admin: catalog export / import ========= */
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importMode, setImportMode] = useState("merge"); // merge | replace
+
+  const importPreview = useMemo(() => {
+    if (!pendingImport) return null;
+    const diff = diffCatalogServices(services, pendingImport.services);
+    const changedSettings = Object.keys(pendingImport.settings).filter(
+      (key) =>
+        JSON.stringify(pendingImport.settings[key]) !==
+        JSON.stringify(settings[key])
+    );
+
+    // Las monedas y emisores que el archivo quita pasan las mismas
+    // comprobaciones que al eliminarlos a mano
+    const replace = importMode === "replace";
+    const nextSettings = replace
+      ? { ...DEFAULT_SETTINGS, ...pendingImport.settings }
+      : { ...settings, ...pendingImport.settings };
+    const keptCodes = new Set(nextSettings.currencies.map((c) => c.code));
+    const blockedCurrencies = settings.currencies
+      .filter((c) => !keptCodes.has(c.code))
+      .map((c) => ({
+        code: c.code,
+        uses: currencyUses(c.code, {
+          currency,
+          quote,
+          services: replace
+            ? pendingImport.services
+            : [...services, ...pendingImport.services],
+          settings: nextSettings,
+          savedQuotes,
+          invoices,
+          templates:
+            replace && pendingImport.templates
+              ? pendingImport.templates
+              : [...templates, ...(pendingImport.templates || [])],
+        }),
+      }))
+      .filter((c) => c.uses.length > 0);
+    const keptIssuers = new Set(nextSettings.issuers.map((i) => i.id));
+    const blockedIssuers = settings.issuers
+      .filter((i) => !keptIssuers.has(i.id))
+      .map((i) => ({
+        ...issuerUses(i.id, savedQuotes, invoices),
+        id: i.id,
+        name: i.name,
+      }))
+      .filter((i) => i.quotes > 0 || i.invoices > 0);
+
+    return { ...diff, changedSettings, blockedCurrencies, blockedIssuers };
+  }, [
+    pendingImport,
+    importMode,
+    services,
+    settings,
+    currency,
+    quote,
+    savedQuotes,
+    invoices,
+    templates,
+  ]);
+  const importBlocked =
+    !!importPreview &&
+    (importPreview.blockedCurrencies.length > 0 ||
+      importPreview.blockedIssuers.length > 0);
+
+  function exportCatalog() {
+    downloadJson(
+      `catalogo_cotizador_${todayISO()}.json`,
+      buildCatalogExport(settings, services, bundles, templates)
+    );
+  }
+
+  async function handleCatalogFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // permite volver a elegir el mismo archivo
+    if (!file) return;
+
+    try {
+      const parsed = parseCatalogImport(await file.text());
+      setPendingImport({ ...parsed, fileName: file.name });
+    } catch (err) {
+      alert(t("dialog.importFailed", { error: errorText(err) }));
+    }
+  }
+
+  function applyCatalogImport() {
+    if (!pendingImport || importBlocked) return;
+
+    if (importMode === "replace") {
+      setServices(pendingImport.services);
+      setSettings((s) => ({
+        ...DEFAULT_SETTINGS,
+        ...pendingImport.settings,
+        ...Object.fromEntries(LOCAL_ONLY_SETTINGS.map((key) => [key, s[key]])),
+      }));
+      if (pendingImport.bundles) setBundles(pendingImport.bundles);
+      if (pendingImport.templates) setTemplates(pendingImport.templates);
+    } else {
+      setServices((prev) => {
+        const incoming = new Map(
+          pendingImport.services.map((svc) => [svc.code, svc])
+        );
+        const merged = prev.map((svc) =>
+          incoming.has(svc.code)
+            ? { ...incoming.get(svc.code), id: svc.id }
+            : svc
+        );
+        const codes = new Set(prev.map((svc) => svc.code));
+        return [
+          ...merged,
+          ...pendingImport.services.filter((svc) => !codes.has(svc.code)),
+        ];
+      });
+      setSettings((s) => ({ ...s, ...pendingImport.settings }));
+      if (pendingImport.bundles) {
+        setBundles((prev) => mergeById(prev, pendingImport.bundles));
+      }
+      if (pendingImport.templates) {
+        setTemplates((prev) => mergeById(prev, pendingImport.templates));
+      }
+    }
+
+    setPendingImport(null);
+  }
+
+  /** ========= PDF: shared layout ========= */
+  const PDF_MARGIN_X = 40;
+
+  // Datos de la cotización para la columna derecha del encabezado
+  function quotePdfInfoLines(quoteNumber, lang) {
+    const tr = (key, vars) => translate(lang, key, vars);
+    return [
+      tr("pdf.number", {
+        number: formatRevisionNumber(quoteNumber, quote.revision),
+      }),
+      tr("pdf.date", { date: quote.date }),
+      validUntil ? tr("quote.validUntil", { date: validUntil }) : "",
+      tr("pdf.client", { name: quote.clientName }),
+      quote.clientDocNumber
+        ? `${quote.clientDocType}: ${quote.clientDocNumber}`
+        : "",
+      quote.clientAddress
+        ? tr("pdf.address", { address: quote.clientAddress })
+        : "",
+      tr("pdf.currency", { currency }),
+      tr("pdf.rate", {
+        rate: exchangeRateText([currency, computed.otherCurrency]),
+      }),
+      tr(quote.pricesIncludeIgv ? "pdf.igvIncluded" : "pdf.igv", {
+        rate: Math.round((Number(settings.igvRate) || 0) * 100),
+      }),
+    ];
+  }
+
+  // Logo + título + datos de empresa/documento. Devuelve el Y donde empieza la tabla.
+  async function drawPdfHeader(doc, { title, infoLines, profile }) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const marginX = PDF_MARGIN_X;
+
+    // Logo del emisor (o el de la app) como DataURL
+    const logoDataUrl = profile.logo || (await fetchAsDataURL(logoUrl));
+
+    // Header layout: alto fijo, el ancho respeta la proporción del logo
+    const headerTop = 44;
+    const logoSize = 30;
+    let logoWidth = 0;
+
+    if (logoDataUrl) {
+      try {
+        const { width, height } = doc.getImageProperties(logoDataUrl);
+        logoWidth = Math.min(logoSize * 4, (logoSize * width) / height);
+        doc.addImage(
+          logoDataUrl,
+          "PNG",
+          marginX,
+          headerTop - 26,
+          logoWidth,
+          logoSize
+        );
+      } catch {
+        logoWidth = 0;
+      }
+    }
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(13);
+    doc.setTextColor(...hexToRgb(profile.accentColor));
+    doc.text(title, logoWidth ? marginX + logoWidth + 10 : marginX, headerTop);
+    doc.setTextColor(0, 0, 0);
+
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+
+    const companyLines = [
+      profile.name || APP_OWNER_NAME,
+      profile.ruc ? `RUC: ${profile.ruc}` : "",
+      profile.address,
+      [profile.email, profile.phone].filter(Boolean).join(" • "),
+    ].filter(Boolean);
+
+    const rightLines = infoLines
+      .filter(Boolean)
+      .flatMap((line) => doc.splitTextToSize(line, 240));
+
+    const infoY = headerTop + 18;
+
+    companyLines.forEach((line, i) => {
+      doc.text(line, marginX, infoY + i * 14);
+    });
+
+    const rightX = pageWidth - marginX;
+    rightLines.forEach((line, i) => {
+      doc.text(line, rightX, infoY + i * 14, { align: "right" });
+    });
+
+    return infoY + Math.max(companyLines.length, rightLines.length) * 14 + 10;
+  }
+
+  const PDF_TOP_Y = 50;
+  const PDF_BOTTOM_MARGIN = 40;
+
+  // Salta de página si no quedan `height` pt libres. Devuelve el Y a usar.
+  function ensurePdfSpace(doc, y, height) {
+    const pageHeight = doc.internal.pageSize.getHeight();
+    if (y + height <= pageHeight - PDF_BOTTOM_MARGIN) return y;
+    doc.addPage();
+    return PDF_TOP_Y;
+  }
+
+  // Cantidad × precio visible para el cliente (las horas no se muestran)
+  function clientPricingNote(it, lang) {
+    if (it.pricingType !== "unit" && it.pricingType !== "monthly") return "";
+    return `${pricingQuantityText(it, lang)} × ${formatMoney(it.hourlyCost, currency)}`;
+  }
+
+  // Filas del autoTable; con secciones: encabezado, ítems y subtotal por sección
+  function pdfSectionedBody(columnCount, itemRow, lang) {
+    if (quote.sections.length === 0) return computed.items.map(itemRow);
+
+    return rowGroups
+      .filter((g) => g.rows.length > 0)
+      .flatMap((g) => {
+        const name = g.section?.name || translate(lang, "services.noSection");
+        return [
+          [
+            {
+              content: name,
+              colSpan: columnCount,
+              styles: { fontStyle: "bold", fillColor: [235, 241, 250] },
+            },
+          ],
+          ...g.rows.map(itemRow),
+          [
+            {
+              content: translate(lang, "pdf.sectionSubtotal", { name }),
+              colSpan: columnCount - 1,
+              styles: { fontStyle: "bold", halign: "right" },
+            },
+            {
+              content: formatMoney(g.subtotal, currency),
+              styles: { fontStyle: "bold", halign: "right" },
+            },
+          ],
+        ];
+      });
+  }
+
+  // Marca de agua diagonal semitransparente en todas las páginas
+  function drawPdfWatermark(doc, text) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const pageCount = doc.getNumberOfPages();
+
+    for (let i = 1; i <= pageCount; i++) {
+      doc.setPage(i);
+      doc.saveGraphicsState();
+      try {
+        doc.setGState(new doc.GState({ opacity: 0.12 }));
+      } catch {}
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(96);
+      doc.setTextColor(200, 30, 30);
+      doc.text(text, pageWidth / 2, pageHeight / 2, {
+        align: "center",
+        baseline: "middle",
+        angle: 45,
+      });
+      doc.restoreGraphicsState();
+    }
+    doc.setTextColor(0, 0, 0);
+  }
+
+  // Título + párrafo que continúa en páginas nuevas si es largo
+  function drawPdfTextSection(doc, title, text, startY) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const lines = doc.splitTextToSize(
+      String(text || "").trim(),
+      pageWidth - PDF_MARGIN_X * 2
+    );
+    if (!lines.length || !lines[0]) return startY;
+
+    let y = ensurePdfSpace(doc, startY, 32);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(10);
+    doc.text(title, PDF_MARGIN_X, y);
+    y += 14;
+
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(9);
+    lines.forEach((line) => {
+      y = ensurePdfSpace(doc, y, 12);
+      doc.text(line, PDF_MARGIN_X, y);
+      y += 12;
+    });
+    return y + 12;
+  }
+
+  // Totales de la cotización en pantalla, con etiquetas en `lang`
+  const quotePdfTotals = (lang) => ({
+    lines: labeledLines(lang),
+    totalInWords: totalInWords(lang),
+    currency,
+  });
+
+  // Bloque de totales ({ label, amount, big }). Devuelve el Y final del bloque.
+  function drawPdfTotals(doc, startY, { lines, totalInWords, currency: cur }) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const labelX = pageWidth - PDF_MARGIN_X - 220;
+    const valueX = pageWidth - PDF_MARGIN_X;
+
+    doc.setFontSize(10);
+
+    let y = ensurePdfSpace(doc, startY, lines.length * 16 + 40);
+    lines.forEach((line) => {
+      y += line.big ? 20 : 16;
+      doc.setFont("helvetica", line.big ? "bold" : "normal");
+      doc.text(line.label, labelX, y);
+      doc.text(formatMoney(line.amount, cur), valueX, y, {
+        align: "right",
+      });
+
+      // Total en letras, debajo de la línea TOTAL
+      if (line.big) {
+        doc.setFont("helvetica", "normal");
+        doc.setFontSize(9);
+        const words = doc.splitTextToSize(
+          totalInWords,
+          pageWidth - PDF_MARGIN_X * 2
+        );
+        y += 14;
+        doc.text(words, valueX, y, { align: "right" });
+        y += (words.length - 1) * 11;
+        doc.setFontSize(10);
+      }
+    });
+
+    doc.setFont("helvetica", "normal");
+    return y;
+  }
+
+  /** ========= PDF: Cotización (sin horas / sin costo hora) ========= */
+  async function generatePdfCotizacion() {
+    if (!paymentSchedule.valid) {
+      const ok = window.confirm(t("dialog.scheduleMismatch"));
+      if (!ok) return;
+    }
+
+    const quoteNumber = ensureQuoteNumber();
+
+    const doc = new jsPDF({ unit: "pt", format: "a4" });
+    const tableY = await drawPdfHeader(doc, {
+      title: td("pdf.quoteTitle"),
+      infoLines: quotePdfInfoLines(quoteNumber, docLang),
+      profile: issuer,
+    });
+    const headStyles = {
+      fontStyle: "bold",
+      fillColor: hexToRgb(issuer.accentColor),
+    };
+
+    // Table (SIN horas, SIN costo hora)
+    const withDiscounts = computed.lineDiscount > 0;
+    const body = pdfSectionedBody(
+      withDiscounts ? 5 : 3,
+      (it) => {
+        const label = [
+          `${serviceLabel(getServiceByCode(it.serviceType), docLang) || it.serviceType}${
+            it.taxCategory !== "gravado"
+              ? ` (${td(`tax.${it.taxCategory}`)})`
+              : ""
+          }`,
+          clientPricingNote(it, docLang),
+        ]
+          .filter(Boolean)
+          .join("\n");
+        return withDiscounts
+          ? [
+              label,
+              it.detail || "",
+              formatMoney(it.gross, currency),
+              it.discount > 0 ? formatMoney(-it.discount, currency) : "",
+              formatMoney(it.subtotal, currency),
+            ]
+          : [label, it.detail || "", formatMoney(it.subtotal, currency)];
+      },
+      docLang
+    );
+
+    const head = ["pdf.colService", "pdf.colDetail", "pdf.colAmount"];
+    if (withDiscounts) head.push("pdf.colDiscount", "pdf.colNet");
+
+    autoTable(doc, {
+      startY: tableY,
+      head: [head.map((key) => td(key))],
+      body,
+      theme: "grid",
+      styles: {
+        font: "helvetica",
+        fontSize: 9,
+        cellPadding: 6,
+        valign: "top",
+      },
+      headStyles,
+      columnStyles: withDiscounts
+        ? {
+            0: { cellWidth: 130 },
+            1: { cellWidth: 185 },
+            2: { cellWidth: 65, halign: "right" },
+            3: { cellWidth: 65, halign: "right" },
+            4: { cellWidth: 65, halign: "right" },
+          }
+        : {
+            0: { cellWidth: 160 },
+            1: { cellWidth: 260 },
+            2: { cellWidth: 90, halign: "right" },
+          },
+    });
+
+    const totalsEndY = drawPdfTotals(
+      doc,
+      doc.lastAutoTable?.finalY || tableY + 10,
+      quotePdfTotals(docLang)
+    );
+
+    doc.setFontSize(9);
+    let notesY = ensurePdfSpace(doc, totalsEndY + 30, 36);
+
+    if (computed.detractionApplies) {
+      const pageWidth = doc.internal.pageSize.getWidth();
+      const percent = Math.round((Number(settings.detractionRate) || 0) * 100);
+      const amount = formatMoney(computed.detraction, currency);
+      const detractionLines = doc.splitTextToSize(
+        td("pdf.detraction", { percent, amount }),
+        pageWidth - PDF_MARGIN_X * 2
+      );
+      doc.text(detractionLines, PDF_MARGIN_X, notesY);
+      notesY += detractionLines.length * 12 + 16;
+    }
+
+    if (paymentSchedule.items.length > 0) {
+      notesY = ensurePdfSpace(doc, notesY, 60);
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(10);
+      doc.text(td("schedule.title"), PDF_MARGIN_X, notesY);
+
+      autoTable(doc, {
+        startY: notesY + 6,
+        head: [
+          [
+            td("schedule.colMilestone"),
+            td("schedule.colCondition"),
+            "%",
+            td("pdf.scheduleAmount", { currency }),
+            td("pdf.scheduleReference", { currency: computed.otherCurrency }),
+          ],
+        ],
+        body: paymentSchedule.items.map((m) => [
+          m.name,
+          m.condition,
+          m.type === "percent" ? `${m.value}%` : "",
+          formatMoney(m.amount, currency),
+          formatMoney(m.amountOther, computed.otherCurrency),
+        ]),
+        theme: "grid",
+        styles: { font: "helvetica", fontSize: 8, cellPadding: 4 },
+        headStyles,
+        columnStyles: {
+          2: { halign: "right" },
+          3: { halign: "right" },
+          4: { halign: "right" },
+        },
+        margin: { top: PDF_TOP_Y, bottom: PDF_BOTTOM_MARGIN },
+      });
+      notesY = (doc.lastAutoTable?.finalY || notesY) + 22;
+    }
+
+    notesY = drawPdfTextSection(
+      doc,
+      td("conditions.payment"),
+      paymentConditions,
+      notesY
+    );
+
+    if (quoteBankAccounts.length > 0) {
+      notesY = ensurePdfSpace(doc, notesY, 60);
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(10);
+      doc.text(td("pdf.banks"), PDF_MARGIN_X, notesY);
+
+      autoTable(doc, {
+        startY: notesY + 6,
+        head: [
+          [
+            td("pdf.colBank"),
+            td("pdf.colBankCurrency"),
+            td("pdf.colAccount"),
+            "CCI",
+            td("pdf.colHolder"),
+          ],
+        ],
+        body: quoteBankAccounts.map((a) => [
+          a.bank,
+          a.currency,
+          a.accountNumber,
+          a.cci,
+          a.holder,
+        ]),
+        theme: "grid",
+        styles: { font: "helvetica", fontSize: 8, cellPadding: 4 },
+        headStyles,
+        margin: { top: PDF_TOP_Y, bottom: PDF_BOTTOM_MARGIN },
+      });
+      notesY = (doc.lastAutoTable?.finalY || notesY) + 22;
+    }
+
+    drawPdfTextSection(doc, td("conditions.terms"), terms, notesY);
+
+    if (pdfWatermark) drawPdfWatermark(doc, pdfWatermark);
+
+    const fileName = quoteFileName(
+      formatRevisionNumber(quoteNumber, quote.revision),
+      quote.clientName,
+      td("pdf.fileSuffix")
+    );
+    doc.save(`${fileName}.pdf`);
+  }
+
+  /** ========= PDF: Hoja de estimación (uso interno, con horas) ========= */
+  async function generatePdfInterno() {
+    // La hoja interna no reserva correlativo: usa el número ya asignado, si lo hay
+    const quoteNumber =
+      quote.quoteNumber.trim() || translate("es", "pdf.unnumbered");
+
+    const doc = new jsPDF({ unit: "pt", format: "a4" });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+
+    const tableY = await drawPdfHeader(doc, {
+      title: "HOJA DE ESTIMACIÓN",
+      infoLines: quotePdfInfoLines(quoteNumber, "es"),
+      profile: issuer,
+    });
+
+    // Table (CON cantidades y precios unitarios)
+    const withDiscounts = computed.lineDiscount > 0;
+    const body = pdfSectionedBody(
+      withDiscounts ? 6 : 5,
+      (it) => {
+        const label = getServiceByCode(it.serviceType)?.label || it.serviceType;
+        return [
+          label,
+          it.detail || "",
+          pricingQuantityText(it) || PRICING_TYPES.fixed.label,
+          formatMoney(it.hourlyCost, currency),
+          ...(withDiscounts
+            ? [it.discount > 0 ? formatMoney(-it.discount, currency) : ""]
+            : []),
+          formatMoney(it.subtotal, currency),
+        ];
+      },
+      "es"
+    );
+
+    const tableStyles = {
+      theme: "grid",
+      styles: {
+        font: "helvetica",
+        fontSize: 9,
+        cellPadding: 6,
+        valign: "top",
+      },
+      headStyles: { fontStyle: "bold" },
+    };
+
+    autoTable(doc, {
+      ...tableStyles,
+      startY: tableY,
+      head: [
+        withDiscounts
+          ? ["Servicio", "Detalle", "Cant.", "P. unit.", "Descuento", "Neto"]
+          : ["Servicio", "Detalle", "Cant.", "P. unit.", "Subtotal"],
+      ],
+      body,
+      columnStyles: withDiscounts
+        ? {
+            0: { cellWidth: 100 },
+            1: { cellWidth: 160 },
+            2: { cellWidth: 45, halign: "right" },
+            3: { cellWidth: 65, halign: "right" },
+            4: { cellWidth: 65, halign: "right" },
+            5: { cellWidth: 75, halign: "right" },
+          }
+        : {
+            0: { cellWidth: 115 },
+            1: { cellWidth: 200 },
+            2: { cellWidth: 50, halign: "right" },
+            3: { cellWidth: 70, halign: "right" },
+            4: { cellWidth: 75, halign: "right" },
+          },
+    });
+
+    const totalsEndY = drawPdfTotals(
+      doc,
+      doc.lastAutoTable?.finalY || tableY + 10,
+      quotePdfTotals("es")
+    );
+
+    // Horas totales por servicio (solo filas con precio por hora)
+    const hoursOf = (it) => (it.pricingType === "hourly" ? it.hours : 0);
+    const byService = new Map();
+    computed.items.forEach((it) => {
+      const acc = byService.get(it.serviceType) || { hours: 0, subtotal: 0 };
+      byService.set(it.serviceType, {
+        hours: acc.hours + hoursOf(it),
+        subtotal: acc.subtotal + it.subtotal,
+      });
+    });
+    const totalHours = computed.items.reduce((acc, it) => acc + hoursOf(it), 0);
+
+    autoTable(doc, {
+      ...tableStyles,
+      startY: totalsEndY + 28,
+      head: [["Horas por servicio", "Horas", "Importe"]],
+      body: Array.from(byService, ([code, acc]) => [
+        getServiceByCode(code)?.label || code,
+        String(round2(acc.hours)),
+        formatMoney(acc.subtotal, currency),
+      ]),
+      foot: [
+        [
+          "Total horas",
+          String(round2(totalHours)),
+          formatMoney(computed.itemsNet, currency),
+        ],
+      ],
+      footStyles: { fontStyle: "bold" },
+      columnStyles: {
+        0: { cellWidth: 315 },
+        1: { cellWidth: 70, halign: "right" },
+        2: { cellWidth: 125, halign: "right" },
+      },
+    });
+
+    // Marca "USO INTERNO" en cada página
+    const pageCount = doc.getNumberOfPages();
+    for (let i = 1; i <= pageCount; i++) {
+      doc.setPage(i);
+      doc.setFont("helvetica", "bold");
+      doc.setFontSize(11);
+      doc.setTextColor(200, 30, 30);
+      doc.text("USO INTERNO", pageWidth - PDF_MARGIN_X, 30, {
+        align: "right",
+      });
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(8);
+      doc.text(
+        "Documento interno • No enviar al cliente",
+        PDF_MARGIN_X,
+        pageHeight - 20
+      );
+      doc.setTextColor(0, 0, 0);
+    }
+
+    const fileName = quoteFileName(
+      formatRevisionNumber(quoteNumber, quote.revision),
+      quote.clientName,
+      "estimacion_interna"
+    );
+    doc.save(`${fileName}.pdf`);
+  }
+
+  /** ========= PDF: Comprobante (borrador) ========= */
+  async function generatePdfComprobante(inv) {
+    const kind = INVOICE_KINDS[inv.kind];
+    const doc = new jsPDF({ unit: "pt", format: "a4" });
+    const tableY = await drawPdfHeader(doc, {
+      title: kind.title,
+      profile: resolveIssuer(settings, inv.issuerId),
+      infoLines: [
+        `N°: ${inv.number}`,
+        `Fecha de emisión: ${inv.issueDate}`,
+        `Señor(es): ${inv.client.name}`,
+        inv.client.docNumber
+          ? `${inv.client.docType}: ${inv.client.docNumber}`
+          : "",
+        inv.client.address ? `Dirección: ${inv.client.address}` : "",
+        `Moneda: ${inv.currency}`,
+        `IGV: ${Math.round(inv.igvRate * 100)}%${
+          inv.pricesIncludeIgv ? " (precios incluyen IGV)" : ""
+        }`,
+        inv.quoteNumber ? `Referencia: Cotización ${inv.quoteNumber}` : "",
+      ],
+    });
+
+    autoTable(doc, {
+      startY: tableY,
+      head: [["Cant.", "Unidad", "Descripción", "Importe"]],
+      body: inv.items.map((it) => [
+        "1",
+        "SERVICIO",
+        [
+          `${it.service}${
+            it.taxCategory !== "gravado"
+              ? ` (${TAX_CATEGORIES[it.taxCategory].label})`
+              : ""
+          }`,
+          it.detail,
+        ]
+          .filter(Boolean)
+          .join("\n"),
+        formatMoney(it.amount, inv.currency),
+      ]),
+      theme: "grid",
+      styles: {
+        font: "helvetica",
+        fontSize: 9,
+        cellPadding: 6,
+        valign: "top",
+      },
+      headStyles: { fontStyle: "bold" },
+      columnStyles: {
+        0: { cellWidth: 40, halign: "right" },
+        1: { cellWidth: 65 },
+        2: { cellWidth: 315 },
+        3: { cellWidth: 90, halign: "right" },
+      },
+    });
+
+    const totalsEndY = drawPdfTotals(
+      doc,
+      doc.lastAutoTable?.finalY || tableY + 10,
+      inv
+    );
+
+    doc.setFontSize(9);
+    let notesY = ensurePdfSpace(doc, totalsEndY + 30, 36);
+    if (inv.detraction > 0) {
+      doc.text(
+        doc.splitTextToSize(
+          `Operación sujeta al Sistema de Pago de Obligaciones Tributarias (detracción): ${formatMoney(
+            inv.detraction,
+            inv.currency
+          )}.`,
+          doc.internal.pageSize.getWidth() - PDF_MARGIN_X * 2
+        ),
+        PDF_MARGIN_X,
+        notesY
+      );
+      notesY += 24;
+    }
+    doc.text(
+      "Borrador generado desde la cotización. No tiene validez tributaria hasta su emisión electrónica.",
+      PDF_MARGIN_X,
+      notesY
+    );
+
+    drawPdfWatermark(doc, QUOTE_STATUSES.borrador.watermark);
+
+    const fileName = quoteFileName(inv.number, inv.client.name, inv.kind);
+    doc.save(`${fileName}.pdf`);
+  }
+
+  return (
+    <div className="galaxy">
+      <div className="stars" />
+      <div className="nebula" />
+
+      <div className="container">
+        {storageReport.length > 0 && (
+          <div className="card storageReport">
+            <div className="cardHead">
+              <h2 className="h2">{t("storage.title")}</h2>
+              <button
+                className="btn ghost"
+                type="button"
+                onClick={() => setStorageReport([])}
+              >
+                {t("common.close")}
+              </button>
+            </div>
+            {storageReport.map((r) => (
+              <div
+                key={r.entity}
+                className={
+                  r.ok && !r.warning ? "footLine" : "footLine hint warn"
+                }
+              >
+                {t(
+                  !r.ok
+                    ? "storage.failed"
+                    : r.warning
+                      ? "storage.repaired"
+                      : "storage.migrated",
+                  {
+                    label: t(`storage.entity.${r.entity}`),
+                    from: r.from,
+                    to: r.to,
+                    error: r.ok ? errorText(r.warning) : errorText(r.error),
+                  }
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <header className="topbar">
+          <div className="brand">
+            <img
+              className="brandLogo"
+              src={issuer.logo || logoUrl}
+              alt={issuer.name}
+            />
+            <div>
+              <h1 className="title">{issuer.name || APP_OWNER_NAME}</h1>
+              <p className="subtitle">{t("app.subtitle")}</p>
+
+              <div className="historyBar">
+                <button
+                  className="btn ghost adminBtn"
+                  type="button"
+                  onClick={() => setAdminOpen((v) => !v)}
+                  title={t("nav.adminTitle")}
+                >
+                  {adminOpen ? t("nav.closeAdmin") : t("nav.admin")}
+                </button>
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={undo}
+                  disabled={historySize.undo === 0}
+                  title={t("history.undoTitle")}
+                >
+                  {t("history.undo")}
+                </button>
+                <button
+                  className="btn ghost"
+                  type="button"
+                  onClick={redo}
+                  disabled={historySize.redo === 0}
+                  title={t("history.redoTitle")}
+                >
+                  {t("history.redo")}
+                </button>
+                <select
+                  className="input select compact"
+                  value={uiLang}
+                  onChange={(e) =>
+                    setSettings((s) => ({
+                      ...s,
+                      uiLanguage: cleanLanguage(e.target.value),
+                    }))
+                  }
+                  aria-label={t("nav.uiLanguage")}
+                  title={t("nav.uiLanguage")}
+                >
+                  {Object.keys(LANGUAGES).map((lang) => (
+                    <option key={lang} value={lang}>
+                      {lang.toUpperCase()}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div className="currency-box">
+            <label className="label">{t("currency.title")}</label>
+            <div className="segmented">
+              {settings.currencies.map((c) => (
+                <button
+                  key={c.code}
+                  className={currency === c.code ? "seg active" : "seg"}
+                  onClick={() => switchCurrency(c.code)}
+                  type="button"
+                >
+                  {c.label} ({c.code})
+                </button>
+              ))}
+            </div>
+
+            <div className="fx">
+              {t("currency.rate")}:{" "}
+              <b>{exchangeRateText([currency, computed.otherCurrency])}</b>
+              <br />
+              IGV:{" "}
+              <b>{Math.round((Number(settings.igvRate) || 0.18) * 100)}%</b>
+            </div>
+
+            <label className="check">
+              <input
+                type="checkbox"
+                checked={!!settings.keepManualRates}
+                onChange={(e) =>
+                  setSettings((s) => ({
+                    ...s,
+                    keepManualRates: e.target.checked,
+                  }))
+                }
+              />
+              {t("currency.keepManualRates")}
+            </label>
+          </div>
+        </header>
+
+        {/* ===== Admin Panel ===== */}
+        {adminOpen && (
+          <section className="card adminPanel">
+            <div className="cardHead">
+              <h2 className="h2">{t("admin.title")}</h2>
+              <div className="pill">{t("admin.autosave")}</div>
+            </div>
+
+            <div className="adminGrid">
+              <div className="adminBlock">
+                <h3 className="h3">{t("admin.settings")}</h3>
+
+                <label className="field">
+                  <span className="label">{t("admin.defaultRate")}</span>
+                  <input
+                    className="input"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={settings.exchangeRate}
+                    onChange={(e) =>
+                      setSettings((s) => ({
+                        ...s,
+                        exchangeRate: Number(e.target.value) || 0,
+                      }))
+                    }
+                  />
+                </label>
+
+                <label className="field">
+                  <span className="label">IGV (%)</span>
+                  <input
+                    className="input"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={toPercentInput(settings.igvRate)}
+                    onChange={(e) =>
+                      setSettings((s) => ({
+                        ...s,
+                        igvRate: percentToDecimal(e.target.value),
+                      }))
+                    }
+                  />
+                  <div className="hint">{t("admin.igvHint")}</div>
+                </label>
+
+                <label className="field">
+                  <span className="label">{t("admin.rounding")}</span>
+                  <select
+                    className="input select"
+                    value={settings.roundingMode}
+                    onChange={(e) =>
+                      setSettings((s) => ({
+                        ...s,
+                        roundingMode: e.target.value,
+                      }))
+                    }
+                  >
+                    <option value="line">{t("admin.roundingLine")}</option>
+                    <option value="total">{t("admin.roundingTotal")}</option>
+                  </select>
+                  <div className="hint">{t("admin.roundingHint")}</div>
+                </label>
+
+                <label className="check">
+                  <input
+                    type="checkbox"
+                    checked={!!settings.detractionEnabled}
+                    onChange={(e) =>
+                      setSettings((s) => ({
+                        ...s,
+                        detractionEnabled: e.target.checked,
+                      }))
+                    }
+                  />
+                  {t("admin.detractionEnabled")}
+                </label>
+
+                <div className="adminRow" style={{ marginTop: 10 }}>
+                  <label className="field">
+                    <span className="label">{t("admin.detractionRate")}</span>
+                    <input
+                      className="input"
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={toPercentInput(settings.detractionRate)}
+                      onChange={(e) =>
+                        setSettings((s) => ({
+                          ...s,
+                          detractionRate: percentToDecimal(e.target.value),
+                        }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">
+                      {t("admin.detractionThreshold")}
+                    </span>
+                    <input
+                      className="input"
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={settings.detractionThreshold}
+                      onChange={(e) =>
+                        setSettings((s) => ({
+                          ...s,
+                          detractionThreshold: Number(e.target.value) || 0,
+                        }))
+                      }
+                    />
+                    <div className="hint">{t("admin.detractionHint")}</div>
+                  </label>
+                </div>
+
+                <div className="divider" />
+
+                <h3 className="h3">{t("admin.numbering")}</h3>
+
+                <div className="adminRow">
+                  <label className="field">
+                    <span className="label">{t("admin.prefix")}</span>
+                    <input
+                      className="input"
+                      value={settings.quotePrefix}
+                      onChange={(e) =>
+                        setSettings((s) => ({
+                          ...s,
+                          quotePrefix: e.target.value
+                            .toUpperCase()
+                            .replace(/[^A-Z0-9]/g, ""),
+                        }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">{t("admin.digits")}</span>
+                    <input
+                      className="input"
+                      type="number"
+                      min="1"
+                      max="8"
+                      value={settings.quotePadding}
+                      onChange={(e) =>
+                        setSettings((s) => ({
+                          ...s,
+                          quotePadding: Math.min(
+                            8,
+                            Math.max(1, Number(e.target.value) || 1)
+                          ),
+                        }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">
+                      {t("admin.lastCorrelative")}
+                      {counterKey === "global" ? "" : ` (${counterKey})`}
+                    </span>
+                    <input
+                      className="input"
+                      type="number"
+                      min="0"
+                      value={lastCorrelative}
+                      onChange={(e) => setLastCorrelative(e.target.value)}
+                    />
+                  </label>
+                </div>
+
+                <label className="check">
+                  <input
+                    type="checkbox"
+                    checked={!!settings.quoteIncludeYear}
+                    onChange={(e) =>
+                      setSettings((s) => ({
+                        ...s,
+                        quoteIncludeYear: e.target.checked,
+                      }))
+                    }
+                  />
+                  {t("admin.includeYear")}
+                </label>
+
+                <div className="adminActions spaced">
+                  <div className="hint">
+                    {t("admin.next")} <b>{nextQuoteNumberPreview}</b>
+                  </div>
+                  <button
+                    className="btn ghost"
+                    type="button"
+                    onClick={resetCorrelative}
+                  >
+                    {t("admin.resetCorrelative")}
+                  </button>
+                </div>
+
+                <div className="divider" />
+
+                <h3 className="h3">{t("admin.invoiceSeries")}</h3>
+
+                <div className="adminRow two">
+                  {Object.entries(INVOICE_KINDS).map(([kind, k]) => {
+                    const series = settings.invoiceSeries[kind];
+                    return (
+                      <label className="field" key={kind}>
+                        <span className="label">
+                          {t("admin.series", { kind: k.label })}
+                        </span>
+                        <input
+                          className="input"
+                          value={series}
+                          onChange={(e) =>
+                            setInvoiceSeries(
+                              kind,
+                              e.target.value
+                                .toUpperCase()
+                                .replace(/[^A-Z0-9]/g, "")
+                                .slice(0, 4)
+                            )
+                          }
+                          onBlur={(e) =>
+                            setInvoiceSeries(
+                              kind,
+                              normalizeInvoiceSeries(kind, e.target.value)
+                            )
+                          }
+                        />
+                        <div className="hint">
+                          {t("admin.next")}{" "}
+                          <b>
+                            {nextInvoiceNumber(settings, invoices, kind).number}
+                          </b>
+                        </div>
+                      </label>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div className="adminBlock span2">
+                <h3 className="h3">{t("admin.issuers")}</h3>
+                <div className="hint">
+                  {t("admin.issuersHint", { kb: ISSUER_LOGO_MAX_BYTES / 1024 })}
+                </div>
+
+                <div className="adminList">
+                  {settings.issuers.map((i) => (
+                    <div className="adminItem" key={i.id}>
+                      <div className="adminRow">
+                        <label className="field">
+                          <span className="label">{t("admin.issuerName")}</span>
+                          <input
+                            className="input"
+                            value={i.name}
+                            onChange={(e) =>
+                              updateIssuer(i.id, { name: e.target.value })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">RUC</span>
+                          <input
+                            className="input"
+                            inputMode="numeric"
+                            maxLength={11}
+                            value={i.ruc}
+                            onChange={(e) =>
+                              updateIssuer(i.id, {
+                                ruc: e.target.value.replace(/\D/g, ""),
+                              })
+                            }
+                          />
+                          {i.ruc && i.ruc.length !== 11 && (
+                            <div className="hint warn">
+                              {t("admin.rucLength")}
+                            </div>
+                          )}
+                        </label>
+
+                        <label className="field">
+                          <span className="label">{t("admin.address")}</span>
+                          <input
+                            className="input"
+                            value={i.address}
+                            onChange={(e) =>
+                              updateIssuer(i.id, { address: e.target.value })
+                            }
+                          />
+                        </label>
+                      </div>
+
+                      <div className="adminRow" style={{ marginTop: 12 }}>
+                        <label className="field">
+                          <span className="label">Email</span>
+                          <input
+                            className="input"
+                            value={i.email}
+                            onChange={(e) =>
+                              updateIssuer(i.id, { email: e.target.value })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">{t("admin.phone")}</span>
+                          <input
+                            className="input"
+                            value={i.phone}
+                            onChange={(e) =>
+                              updateIssuer(i.id, { phone: e.target.value })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">
+                            {t("admin.accentColor")}
+                          </span>
+                          <input
+                            className="input colorInput"
+                            type="color"
+                            value={i.accentColor}
+                            onChange={(e) =>
+                              updateIssuer(i.id, {
+                                accentColor: e.target.value,
+                              })
+                            }
+                          />
+                        </label>
+                      </div>
+
+                      <div className="adminActions issuerActions">
+                        <img
+                          className="issuerLogo"
+                          src={i.logo || logoUrl}
+                          alt={i.name}
+                        />
+                        <label className="btn ghost">
+                          {t("admin.uploadLogo")}
+                          <input
+                            type="file"
+                            accept="image/png,image/jpeg"
+                            hidden
+                            onChange={(e) => handleIssuerLogo(i.id, e)}
+                          />
+                        </label>
+                        {i.logo && (
+                          <button
+                            className="btn ghost"
+                            type="button"
+                            onClick={() => updateIssuer(i.id, { logo: "" })}
+                          >
+                            {t("admin.appLogo")}
+                          </button>
+                        )}
+                        <label className="check">
+                          <input
+                            type="radio"
+                            name="defaultIssuer"
+                            checked={i.id === defaultIssuer.id}
+                            onChange={() =>
+                              setSettings((s) => ({
+                                ...s,
+                                defaultIssuerId: i.id,
+                              }))
+                            }
+                          />
+                          {t("admin.default")}
+                        </label>
+                        <button
+                          className="btn ghost"
+                          type="button"
+                          onClick={() => deleteIssuer(i.id)}
+                        >
+                          {t("common.delete")}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <button
+                  className="btn neon"
+                  type="button"
+                  onClick={addIssuer}
+                  style={{ marginTop: 12 }}
+                >
+                  {t("admin.addIssuer")}
+                </button>
+              </div>
+
+              <div className="adminBlock">
+                <h3 className="h3">{t("admin.services")}</h3>
+
+                <div className="adminList">
+                  {services.map((s) => (
+                    <div
+                      className="adminItem"
+                      key={s.id}
+                      role="group"
+                      aria-label={serviceLabel(s, uiLang)}
+                    >
+                      <div className="adminRow">
+                        <label className="field">
+                          <span className="label">{t("admin.code")}</span>
+                          <input className="input" value={s.code} readOnly />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">{t("admin.name")}</span>
+                          <input
+                            className="input"
+                            value={s.label}
+                            onChange={(e) =>
+                              updateService(s.id, { label: e.target.value })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">{t("admin.basePrice")}</span>
+                          <div className="inputPair">
+                            <input
+                              className="input"
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              value={s.defaultHourlyCost}
+                              onChange={(e) =>
+                                updateService(s.id, {
+                                  defaultHourlyCost:
+                                    Number(e.target.value) || 0,
+                                })
+                              }
+                            />
+                            <CurrencySelect
+                              lang={uiLang}
+                              currencies={settings.currencies}
+                              value={s.currency}
+                              onChange={(v) =>
+                                updateService(s.id, { currency: v })
+                              }
+                            />
+                          </div>
+                          <div className="hint">{t("admin.basePriceHint")}</div>
+                        </label>
+                      </div>
+
+                      <div className="adminRow two">
+                        <label className="field">
+                          <span className="label">
+                            {t("admin.internalCost", { currency: s.currency })}
+                          </span>
+                          <input
+                            className="input"
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={s.internalCost}
+                            onChange={(e) =>
+                              updateService(s.id, {
+                                internalCost: Number(e.target.value) || 0,
+                              })
+                            }
+                          />
+                          <div className="hint">
+                            {t("admin.internalCostHint")}
+                          </div>
+                        </label>
+
+                        <div className="field">
+                          <span className="label">{t("admin.baseMargin")}</span>
+                          <div className="strong">
+                            {s.internalCost > 0 && s.defaultHourlyCost > 0
+                              ? formatPercent(
+                                  1 - s.internalCost / s.defaultHourlyCost
+                                )
+                              : "—"}
+                          </div>
+                        </div>
+                      </div>
+
+                      <div className="adminRow">
+                        <label className="field">
+                          <span className="label">{t("admin.nameEn")}</span>
+                          <input
+                            className="input"
+                            value={s.labelEn}
+                            placeholder={s.label}
+                            onChange={(e) =>
+                              updateService(s.id, { labelEn: e.target.value })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">
+                            {t("admin.taxCategory")}
+                          </span>
+                          <TaxCategorySelect
+                            lang={uiLang}
+                            value={s.taxCategory}
+                            onChange={(v) =>
+                              updateService(s.id, { taxCategory: v })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">
+                            {t("admin.pricingType")}
+                          </span>
+                          <PricingTypeSelect
+                            lang={uiLang}
+                            value={s.pricingType}
+                            onChange={(v) =>
+                              updateService(s.id, { pricingType: v })
+                            }
+                          />
+                        </label>
+                      </div>
+
+                      <div className="adminRow two">
+                        <label className="field">
+                          <span className="label">{t("admin.suggestion")}</span>
+                          <textarea
+                            className="input textarea"
+                            rows={3}
+                            value={s.suggestion}
+                            onChange={(e) =>
+                              updateService(s.id, {
+                                suggestion: e.target.value,
+                              })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">
+                            {t("admin.suggestionEn")}
+                          </span>
+                          <textarea
+                            className="input textarea"
+                            rows={3}
+                            value={s.suggestionEn}
+                            onChange={(e) =>
+                              updateService(s.id, {
+                                suggestionEn: e.target.value,
+                              })
+                            }
+                          />
+                        </label>
+                      </div>
+
+                      <div className="adminActions">
+                        <button
+                          className="btn ghost"
+                          type="button"
+                          onClick={() => deleteService(s.id)}
+                        >
+                          {t("common.delete")}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="divider" />
+
+                <h3 className="h3">{t("admin.newService")}</h3>
+
+                <div className="adminRow">
+                  <label className="field">
+                    <span className="label">{t("admin.name")}</span>
+                    <input
+                      className="input"
+                      value={newService.label}
+                      onChange={(e) =>
+                        setNewService((p) => ({
+                          ...p,
+                          label: e.target.value,
+                          code: p.code || slugifyCode(e.target.value),
+                        }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">{t("admin.codeUnique")}</span>
+                    <input
+                      className="input"
+                      value={newService.code}
+                      onChange={(e) =>
+                        setNewService((p) => ({
+                          ...p,
+                          code: slugifyCode(e.target.value),
+                        }))
+                      }
+                    />
+                    <div className="hint">{t("admin.codeHint")}</div>
+                  </label>
+
+                  <label className="field">
+                    <span className="label">{t("admin.basePrice")}</span>
+                    <div className="inputPair">
+                      <input
+                        className="input"
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={newService.defaultHourlyCost}
+                        onChange={(e) =>
+                          setNewService((p) => ({
+                            ...p,
+                            defaultHourlyCost: Number(e.target.value) || 0,
+                          }))
+                        }
+                      />
+                      <CurrencySelect
+                        lang={uiLang}
+                        currencies={settings.currencies}
+                        value={newService.currency}
+                        onChange={(v) =>
+                          setNewService((p) => ({ ...p, currency: v }))
+                        }
+                      />
+                    </div>
+                  </label>
+                </div>
+
+                <div className="adminRow two">
+                  <label className="field">
+                    <span className="label">
+                      {t("admin.internalCost", {
+                        currency: newService.currency,
+                      })}
+                    </span>
+                    <input
+                      className="input"
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={newService.internalCost}
+                      onChange={(e) =>
+                        setNewService((p) => ({
+                          ...p,
+                          internalCost: Number(e.target.value) || 0,
+                        }))
+                      }
+                    />
+                  </label>
+                </div>
+
+                <div className="adminRow">
+                  <label className="field">
+                    <span className="label">{t("admin.nameEn")}</span>
+                    <input
+                      className="input"
+                      value={newService.labelEn}
+                      onChange={(e) =>
+                        setNewService((p) => ({
+                          ...p,
+                          labelEn: e.target.value,
+                        }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">{t("admin.taxCategory")}</span>
+                    <TaxCategorySelect
+                      lang={uiLang}
+                      value={newService.taxCategory}
+                      onChange={(v) =>
+                        setNewService((p) => ({ ...p, taxCategory: v }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">{t("admin.pricingType")}</span>
+                    <PricingTypeSelect
+                      lang={uiLang}
+                      value={newService.pricingType}
+                      onChange={(v) =>
+                        setNewService((p) => ({ ...p, pricingType: v }))
+                      }
+                    />
+                  </label>
+                </div>
+
+                <div className="adminRow two">
+                  <label className="field">
+                    <span className="label">{t("admin.suggestion")}</span>
+                    <textarea
+                      className="input textarea"
+                      rows={3}
+                      value={newService.suggestion}
+                      onChange={(e) =>
+                        setNewService((p) => ({
+                          ...p,
+                          suggestion: e.target.value,
+                        }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">{t("admin.suggestionEn")}</span>
+                    <textarea
+                      className="input textarea"
+                      rows={3}
+                      value={newService.suggestionEn}
+                      onChange={(e) =>
+                        setNewService((p) => ({
+                          ...p,
+                          suggestionEn: e.target.value,
+                        }))
+                      }
+                    />
+                  </label>
+                </div>
+
+                <button
+                  className="btn neon"
+                  type="button"
+                  onClick={addServiceFromAdmin}
+                >
+                  {t("admin.addService")}
+                </button>
+              </div>
+
+              <div className="adminBlock span2">
+                <h3 className="h3">{t("admin.profitability")}</h3>
+                <div className="hint">{t("admin.rolesHint")}</div>
+
+                <label className="field" style={{ marginTop: 10 }}>
+                  <span className="label">{t("admin.minMargin")}</span>
+                  <input
+                    className="input"
+                    type="number"
+                    step="1"
+                    min="0"
+                    max="100"
+                    value={settings.minMarginPercent}
+                    onChange={(e) =>
+                      setSettings((s) => ({
+                        ...s,
+                        minMarginPercent: Math.min(
+                          100,
+                          Math.max(0, Number(e.target.value) || 0)
+                        ),
+                      }))
+                    }
+                  />
+                  <div className="hint">{t("admin.minMarginHint")}</div>
+                </label>
+
+                {settings.teamRoles.length > 0 && (
+                  <table className="miniTable" style={{ marginTop: 10 }}>
+                    <thead>
+                      <tr>
+                        <th>{t("admin.role")}</th>
+                        <th>{t("admin.hourlyCost")}</th>
+                        <th>{t("admin.currency")}</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {settings.teamRoles.map((r) => (
+                        <tr key={r.id}>
+                          <td>
+                            <input
+                              className="input"
+                              value={r.name}
+                              placeholder={t("admin.rolePlaceholder")}
+                              onChange={(e) =>
+                                updateTeamRole(r.id, { name: e.target.value })
+                              }
+                            />
+                          </td>
+                          <td>
+                            <input
+                              className="input"
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              value={r.costRate}
+                              onChange={(e) =>
+                                updateTeamRole(r.id, {
+                                  costRate: Math.max(
+                                    0,
+                                    Number(e.target.value) || 0
+                                  ),
+                                })
+                              }
+                            />
+                          </td>
+                          <td>
+                            <CurrencySelect
+                              lang={uiLang}
+                              currencies={settings.currencies}
+                              value={r.currency}
+                              onChange={(v) =>
+                                updateTeamRole(r.id, { currency: v })
+                              }
+                            />
+                          </td>
+                          <td className="right">
+                            <button
+                              className="btn ghost"
+                              type="button"
+                              onClick={() => deleteTeamRole(r.id)}
+                              title={t("common.delete")}
+                            >
+                              ✕
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <button
+                  className="btn neon"
+                  type="button"
+                  onClick={addTeamRole}
+                  style={{ marginTop: 12 }}
+                >
+                  {t("admin.addRole")}
+                </button>
+              </div>
+
+              <div className="adminBlock span2">
+                <h3 className="h3">{t("admin.conditions")}</h3>
+
+                <div className="adminRow two">
+                  <label className="field">
+                    <span className="label">
+                      {t("admin.paymentConditions")}
+                    </span>
+                    <textarea
+                      className="input textarea"
+                      rows={3}
+                      value={settings.defaultPaymentConditions}
+                      onChange={(e) =>
+                        setSettings((s) => ({
+                          ...s,
+                          defaultPaymentConditions: e.target.value,
+                        }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">{t("admin.terms")}</span>
+                    <textarea
+                      className="input textarea"
+                      rows={3}
+                      value={settings.defaultTerms}
+                      onChange={(e) =>
+                        setSettings((s) => ({
+                          ...s,
+                          defaultTerms: e.target.value,
+                        }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">
+                      {t("admin.paymentConditionsEn")}
+                    </span>
+                    <textarea
+                      className="input textarea"
+                      rows={3}
+                      value={settings.defaultPaymentConditionsEn}
+                      placeholder={settings.defaultPaymentConditions}
+                      onChange={(e) =>
+                        setSettings((s) => ({
+                          ...s,
+                          defaultPaymentConditionsEn: e.target.value,
+                        }))
+                      }
+                    />
+                  </label>
+
+                  <label className="field">
+                    <span className="label">{t("admin.termsEn")}</span>
+                    <textarea
+                      className="input textarea"
+                      rows={3}
+                      value={settings.defaultTermsEn}
+                      placeholder={settings.defaultTerms}
+                      onChange={(e) =>
+                        setSettings((s) => ({
+                          ...s,
+                          defaultTermsEn: e.target.value,
+                        }))
+                      }
+                    />
+                  </label>
+                </div>
+                <div className="hint">{t("admin.conditionsHint")}</div>
+
+                <div className="divider" />
+
+                <h3 className="h3">{t("admin.bankAccounts")}</h3>
+
+                <div className="adminList">
+                  {settings.bankAccounts.map((a) => (
+                    <div className="adminItem" key={a.id}>
+                      <div className="adminRow">
+                        <label className="field">
+                          <span className="label">{t("admin.bank")}</span>
+                          <input
+                            className="input"
+                            value={a.bank}
+                            onChange={(e) =>
+                              updateBankAccount(a.id, { bank: e.target.value })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">{t("admin.currency")}</span>
+                          <CurrencySelect
+                            lang={uiLang}
+                            currencies={settings.currencies}
+                            value={a.currency}
+                            onChange={(v) =>
+                              updateBankAccount(a.id, { currency: v })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">{t("admin.holder")}</span>
+                          <input
+                            className="input"
+                            value={a.holder}
+                            onChange={(e) =>
+                              updateBankAccount(a.id, {
+                                holder: e.target.value,
+                              })
+                            }
+                          />
+                        </label>
+                      </div>
+
+                      <div className="adminRow two" style={{ marginTop: 12 }}>
+                        <label className="field">
+                          <span className="label">
+                            {t("admin.accountNumber")}
+                          </span>
+                          <input
+                            className="input"
+                            value={a.accountNumber}
+                            onChange={(e) =>
+                              updateBankAccount(a.id, {
+                                accountNumber: e.target.value,
+                              })
+                            }
+                          />
+                        </label>
+
+                        <label className="field">
+                          <span className="label">CCI</span>
+                          <input
+                            className="input"
+                            inputMode="numeric"
+                            maxLength={20}
+                            value={a.cci}
+                            onChange={(e) =>
+                              updateBankAccount(a.id, {
+                                cci: e.target.value.replace(/\D/g, ""),
+                              })
+                            }
+                          />
+                          {a.cci && a.cci.length !== 20 && (
+                            <div className="hint warn">
+                              {t("admin.cciLength")}
+                            </div>
+                          )}
+                        </label>
+                      </div>
+
+                      <div className="adminActions">
+                        <button
+                          className="btn ghost"
+                          type="button"
+                          onClick={() => deleteBankAccount(a.id)}
+                        >
+                          {t("common.delete")}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <button
+                  className="btn neon"
+                  type="button"
+                  onClick={addBankAccount}
+                  style={{ marginTop: 12 }}
+                >
+                  {t("admin.addAccount")}
+                </button>
+              </div>
+
+              <div className="adminBlock span2">
+                <h3 className="h3">{t("admin.clients")}</h3>
+
+                <div className="adminList">
+                  {clients.length === 0 && (
+                    <div className="hint">{t("admin.noClients")}</div>
+                  )}
+                  {clients.map((c) => (
+                    <div className="adminItem" key={c.id}>
+                      <ClientFields
+                        lang={uiLang}
+                        client={
+                          clientNameDrafts[c.id] !== undefined
+                            ? { ...c, name: clientNameDrafts[c.id] }
+                            : c
+                        }
+                        onChange={(patch) => updateClient(c.id, patch)}
+                      />
+                      {clientNameDrafts[c.id] !== undefined && (
+                        <div className="hint warn">
+                          {t("client.nameRequired", { name: c.name })}
+                        </div>
+                      )}
+
+                      <div className="adminActions">
+                        <button
+                          className="btn ghost"
+                          type="button"
+                          onClick={() => deleteClient(c.id)}
+                        >
+                          {t("common.delete")}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <div className="divider" />
+
+                <h3 className="h3">{t("admin.newClient")}</h3>
+
+                <ClientFields
+                  lang={uiLang}
+                  client={newClient}
+                  onChange={(patch) =>
+                    setNewClient((p) => ({ ...p, ...patch }))
+                  }
+                />
+
+                <button
+                  className="btn neon"
+                  type="button"
+                  onClick={addClientFromAdmin}
+                  style={{ marginTop: 12 }}
+                >
+                  {t("admin.addClient")}
+                </button>
+              </div>
+
+              <div className="adminBlock span2">
+                <h3 className="h3">{t("admin.currencies")}</h3>
+                <div className="hint">{t("admin.currenciesHint")}</div>
+
+                <table className="miniTable wide" style={{ marginTop: 10 }}>
+                  <thead>
+                    <tr>
+                      <th>{t("admin.code")}</th>
+                      <th>{t("admin.name")}</th>
+                      <th>{t("admin.symbol")}</th>
+                      <th>Locale</th>
+                      <th>{t("admin.words")}</th>
+                      <th>{t("admin.wordsEn")}</th>
+                      <th>{t("admin.solesPer")}</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {settings.currencies.map((c) => (
+                      <tr key={c.code}>
+                        <td className="strong">{c.code}</td>
+                        {["label", "symbol", "locale", "words", "wordsEn"].map(
+                          (key) => (
+                            <td key={key}>
+                              <input
+                                className="input"
+                                value={c[key]}
+                                onChange={(e) =>
+                                  updateCurrency(c.code, {
+                                    [key]: e.target.value,
+                                  })
+                                }
+                              />
+                            </td>
+                          )
+                        )}
+                        <td>
+                          {hasConfiguredRate(c.code) ? (
+                            <input
+                              className="input"
+                              type="number"
+                              step="0.001"
+                              min="0"
+                              value={rateDrafts[c.code] ?? c.rateToPen}
+                              onChange={(e) => {
+                                const value = e.target.value;
+                                setRateDrafts((d) => ({
+                                  ...d,
+                                  [c.code]: value,
+                                }));
+                                if (Number(value) > 0) {
+                                  updateCurrency(c.code, {
+                                    rateToPen: Number(value),
+                                  });
+                                }
+                              }}
+                              onBlur={() =>
+                                setRateDrafts(({ [c.code]: _, ...d }) => d)
+                              }
+                            />
+                          ) : (
+                            <span className="hint">
+                              {c.code === BASE_CURRENCY
+                                ? t("admin.baseCurrency")
+                                : t("admin.datedRate")}
+                            </span>
+                          )}
+                          {rateDrafts[c.code] !== undefined &&
+                            !(Number(rateDrafts[c.code]) > 0) && (
+                              <div className="hint warn">
+                                {t("admin.rateInvalid")}
+                              </div>
+                            )}
+                        </td>
+                        <td>
+                          {hasConfiguredRate(c.code) && (
+                            <button
+                              className="btn ghost"
+                              type="button"
+                              onClick={() => deleteCurrency(c.code)}
+                            >
+                              ✕
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                    <tr>
+                      {[
+                        ["code", "EUR"],
+                        ["label", "Euros"],
+                        ["symbol", "€"],
+                        ["locale", "es-ES"],
+                        ["words", "EUROS"],
+                        ["rateToPen", "4.05"],
+                      ].map(([key, placeholder]) => (
+                        <td key={key}>
+                          <input
+                            className="input"
+                            type={key === "rateToPen" ? "number" : "text"}
+                            placeholder={placeholder}
+                            value={newCurrency[key]}
+                            onChange={(e) =>
+                              setNewCurrency((c) => ({
+                                ...c,
+                                [key]: e.target.value,
+                              }))
+                            }
+                          />
+                        </td>
+                      ))}
+                      <td>
+                        <button
+                          className="btn neon"
+                          type="button"
+                          onClick={addCurrency}
+                        >
+                          +
+                        </button>
+                      </td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
 
-                <label className="field">
-                  <span className="label">RUC</span>
+              <div className="adminBlock span2">
+                <h3 className="h3">{t("admin.exchangeRates")}</h3>
+                <div className="hint">{t("admin.exchangeRatesHint")}</div>
+
+                <div className="rateRow" style={{ marginTop: 10 }}>
                   <input
                     className="input"
-                    value={settings.companyRuc}
+                    type="date"
+                    value={newRate.date}
                     onChange={(e) =>
-                      setSettings((s) => ({ ...s, companyRuc: e.target.value }))
+                      setNewRate((r) => ({ ...r, date: e.target.value }))
                     }
                   />
-                </label>
-
-                <label className="field">
-                  <span className="label">Email</span>
                   <input
                     className="input"
-                    value={settings.companyEmail}
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    placeholder={t("admin.buy")}
+                    value={newRate.buy}
                     onChange={(e) =>
-                      setSettings((s) => ({
-                        ...s,
-                        companyEmail: e.target.value,
-                      }))
+                      setNewRate((r) => ({ ...r, buy: e.target.value }))
                     }
                   />
-                </label>
-
-                <label className="field">
-                  <span className="label">Teléfono</span>
                   <input
                     className="input"
-                    value={settings.companyPhone}
+                    type="number"
+                    step="0.001"
+                    min="0"
+                    placeholder={t("admin.sell")}
+                    value={newRate.sell}
                     onChange={(e) =>
-                      setSettings((s) => ({
-                        ...s,
-                        companyPhone: e.target.value,
-                      }))
+                      setNewRate((r) => ({ ...r, sell: e.target.value }))
                     }
                   />
-                </label>
+                  <button
+                    className="btn neon"
+                    type="button"
+                    onClick={addExchangeRate}
+                  >
+                    {t("admin.add")}
+                  </button>
+                  <label className="btn">
+                    {t("admin.importCsv")}
+                    <input
+                      type="file"
+                      accept=".csv,text/csv,text/plain"
+                      hidden
+                      onChange={handleExchangeRateCsv}
+                    />
+                  </label>
+                </div>
+
+                {settings.exchangeRates.length === 0 ? (
+                  <div className="hint" style={{ marginTop: 10 }}>
+                    {t("admin.noRates")}
+                  </div>
+                ) : (
+                  <table className="miniTable" style={{ marginTop: 10 }}>
+                    <thead>
+                      <tr>
+                        <th>{t("admin.date")}</th>
+                        <th>{t("admin.buy")}</th>
+                        <th>{t("admin.sell")}</th>
+                        <th />
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {settings.exchangeRates
+                        .slice(-EXCHANGE_RATES_SHOWN)
+                        .reverse()
+                        .map((r) => (
+                          <tr key={r.date}>
+                            <td>{r.date}</td>
+                            <td>
+                              <input
+                                className="input"
+                                type="number"
+                                step="0.001"
+                                min="0"
+                                value={
+                                  exchangeRateDrafts[`${r.date}:buy`] ?? r.buy
+                                }
+                                onChange={(e) =>
+                                  editExchangeRate(
+                                    r.date,
+                                    "buy",
+                                    e.target.value
+                                  )
+                                }
+                                onBlur={() =>
+                                  setExchangeRateDrafts(
+                                    ({ [`${r.date}:buy`]: _, ...d }) => d
+                                  )
+                                }
+                              />
+                            </td>
+                            <td>
+                              <input
+                                className="input"
+                                type="number"
+                                step="0.001"
+                                min="0"
+                                value={
+                                  exchangeRateDrafts[`${r.date}:sell`] ?? r.sell
+                                }
+                                onChange={(e) =>
+                                  editExchangeRate(
+                                    r.date,
+                                    "sell",
+                                    e.target.value
+                                  )
+                                }
+                                onBlur={() =>
+                                  setExchangeRateDrafts(
+                                    ({ [`${r.date}:sell`]: _, ...d }) => d
+                                  )
+                                }
+                              />
+                            </td>
+                            <td>
+                              {exchangeRateDraftInvalid(r.date) && (
+                                <div className="hint warn">
+                                  {t("admin.rateInvalid")}
+                                </div>
+                              )}
+                              <button
+                                className="btn ghost"
+                                type="button"
+                                onClick={() => deleteExchangeRate(r.date)}
+                              >
+                                ✕
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
+                )}
+                {settings.exchangeRates.length > EXCHANGE_RATES_SHOWN && (
+                  <div className="hint">
+                    {t("admin.ratesShown", {
+                      shown: EXCHANGE_RATES_SHOWN,
+                      total: settings.exchangeRates.length,
+                    })}
+                  </div>
+                )}
               </div>
 
-              <div className="adminBlock">
-                <h3 className="h3">Servicios (agregar/editar)</h3>
+              <div className="adminBlock span2">
+                <h3 className="h3">{t("admin.bundles")}</h3>
+                <div className="hint">{t("admin.bundlesHint")}</div>
 
                 <div className="adminList">
-                  {services.map((s) => (
-                    <div className="adminItem" key={s.id}>
-                      <div className="adminRow">
-                        <label className="field">
-                          <span className="label">Código</span>
-                          <input className="input" value={s.code} readOnly />
-                        </label>
+                  {bundles.length === 0 && (
+                    <div className="hint">{t("admin.noBundles")}</div>
+                  )}
+                  {bundles.map((b) => (
+                    <div className="adminItem" key={b.id}>
+                      <label className="field">
+                        <span className="label">{t("admin.bundleName")}</span>
+                        <input
+                          className="input"
+                          value={b.name}
+                          onChange={(e) =>
+                            updateBundle(b.id, { name: e.target.value })
+                          }
+                        />
+                      </label>
 
-                        <label className="field">
-                          <span className="label">Nombre</span>
-                          <input
-                            className="input"
-                            value={s.label}
+                      {b.items.map((it) => (
+                        <div className="bundleItem" key={it.id}>
+                          <select
+                            className="input select"
+                            value={it.serviceType}
                             onChange={(e) =>
-                              updateService(s.id, { label: e.target.value })
+                              updateBundleItem(b.id, it.id, {
+                                serviceType: e.target.value,
+                              })
+                            }
+                          >
+                            {!getServiceByCode(it.serviceType) && (
+                              <option value={it.serviceType}>
+                                {t("admin.missingService", {
+                                  code: it.serviceType,
+                                })}
+                              </option>
+                            )}
+                            {services.map((svc) => (
+                              <option key={svc.id} value={svc.code}>
+                                {svc.label}
+                              </option>
+                            ))}
+                          </select>
+                          <PricingTypeSelect
+                            lang={uiLang}
+                            value={it.pricingType}
+                            onChange={(v) =>
+                              updateBundleItem(b.id, it.id, {
+                                pricingType: v,
+                                hours: PRICING_DEFAULT_QTY[v],
+                              })
                             }
                           />
-                        </label>
-
-                        <label className="field">
-                          <span className="label">Costo/hora (default)</span>
                           <input
                             className="input"
                             type="number"
-                            step="0.01"
                             min="0"
-                            value={s.defaultHourlyCost}
+                            step="0.5"
+                            value={it.hours}
+                            disabled={it.pricingType === "fixed"}
+                            title={t(`pricing.qty.${it.pricingType}`)}
                             onChange={(e) =>
-                              updateService(s.id, {
-                                defaultHourlyCost: Number(e.target.value) || 0,
+                              updateBundleItem(b.id, it.id, {
+                                hours: Math.max(0, Number(e.target.value) || 0),
                               })
                             }
                           />
-                          <div className="hint">
-                            Moneda según cotización (PEN/USD)
-                          </div>
-                        </label>
+                          <input
+                            className="input"
+                            placeholder={t("admin.bundleDetail")}
+                            value={it.detail}
+                            onChange={(e) =>
+                              updateBundleItem(b.id, it.id, {
+                                detail: e.target.value,
+                              })
+                            }
+                          />
+                          <button
+                            className="btn ghost"
+                            type="button"
+                            onClick={() => removeBundleItem(b.id, it.id)}
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      ))}
+
+                      <div className="adminActions">
+                        <button
+                          className="btn ghost"
+                          type="button"
+                          onClick={() => addBundleItem(b.id)}
+                        >
+                          {t("admin.addItem")}
+                        </button>
+                        <button
+                          className="btn ghost"
+                          type="button"
+                          onClick={() => deleteBundle(b.id)}
+                          style={{ marginLeft: 8 }}
+                        >
+                          {t("admin.deleteBundle")}
+                        </button>
                       </div>
+                    </div>
+                  ))}
+                </div>
 
-                      <label className="field">
-                        <span className="label">Detalle sugerido</span>
-                        <textarea
-                          className="input textarea"
-                          rows={3}
-                          value={s.suggestion}
-                          onChange={(e) =>
-                            updateService(s.id, { suggestion: e.target.value })
-                          }
-                        />
-                      </label>
+                <div className="rowActions start" style={{ marginTop: 10 }}>
+                  <button
+                    className="btn neon"
+                    type="button"
+                    onClick={addBundle}
+                  >
+                    {t("admin.newBundle")}
+                  </button>
+                  <button
+                    className="btn"
+                    type="button"
+                    onClick={saveRowsAsBundle}
+                  >
+                    {t("admin.rowsAsBundle")}
+                  </button>
+                </div>
+              </div>
 
-                      <div className="adminActions">
+              <div className="adminBlock span2">
+                <h3 className="h3">{t("admin.templates")}</h3>
+                <div className="hint">
+                  {t("admin.templatesHint", {
+                    button: t("actions.saveTemplate"),
+                    section: t("actions.title"),
+                  })}
+                </div>
+
+                <div className="adminList">
+                  {templates.length === 0 && (
+                    <div className="hint">{t("admin.noTemplates")}</div>
+                  )}
+                  {templates.map((tpl) => (
+                    <div className="adminItem templateItem" key={tpl.id}>
+                      <div>
+                        <div className="strong">{tpl.name}</div>
+                        <div className="hint">
+                          {t("admin.templateSummary", {
+                            services: tpl.rows.length,
+                            sections: tpl.quote.sections.length,
+                            currency: tpl.currency,
+                            date: tpl.createdAt.slice(0, 10),
+                          })}
+                        </div>
+                      </div>
+                      <div className="rowActions">
+                        <button
+                          className="btn"
+                          type="button"
+                          onClick={() => startFromTemplate(tpl.id)}
+                        >
+                          {t("admin.useTemplate")}
+                        </button>
                         <button
                           className="btn ghost"
                           type="button"
-                          onClick={() => deleteService(s.id)}
+                          onClick={() => deleteTemplate(tpl.id)}
                         >
-                          Eliminar
+                          {t("common.delete")}
                         </button>
                       </div>
                     </div>
                   ))}
                 </div>
+              </div>
 
-                <div className="divider" />
+              <div className="adminBlock span2">
+                <h3 className="h3">{t("admin.catalog")}</h3>
+                <div className="hint">
+                  {t("admin.catalogHint", { version: CATALOG_VERSION })}
+                </div>
+
+                <div className="rowActions start" style={{ marginTop: 10 }}>
+                  <button
+                    className="btn neon"
+                    type="button"
+                    onClick={exportCatalog}
+                  >
+                    {t("admin.exportJson")}
+                  </button>
+                  <label className="btn">
+                    {t("admin.importJson")}
+                    <input
+                      type="file"
+                      accept="application/json,.json"
+                      hidden
+                      onChange={handleCatalogFile}
+                    />
+                  </label>
+                </div>
 
-                <h3 className="h3">Agregar nuevo servicio</h3>
+                {pendingImport && importPreview && (
+                  <div className="adminItem" style={{ marginTop: 12 }}>
+                    <div className="strong">
+                      {t("admin.importPreview", {
+                        file: pendingImport.fileName,
+                        version: pendingImport.version,
+                      })}
+                    </div>
 
-                <div className="adminRow">
+                    <div className="segmented" style={{ marginTop: 10 }}>
+                      <button
+                        className={
+                          importMode === "merge" ? "seg active" : "seg"
+                        }
+                        type="button"
+                        onClick={() => setImportMode("merge")}
+                      >
+                        {t("admin.merge")}
+                      </button>
+                      <button
+                        className={
+                          importMode === "replace" ? "seg active" : "seg"
+                        }
+                        type="button"
+                        onClick={() => setImportMode("replace")}
+                      >
+                        {t("admin.replace")}
+                      </button>
+                    </div>
+
+                    <ul className="changeList">
+                      <li>
+                        {t("admin.importAdded", {
+                          count: importPreview.added.length,
+                        })}{" "}
+                        {importPreview.added.map((s) => s.code).join(", ") ||
+                          "—"}
+                      </li>
+                      <li>
+                        {t("admin.importUpdated", {
+                          count: importPreview.updated.length,
+                        })}{" "}
+                        {importPreview.updated.map((s) => s.code).join(", ") ||
+                          "—"}
+                      </li>
+                      <li>
+                        {t("admin.importRemoved", {
+                          count:
+                            importMode === "replace"
+                              ? importPreview.removed.length
+                              : 0,
+                        })}{" "}
+                        {importMode === "replace"
+                          ? importPreview.removed
+                              .map((s) => s.code)
+                              .join(", ") || "—"
+                          : t("admin.importKept")}
+                      </li>
+                      <li>
+                        {t("admin.importSettings", {
+                          count: importPreview.changedSettings.length,
+                        })}{" "}
+                        {importPreview.changedSettings.join(", ") || "—"}
+                      </li>
+                      {importPreview.blockedCurrencies.map((c) => (
+                        <li className="warn" key={`currency-${c.code}`}>
+                          {t("admin.importCurrencyInUse", {
+                            code: c.code,
+                            uses: c.uses
+                              .map((use) => t(`currencyUse.${use}`))
+                              .join(", "),
+                          })}
+                        </li>
+                      ))}
+                      {importPreview.blockedIssuers.map((i) => (
+                        <li className="warn" key={`issuer-${i.id}`}>
+                          {t("admin.importIssuerInUse", {
+                            name: i.name || t("common.unnamed"),
+                            quotes: i.quotes,
+                            invoices: i.invoices,
+                          })}
+                        </li>
+                      ))}
+                      <li>
+                        {t("admin.importBundles", {
+                          count: pendingImport.bundles?.length ?? 0,
+                        })}{" "}
+                        {pendingImport.bundles
+                          ? pendingImport.bundles
+                              .map((b) => b.name)
+                              .join(", ") || "—"
+                          : t("admin.importNoBundles")}
+                      </li>
+                      <li>
+                        {t("admin.importTemplates", {
+                          count: pendingImport.templates?.length ?? 0,
+                        })}{" "}
+                        {pendingImport.templates
+                          ? pendingImport.templates
+                              .map((t) => t.name)
+                              .join(", ") || "—"
+                          : t("admin.importNoTemplates")}
+                      </li>
+                    </ul>
+
+                    <div className="adminActions">
+                      <button
+                        className="btn ghost"
+                        type="button"
+                        onClick={() => setPendingImport(null)}
+                      >
+                        {t("common.cancel")}
+                      </button>
+                      <button
+                        className="btn neon"
+                        type="button"
+                        onClick={applyCatalogImport}
+                        disabled={importBlocked}
+                        style={{ marginLeft: 8 }}
+                      >
+                        {t("admin.applyImport")}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          </section>
+        )}
+
+        {/* ===== Quote ===== */}
+        <section className="card grid2">
+          <div className="block">
+            <h2 className="h2">{t("quote.title")}</h2>
+            <div className="formGrid">
+              <label className="field">
+                <span className="label">{t("quote.issuer")}</span>
+                <select
+                  className="input select"
+                  value={issuer.id}
+                  onChange={(e) =>
+                    setQuote((q) => ({ ...q, issuerId: e.target.value }))
+                  }
+                >
+                  {settings.issuers.map((i) => (
+                    <option key={i.id} value={i.id}>
+                      {i.name || "—"}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="field">
+                <span className="label">{t("quote.clientDirectory")}</span>
+                <select
+                  className="input select"
+                  value={quote.clientId}
+                  onChange={(e) => pickClient(e.target.value)}
+                >
+                  <option value="">{t("quote.manualClient")}</option>
+                  {clients.map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.name} ({c.docType} {c.docNumber})
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <Field
+                label={t("quote.client")}
+                value={quote.clientName}
+                onChange={(v) =>
+                  setQuote((q) => ({ ...q, clientName: v, clientId: "" }))
+                }
+              />
+              {!quote.clientId && (
+                <>
                   <label className="field">
-                    <span className="label">Nombre</span>
-                    <input
-                      className="input"
-                      value={newService.label}
+                    <span className="label">{t("client.docType")}</span>
+                    <select
+                      className="input select"
+                      value={quote.clientDocType}
                       onChange={(e) =>
-                        setNewService((p) => ({
-                          ...p,
-                          label: e.target.value,
-                          code: p.code || slugifyCode(e.target.value),
+                        setQuote((q) => ({
+                          ...q,
+                          clientDocType: e.target.value,
                         }))
                       }
-                    />
+                    >
+                      <option value="RUC">RUC</option>
+                      <option value="DNI">DNI</option>
+                    </select>
                   </label>
+                  <Field
+                    label={t("client.docNumber", {
+                      docType: quote.clientDocType,
+                    })}
+                    value={quote.clientDocNumber}
+                    warning={
+                      clientDocError(
+                        quote.clientDocType,
+                        quote.clientDocNumber
+                      ) &&
+                      t(
+                        clientDocError(
+                          quote.clientDocType,
+                          quote.clientDocNumber
+                        )
+                      )
+                    }
+                    onChange={(v) =>
+                      setQuote((q) => ({ ...q, clientDocNumber: v }))
+                    }
+                  />
+                </>
+              )}
+              <Field
+                label={t("quote.number")}
+                value={quote.quoteNumber}
+                placeholder={t("quote.numberAuto", {
+                  number: nextQuoteNumberPreview,
+                })}
+                hint={
+                  quote.revision > 0
+                    ? t("quote.revision", { revision: quote.revision })
+                    : ""
+                }
+                warning={duplicateQuoteNumber ? t("quote.duplicateNumber") : ""}
+                onChange={(v) => setQuote((q) => ({ ...q, quoteNumber: v }))}
+              />
+              <Field
+                label={t("quote.date")}
+                type="date"
+                value={quote.date}
+                hint={
+                  quote.exchangeRateDate
+                    ? t("quote.rateDated", {
+                        rate: exchangeRate,
+                        date: quote.exchangeRateDate,
+                      })
+                    : t("quote.rateDefault", { rate: exchangeRate })
+                }
+                onChange={changeQuoteDate}
+              />
+              <Field
+                label={t("quote.validity")}
+                type="number"
+                hint={
+                  validUntil ? t("quote.validUntil", { date: validUntil }) : ""
+                }
+                value={quote.validityDays}
+                onChange={(v) =>
+                  setQuote((q) => ({
+                    ...q,
+                    validityDays: Math.max(1, Number(v) || 1),
+                  }))
+                }
+              />
+              <label className="field">
+                <span className="label">{t("quote.globalDiscount")}</span>
+                <PercentOrAmountInput
+                  type={quote.discountType}
+                  value={quote.discountValue}
+                  currency={currency}
+                  onChange={(patch) =>
+                    setQuote((q) => ({
+                      ...q,
+                      ...(patch.type !== undefined && {
+                        discountType: patch.type,
+                      }),
+                      ...(patch.value !== undefined && {
+                        discountValue: patch.value,
+                      }),
+                    }))
+                  }
+                />
+                <div className="hint">{t("quote.discountBeforeIgv")}</div>
+              </label>
+              <label className="check">
+                <input
+                  type="checkbox"
+                  checked={!!quote.pricesIncludeIgv}
+                  onChange={(e) =>
+                    setQuote((q) => ({
+                      ...q,
+                      pricesIncludeIgv: e.target.checked,
+                    }))
+                  }
+                />
+                {t("quote.pricesIncludeIgv")}
+              </label>
+              <label className="field">
+                <span className="label">{t("quote.language")}</span>
+                <select
+                  className="input select"
+                  value={docLang}
+                  onChange={(e) => changeQuoteLanguage(e.target.value)}
+                >
+                  {Object.entries(LANGUAGES).map(([lang, name]) => (
+                    <option key={lang} value={lang}>
+                      {name}
+                    </option>
+                  ))}
+                </select>
+                <div className="hint">{t("quote.languageHint")}</div>
+              </label>
+            </div>
+          </div>
+
+          <div className="block">
+            <h2 className="h2">{t("actions.title")}</h2>
+            <div className="summary alt">
+              {labeledLines(uiLang).map((line) => (
+                <React.Fragment key={line.key}>
+                  {line.big && <div className="divider" />}
+                  <Row
+                    label={line.label}
+                    value={formatMoney(line.amount, currency)}
+                    big={line.big}
+                  />
+                  {line.big && (
+                    <div className="amountWords">{totalInWords(uiLang)}</div>
+                  )}
+                </React.Fragment>
+              ))}
+            </div>
+
+            <div
+              style={{
+                marginTop: 12,
+                display: "flex",
+                gap: 10,
+                flexWrap: "wrap",
+              }}
+            >
+              <button
+                className="btn neon"
+                onClick={generatePdfCotizacion}
+                type="button"
+              >
+                {t("actions.pdf")}
+              </button>
+              <button
+                className="btn"
+                onClick={generatePdfInterno}
+                type="button"
+                title={t("actions.internalPdfTitle")}
+              >
+                {t("actions.internalPdf")}
+              </button>
+              <button
+                className="btn"
+                onClick={() => saveCurrentQuote()}
+                type="button"
+              >
+                {currentQuoteId ? t("actions.saveChanges") : t("actions.save")}
+              </button>
+              {currentSaved && (
+                <button
+                  className="btn"
+                  onClick={saveAsRevision}
+                  type="button"
+                  title={t("actions.saveAsTitle")}
+                >
+                  {t("actions.saveAs", {
+                    number: formatRevisionNumber(
+                      currentSaved.quote.quoteNumber,
+                      currentSaved.quote.revision + 1
+                    ),
+                  })}
+                </button>
+              )}
+              <button
+                className="btn ghost"
+                onClick={startNewQuote}
+                type="button"
+              >
+                {t("actions.new")}
+              </button>
+              <button
+                className="btn ghost"
+                onClick={saveAsTemplate}
+                type="button"
+                title={t("actions.saveTemplateTitle")}
+              >
+                {t("actions.saveTemplate")}
+              </button>
+              {templates.length > 0 && (
+                <select
+                  className="input select compact"
+                  value=""
+                  onChange={(e) => startFromTemplate(e.target.value)}
+                >
+                  <option value="">{t("actions.fromTemplate")}</option>
+                  {templates.map((tpl) => (
+                    <option key={tpl.id} value={tpl.id}>
+                      {tpl.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <select
+                className="input select compact"
+                value={invoiceKind}
+                onChange={(e) => setInvoiceKind(e.target.value)}
+                title={t("actions.invoiceKindTitle")}
+              >
+                <option value="">
+                  {t("actions.invoiceKindAuto", {
+                    kind: INVOICE_KINDS[invoiceKindFor(quote.clientDocType)]
+                      .label,
+                  })}
+                </option>
+                {Object.entries(INVOICE_KINDS).map(([key, def]) => (
+                  <option key={key} value={key}>
+                    {def.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="btn"
+                onClick={generateInvoice}
+                type="button"
+                title={t("actions.invoiceTitle")}
+              >
+                {t("actions.invoice")}
+              </button>
+              <div className={`pill status ${quoteStatus}`}>
+                {t("actions.status")}: <b>{t(`status.${quoteStatus}`)}</b>
+                {!currentSaved && ` ${t("actions.unsaved")}`}
+              </div>
+              {quoteStatus === "borrador" && (
+                <button
+                  className="btn ghost"
+                  onClick={markCurrentSent}
+                  type="button"
+                >
+                  {t("actions.markSent")}
+                </button>
+              )}
+              {watermarkStatus && (
+                <label
+                  className={quote.statusWatermark ? "pill warn" : "pill"}
+                  title={t("actions.watermarkTitle")}
+                >
+                  <input
+                    type="checkbox"
+                    checked={!!quote.statusWatermark}
+                    onChange={(e) =>
+                      setQuote((q) => ({
+                        ...q,
+                        statusWatermark: e.target.checked,
+                      }))
+                    }
+                  />{" "}
+                  {t("actions.watermark", {
+                    text: td(`watermark.${watermarkStatus}`),
+                  })}
+                </label>
+              )}
+              <div className="pill">
+                {t("actions.conversion")}:{" "}
+                <b>
+                  {formatMoney(computed.totalOther, computed.otherCurrency)}
+                </b>
+                <select
+                  className="input select inlineSelect"
+                  value={computed.otherCurrency}
+                  onChange={(e) => setReferenceCurrency(e.target.value)}
+                  title={t("actions.conversionTitle")}
+                >
+                  {settings.currencies
+                    .filter((c) => c.code !== currency)
+                    .map((c) => (
+                      <option key={c.code} value={c.code}>
+                        {c.code}
+                      </option>
+                    ))}
+                </select>
+              </div>
+              {computed.detractionApplies && (
+                <div className="pill">
+                  {t("actions.detraction")}:{" "}
+                  <b>{formatMoney(computed.detraction, currency)}</b>
+                </div>
+              )}
+            </div>
+          </div>
+        </section>
+
+        {/* ===== Services table ===== */}
+        <section className="card">
+          <div className="cardHead">
+            <h2 className="h2">{t("services.title")}</h2>
+            <div className="rowActions">
+              {bundles.length > 0 && (
+                <select
+                  className="input select compact"
+                  value=""
+                  onChange={(e) => insertBundle(e.target.value)}
+                  title={t("services.insertBundleTitle")}
+                >
+                  <option value="">{t("services.insertBundle")}</option>
+                  {bundles.map((b) => (
+                    <option key={b.id} value={b.id}>
+                      {b.name} ({b.items.length})
+                    </option>
+                  ))}
+                </select>
+              )}
+              <button
+                className="btn ghost"
+                onClick={() => setShowProfit((v) => !v)}
+                type="button"
+                title={t("profit.internal")}
+              >
+                {showProfit ? t("profit.hide") : t("profit.show")}
+              </button>
+              <button className="btn ghost" onClick={addSection} type="button">
+                {t("services.addSection")}
+              </button>
+              <button
+                className="btn neon"
+                onClick={() => addRow()}
+                type="button"
+              >
+                {t("services.addService")}
+              </button>
+            </div>
+          </div>
+
+          <div className="tableWrap">
+            <table className="galTable">
+              <thead>
+                <tr>
+                  <th style={{ width: 44 }} />
+                  <th style={{ width: 210 }}>{t("services.colService")}</th>
+                  <th>{t("services.colDetail")}</th>
+                  <th style={{ width: 110 }}>{t("services.colQuantity")}</th>
+                  <th style={{ width: 150 }}>{t("services.colUnitPrice")}</th>
+                  <th style={{ width: 170 }}>{t("services.colDiscount")}</th>
+                  <th style={{ width: 170 }}>{t("services.colSubtotal")}</th>
+                  {showProfit && (
+                    <th style={{ width: 200 }}>{t("profit.col")}</th>
+                  )}
+                  <th style={{ width: 70 }} />
+                </tr>
+              </thead>
+              <tbody>
+                {rowGroups.map((g) => (
+                  <React.Fragment key={g.section?.id || "loose"}>
+                    {quote.sections.length > 0 && (
+                      <tr
+                        className={`sectionRow${
+                          dragOverId === (g.section?.id || "loose")
+                            ? " dragOver"
+                            : ""
+                        }`}
+                        onDragOver={(e) =>
+                          dragOver(e, g.section?.id || "loose")
+                        }
+                        onDrop={(e) => dropOnSection(e, g)}
+                      >
+                        <td>
+                          {g.section && (
+                            <button
+                              className="btn ghost dragHandle"
+                              type="button"
+                              draggable
+                              onDragStart={(e) =>
+                                startDrag(e, "section", g.section.id)
+                              }
+                              onDragEnd={endDrag}
+                              onKeyDown={(e) =>
+                                handleMoveKey(e, "section", g.section.id)
+                              }
+                              title={t("services.moveSection")}
+                              aria-label={t("services.moveSectionLabel", {
+                                name: g.section.name,
+                              })}
+                            >
+                              ⋮⋮
+                            </button>
+                          )}
+                        </td>
+                        <td colSpan={5}>
+                          <div className="sectionHead">
+                            {g.section ? (
+                              <input
+                                className="input"
+                                value={g.section.name}
+                                placeholder={t("services.sectionName")}
+                                onChange={(e) =>
+                                  renameSection(g.section.id, e.target.value)
+                                }
+                              />
+                            ) : (
+                              <span className="strong">
+                                {t("services.noSection")}
+                              </span>
+                            )}
+                            <button
+                              className="btn ghost"
+                              type="button"
+                              onClick={() => addRow(g.section?.id || "")}
+                            >
+                              {t("services.addToSection")}
+                            </button>
+                          </div>
+                        </td>
+                        <td className="right strong">
+                          {formatMoney(g.subtotal, currency)}
+                        </td>
+                        {showProfit && <td />}
+                        <td className="right">
+                          {g.section && (
+                            <button
+                              className="btn ghost"
+                              onClick={() => removeSection(g.section.id)}
+                              type="button"
+                              title={t("services.removeSection")}
+                            >
+                              ✕
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                    {g.rows.map((r) => {
+                      const svc = getServiceByCode(r.serviceType);
+                      const suggestion = serviceSuggestion(svc, docLang);
+                      return (
+                        <tr
+                          key={r.id}
+                          className={dragOverId === r.id ? "dragOver" : ""}
+                          onDragOver={(e) => dragOver(e, r.id)}
+                          onDrop={(e) => dropOnRow(e, r)}
+                        >
+                          <td>
+                            <button
+                              className="btn ghost dragHandle"
+                              type="button"
+                              draggable
+                              onDragStart={(e) => startDrag(e, "row", r.id)}
+                              onDragEnd={endDrag}
+                              onKeyDown={(e) => handleMoveKey(e, "row", r.id)}
+                              title={t("services.moveRow")}
+                              aria-label={t("services.moveRowLabel")}
+                            >
+                              ⋮⋮
+                            </button>
+                          </td>
+                          <td>
+                            <select
+                              className="input select"
+                              value={r.serviceType}
+                              onChange={(e) =>
+                                handleServiceChange(r.id, e.target.value)
+                              }
+                            >
+                              {services.map((s) => (
+                                <option key={s.id} value={s.code}>
+                                  {serviceLabel(s, uiLang)}
+                                </option>
+                              ))}
+                            </select>
+                            <PricingTypeSelect
+                              value={r.pricingType}
+                              lang={uiLang}
+                              onChange={(v) => changeRowPricingType(r.id, v)}
+                            />
+                            {r.taxCategory !== "gravado" && (
+                              <div className="hint">
+                                {t("services.taxNote", {
+                                  category: t(`tax.${r.taxCategory}`),
+                                })}
+                              </div>
+                            )}
+                          </td>
+
+                          <td>
+                            <textarea
+                              className="input textarea"
+                              rows={3}
+                              value={r.detail}
+                              placeholder={suggestion}
+                              onChange={(e) =>
+                                updateRow(r.id, { detail: e.target.value })
+                              }
+                            />
+                          </td>
 
-                  <label className="field">
-                    <span className="label">Código (único)</span>
-                    <input
-                      className="input"
-                      value={newService.code}
-                      onChange={(e) =>
-                        setNewService((p) => ({
-                          ...p,
-                          code: slugifyCode(e.target.value),
-                        }))
-                      }
-                    />
-                    <div className="hint">Ej: mantenimiento_avanzado</div>
-                  </label>
+                          <td>
+                            {r.pricingType === "fixed" ? (
+                              <div className="hint">{t("pricing.fixed")}</div>
+                            ) : (
+                              <>
+                                <input
+                                  className="input"
+                                  type="number"
+                                  min="0"
+                                  step={
+                                    r.pricingType === "hourly" ? "0.5" : "1"
+                                  }
+                                  value={r.hours}
+                                  onChange={(e) =>
+                                    updateRow(r.id, { hours: e.target.value })
+                                  }
+                                />
+                                <div className="hint">
+                                  {t(`pricing.qty.${r.pricingType}`)}
+                                </div>
+                              </>
+                            )}
+                          </td>
 
-                  <label className="field">
-                    <span className="label">Costo/hora (default)</span>
-                    <input
-                      className="input"
-                      type="number"
-                      step="0.01"
-                      min="0"
-                      value={newService.defaultHourlyCost}
-                      onChange={(e) =>
-                        setNewService((p) => ({
-                          ...p,
-                          defaultHourlyCost: Number(e.target.value) || 0,
-                        }))
-                      }
-                    />
-                  </label>
-                </div>
+                          <td>
+                            <input
+                              className="input"
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={r.hourlyCost}
+                              onChange={(e) =>
+                                updateRow(r.id, {
+                                  hourlyCost: e.target.value,
+                                  rateOverridden: true,
+                                })
+                              }
+                            />
+                            <div className="hint">
+                              {PRICING_TYPES[r.pricingType].per
+                                ? `${currency} / ${t(
+                                    `pricing.per.${r.pricingType}`
+                                  )}`
+                                : currency}
+                              {quote.pricesIncludeIgv &&
+                                r.taxCategory === "gravado" &&
+                                ` ${t("services.includesIgv")}`}
+                              {svc && svc.currency !== currency && (
+                                <>
+                                  {" • "}
+                                  {t("services.catalogRate", {
+                                    amount: formatMoney(
+                                      svc.defaultHourlyCost,
+                                      svc.currency
+                                    ),
+                                  })}
+                                </>
+                              )}
+                              {r.rateOverridden && ` • ${t("services.edited")}`}
+                            </div>
+                          </td>
 
-                <label className="field">
-                  <span className="label">Detalle sugerido</span>
-                  <textarea
-                    className="input textarea"
-                    rows={3}
-                    value={newService.suggestion}
-                    onChange={(e) =>
-                      setNewService((p) => ({
-                        ...p,
-                        suggestion: e.target.value,
-                      }))
-                    }
-                  />
-                </label>
+                          <td>
+                            <PercentOrAmountInput
+                              type={r.discountType}
+                              value={r.discountValue}
+                              currency={currency}
+                              onChange={(patch) =>
+                                updateRow(r.id, {
+                                  ...(patch.type !== undefined && {
+                                    discountType: patch.type,
+                                  }),
+                                  ...(patch.value !== undefined && {
+                                    discountValue: patch.value,
+                                  }),
+                                })
+                              }
+                            />
+                          </td>
 
+                          <td className="right strong">
+                            {formatMoney(r.subtotal, currency)}
+                            {r.discount > 0 && (
+                              <div className="hint">
+                                {t("services.gross", {
+                                  amount: formatMoney(r.gross, currency),
+                                })}
+                              </div>
+                            )}
+                          </td>
+
+                          {showProfit && (
+                            <td className="profitCell">
+                              {r.pricingType === "hourly" ? (
+                                <select
+                                  className="input select compact"
+                                  value={r.roleId}
+                                  onChange={(e) =>
+                                    updateRow(r.id, { roleId: e.target.value })
+                                  }
+                                >
+                                  <option value="">
+                                    {t("profit.serviceCost")}
+                                  </option>
+                                  {settings.teamRoles.map((role) => (
+                                    <option key={role.id} value={role.id}>
+                                      {role.name || "—"}
+                                    </option>
+                                  ))}
+                                </select>
+                              ) : (
+                                <div className="hint">
+                                  {t("profit.serviceCost")}
+                                </div>
+                              )}
+                              {rowProfit[r.id] ? (
+                                <>
+                                  <div className="hint">
+                                    {t("profit.cost", {
+                                      amount: formatMoney(
+                                        rowProfit[r.id].cost,
+                                        currency
+                                      ),
+                                    })}
+                                  </div>
+                                  <div
+                                    className={
+                                      rowProfit[r.id].low
+                                        ? "hint warn"
+                                        : "hint strong"
+                                    }
+                                  >
+                                    {t("profit.margin", {
+                                      amount: formatMoney(
+                                        rowProfit[r.id].margin,
+                                        currency
+                                      ),
+                                      percent: formatPercent(
+                                        rowProfit[r.id].marginPct
+                                      ),
+                                    })}
+                                    {rowProfit[r.id].low &&
+                                      ` • ${t("profit.belowMin", {
+                                        percent: settings.minMarginPercent,
+                                      })}`}
+                                  </div>
+                                </>
+                              ) : (
+                                <div className="hint">{t("profit.noCost")}</div>
+                              )}
+                            </td>
+                          )}
+
+                          <td className="right">
+                            <button
+                              className="btn ghost"
+                              onClick={() => removeRow(r.id)}
+                              type="button"
+                              title={t("common.delete")}
+                            >
+                              ✕
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="notes">
+            <div className="pill">
+              IGV:{" "}
+              <b>{Math.round((Number(settings.igvRate) || 0.18) * 100)}%</b>{" "}
+              {quote.pricesIncludeIgv
+                ? t("notes.igvIncluded")
+                : t("notes.igvAdded")}
+            </div>
+            <div className="pill">
+              {t("notes.rate")}:{" "}
+              <b>
+                {exchangeRateText([
+                  DATED_RATE_CURRENCY,
+                  currency,
+                  computed.otherCurrency,
+                ])}
+              </b>{" "}
+              {quote.exchangeRateDate
+                ? t("notes.usdDated", { date: quote.exchangeRateDate })
+                : t("notes.usdDefault")}
+            </div>
+            {outdatedRates.length > 0 && (
+              <div className="pill warn">
+                {t("notes.outdatedRates", { date: quote.date })}:{" "}
+                <b>
+                  {outdatedRates.map((r) => `${r.code} ${r.rate}`).join(" · ")}
+                </b>
                 <button
-                  className="btn neon"
+                  className="btn ghost"
+                  onClick={relockExchangeRate}
                   type="button"
-                  onClick={addServiceFromAdmin}
+                  style={{ marginLeft: 8 }}
                 >
-                  + Agregar servicio
+                  {t("notes.apply")}
                 </button>
               </div>
+            )}
+            {showProfit && (
+              <div className="pill">
+                {t("profit.total")}:{" "}
+                <b>{formatMoney(profitability.cost, currency)}</b> •{" "}
+                {t("profit.quoteMargin")}:{" "}
+                <b>
+                  {formatMoney(profitability.margin, currency)} (
+                  {formatPercent(profitability.marginPct)})
+                </b>
+                {profitability.missing > 0 &&
+                  ` • ${t("profit.missing", { count: profitability.missing })}`}
+              </div>
+            )}
+            {profitability.lowCount > 0 && (
+              <div className="pill warn">
+                {t("profit.lowRows", {
+                  count: profitability.lowCount,
+                  percent: settings.minMarginPercent,
+                })}
+                {!showProfit && (
+                  <button
+                    className="btn ghost"
+                    onClick={() => setShowProfit(true)}
+                    type="button"
+                    style={{ marginLeft: 8 }}
+                  >
+                    {t("profit.show")}
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        </section>
+
+        {/* ===== Payment schedule ===== */}
+        <section className="card">
+          <div className="cardHead">
+            <h2 className="h2">{t("schedule.title")}</h2>
+            <div className="rowActions">
+              <button
+                className="btn ghost"
+                type="button"
+                onClick={applyMilestonePreset}
+              >
+                {t("schedule.preset")}
+              </button>
+              <button className="btn neon" type="button" onClick={addMilestone}>
+                {t("schedule.add")}
+              </button>
             </div>
-          </section>
-        )}
+          </div>
 
-        {/* ===== Quote ===== */}
+          {paymentSchedule.items.length === 0 ? (
+            <div className="hint">{t("schedule.empty")}</div>
+          ) : (
+            <>
+              <div className="tableWrap">
+                <table className="galTable">
+                  <thead>
+                    <tr>
+                      <th>{t("schedule.colMilestone")}</th>
+                      <th style={{ width: 190 }}>{t("schedule.colValue")}</th>
+                      <th>{t("schedule.colCondition")}</th>
+                      <th style={{ width: 150 }}>{t("schedule.colAmount")}</th>
+                      <th style={{ width: 70 }} />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {paymentSchedule.items.map((m) => (
+                      <tr key={m.id}>
+                        <td>
+                          <input
+                            className="input"
+                            value={m.name}
+                            onChange={(e) =>
+                              updateMilestone(m.id, { name: e.target.value })
+                            }
+                          />
+                        </td>
+                        <td>
+                          <PercentOrAmountInput
+                            type={m.type}
+                            value={m.value}
+                            currency={currency}
+                            onChange={(patch) => updateMilestone(m.id, patch)}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            className="input"
+                            value={m.condition}
+                            onChange={(e) =>
+                              updateMilestone(m.id, {
+                                condition: e.target.value,
+                              })
+                            }
+                          />
+                        </td>
+                        <td className="right strong">
+                          {formatMoney(m.amount, currency)}
+                          <div className="hint">
+                            {formatMoney(m.amountOther, computed.otherCurrency)}
+                          </div>
+                        </td>
+                        <td className="right">
+                          <button
+                            className="btn ghost"
+                            onClick={() => removeMilestone(m.id)}
+                            type="button"
+                            title={t("common.delete")}
+                          >
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="notes">
+                {paymentSchedule.valid ? (
+                  <div className="pill">
+                    {t("schedule.sum")}:{" "}
+                    <b>{formatMoney(computed.total, currency)}</b> ✓
+                  </div>
+                ) : (
+                  <div className="pill warn">
+                    {paymentSchedule.diff > 0
+                      ? t("schedule.missing")
+                      : t("schedule.exceeds")}
+                    :{" "}
+                    <b>
+                      {formatMoney(Math.abs(paymentSchedule.diff), currency)}
+                    </b>{" "}
+                    (
+                    {t("schedule.total", {
+                      amount: formatMoney(computed.total, currency),
+                    })}
+                    )
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </section>
+
+        {/* ===== Commercial conditions ===== */}
         <section className="card grid2">
           <div className="block">
-            <h2 className="h2">Cotización</h2>
-            <div className="formGrid">
-              <Field
-                label="Cliente"
-                value={quote.clientName}
-                onChange={(v) => setQuote((q) => ({ ...q, clientName: v }))}
-              />
-              <Field
-                label="N° Cotización"
-                value={quote.quoteNumber}
-                onChange={(v) => setQuote((q) => ({ ...q, quoteNumber: v }))}
-              />
-              <Field
-                label="Fecha"
-                type="date"
-                value={quote.date}
-                onChange={(v) => setQuote((q) => ({ ...q, date: v }))}
-              />
-              <Field
-                label="Validez (días)"
-                type="number"
-                value={quote.validityDays}
-                onChange={(v) =>
+            <h2 className="h2">{t("conditions.title")}</h2>
+
+            <label className="field">
+              <span className="label">{t("conditions.payment")}</span>
+              <textarea
+                className="input textarea"
+                rows={3}
+                value={paymentConditions}
+                onChange={(e) =>
                   setQuote((q) => ({
                     ...q,
-                    validityDays: Math.max(1, Number(v) || 1),
+                    paymentConditions: e.target.value,
                   }))
                 }
               />
-            </div>
-          </div>
+            </label>
 
-          <div className="block">
-            <h2 className="h2">Acciones</h2>
-            <div className="summary alt">
-              <Row
-                label="Subtotal"
-                value={moneyFmt(computed.subtotal, currency)}
-              />
-              <Row
-                label={`IGV (${Math.round(
-                  (Number(settings.igvRate) || 0.18) * 100
-                )}%)`}
-                value={moneyFmt(computed.igv, currency)}
-              />
-              <div className="divider" />
-              <Row
-                label="Total"
-                value={moneyFmt(computed.total, currency)}
-                big
+            <label className="field" style={{ marginTop: 12 }}>
+              <span className="label">{t("conditions.terms")}</span>
+              <textarea
+                className="input textarea"
+                rows={5}
+                value={terms}
+                onChange={(e) =>
+                  setQuote((q) => ({ ...q, terms: e.target.value }))
+                }
               />
-            </div>
+            </label>
 
-            <div
-              style={{
-                marginTop: 12,
-                display: "flex",
-                gap: 10,
-                flexWrap: "wrap",
-              }}
-            >
+            <div className="adminActions">
               <button
-                className="btn neon"
-                onClick={generatePdfCotizacion}
+                className="btn ghost"
                 type="button"
+                onClick={() =>
+                  setQuote((q) => ({
+                    ...q,
+                    paymentConditions: null,
+                    terms: null,
+                    bankAccountIds: null,
+                  }))
+                }
               >
-                Descargar PDF (Cotización)
+                {t("conditions.reset")}
               </button>
-              <div className="pill">
-                Conversión informativa:{" "}
-                <b>{moneyFmt(computed.totalOther, computed.otherCurrency)}</b>
-              </div>
             </div>
           </div>
+
+          <div className="block">
+            <h2 className="h2">{t("conditions.banks")}</h2>
+            {settings.bankAccounts.length === 0 ? (
+              <div className="hint">{t("conditions.noBanks")}</div>
+            ) : (
+              <div className="checkList">
+                {settings.bankAccounts.map((a) => (
+                  <label className="check" key={a.id}>
+                    <input
+                      type="checkbox"
+                      checked={quoteBankAccounts.some((x) => x.id === a.id)}
+                      onChange={() => toggleQuoteBankAccount(a.id)}
+                    />
+                    {a.bank || t("conditions.bank")} ({a.currency}) •{" "}
+                    {a.accountNumber}
+                    {a.cci ? ` • CCI ${a.cci}` : ""}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
         </section>
 
-        {/* ===== Services table ===== */}
+        {/* ===== Revisions ===== */}
+        {revisionVersions.length > 1 && (
+          <section className="card">
+            <div className="cardHead">
+              <h2 className="h2">
+                {t("revisions.title", {
+                  number: currentSaved.quote.quoteNumber,
+                })}
+              </h2>
+            </div>
+
+            <div className="tableWrap">
+              <table className="galTable">
+                <thead>
+                  <tr>
+                    <th style={{ width: 200 }}>{t("revisions.colNumber")}</th>
+                    <th style={{ width: 170 }}>{t("revisions.colSaved")}</th>
+                    <th style={{ width: 120 }}>{t("revisions.colStatus")}</th>
+                    <th style={{ width: 140 }} className="right">
+                      {t("revisions.colTotal")}
+                    </th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {revisionVersions.map((v) => {
+                    const current = v.revision === currentSaved.quote.revision;
+                    return (
+                      <tr key={v.revision} className={current ? "current" : ""}>
+                        <td className="strong">
+                          {formatRevisionNumber(
+                            v.quote.quoteNumber,
+                            v.revision
+                          )}
+                          <div className="hint">
+                            {current
+                              ? t("revisions.current")
+                              : t("revisions.readOnly")}
+                          </div>
+                        </td>
+                        <td>{v.savedAt.slice(0, 16).replace("T", " ")}</td>
+                        <td>{t(`status.${v.status}`)}</td>
+                        <td className="right">
+                          {formatMoney(v.total, v.currency)}
+                        </td>
+                        <td className="right">
+                          {!current && (
+                            <button
+                              className="btn ghost"
+                              type="button"
+                              onClick={() =>
+                                loadQuoteIntoEditor(v, { asNew: true })
+                              }
+                            >
+                              {t("revisions.duplicate")}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="adminRow two" style={{ marginTop: 12 }}>
+              {[
+                ["from", t("revisions.from"), revisionFrom],
+                ["to", t("revisions.to"), revisionTo],
+              ].map(([key, label, selected]) => (
+                <label className="field" key={key}>
+                  <span className="label">{label}</span>
+                  <select
+                    className="input select"
+                    value={selected.revision}
+                    onChange={(e) =>
+                      setRevisionCompare((c) => ({
+                        ...c,
+                        [key]: Number(e.target.value),
+                      }))
+                    }
+                  >
+                    {revisionVersions.map((v) => (
+                      <option key={v.revision} value={v.revision}>
+                        {formatRevisionNumber(v.quote.quoteNumber, v.revision)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            {revisionDiff && (
+              <ul className="changeList">
+                {revisionDiff.added.map((r) => (
+                  <li key={`add-${r.id}`}>
+                    {t("revisions.added")}: {revisionRowLabel(r)} (
+                    {revisionRowAmount(r, revisionTo.currency)})
+                  </li>
+                ))}
+                {revisionDiff.removed.map((r) => (
+                  <li key={`del-${r.id}`}>
+                    {t("revisions.removed")}: {revisionRowLabel(r)} (
+                    {revisionRowAmount(r, revisionFrom.currency)})
+                  </li>
+                ))}
+                {revisionDiff.changed.map(({ row, changes }) => (
+                  <li key={`chg-${row.id}`}>
+                    ~ {revisionRowLabel(row)}:{" "}
+                    {changes
+                      .map((c) => `${c.label} ${c.from} → ${c.to}`)
+                      .join("; ")}
+                  </li>
+                ))}
+                {revisionDiff.added.length +
+                  revisionDiff.removed.length +
+                  revisionDiff.changed.length ===
+                  0 && <li>{t("revisions.noChanges")}</li>}
+                {revisionDiff.currencyChanged && (
+                  <li>
+                    {t("revisions.currency")}: {revisionFrom.currency} →{" "}
+                    {revisionTo.currency}
+                  </li>
+                )}
+                <li>
+                  {t("revisions.total")}:{" "}
+                  {formatMoney(revisionFrom.total, revisionFrom.currency)} →{" "}
+                  <b>{formatMoney(revisionTo.total, revisionTo.currency)}</b>
+                  {revisionDiff.totalDelta !== null &&
+                    ` (${revisionDiff.totalDelta >= 0 ? "+" : ""}${formatMoney(
+                      revisionDiff.totalDelta,
+                      revisionTo.currency
+                    )})`}
+                </li>
+              </ul>
+            )}
+          </section>
+        )}
+
+        {/* ===== Saved quotes ===== */}
         <section className="card">
           <div className="cardHead">
-            <h2 className="h2">Servicios</h2>
-            <button className="btn neon" onClick={addRow} type="button">
-              + Agregar servicio
-            </button>
+            <h2 className="h2">{t("saved.title")}</h2>
+            <div className="savedFilters">
+              <select
+                className="input select statusFilter"
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+              >
+                <option value="">{t("saved.allStatuses")}</option>
+                {Object.keys(QUOTE_STATUSES).map((key) => (
+                  <option key={key} value={key}>
+                    {t(`status.${key}`)} ({statusCounts[key] || 0})
+                  </option>
+                ))}
+              </select>
+              <input
+                className="input searchInput"
+                placeholder={t("saved.search")}
+                value={quoteSearch}
+                onChange={(e) => setQuoteSearch(e.target.value)}
+              />
+            </div>
           </div>
 
-          <div className="tableWrap">
-            <table className="galTable">
-              <thead>
-                <tr>
-                  <th style={{ width: 210 }}>Tipo de servicio</th>
-                  <th>Detalle por tipo servicio</th>
-                  <th style={{ width: 110 }}>Horas</th>
-                  <th style={{ width: 150 }}>Costo / hora</th>
-                  <th style={{ width: 170 }}>Subtotal</th>
-                  <th style={{ width: 70 }} />
-                </tr>
-              </thead>
-              <tbody>
-                {computed.items.map((r) => {
-                  const svc = getServiceByCode(r.serviceType);
-                  const suggestion = svc?.suggestion || "";
-                  return (
-                    <tr key={r.id}>
+          {filteredSavedQuotes.length === 0 ? (
+            <div className="hint">
+              {savedQuotes.length === 0 ? t("saved.empty") : t("saved.noMatch")}
+            </div>
+          ) : (
+            <div className="tableWrap">
+              <table className="galTable">
+                <thead>
+                  <tr>
+                    <th style={{ width: 140 }}>{t("saved.colNumber")}</th>
+                    <th>{t("saved.colClient")}</th>
+                    <th style={{ width: 120 }}>{t("saved.colDate")}</th>
+                    <th style={{ width: 80 }}>{t("saved.colCurrency")}</th>
+                    <th style={{ width: 170 }}>{t("saved.colStatus")}</th>
+                    <th style={{ width: 260 }} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredSavedQuotes.map((q) => (
+                    <tr
+                      key={q.id}
+                      className={q.id === currentQuoteId ? "current" : ""}
+                    >
+                      <td className="strong">
+                        {formatRevisionNumber(
+                          q.quote.quoteNumber,
+                          q.quote.revision
+                        )}
+                        {q.revisions.length > 0 && (
+                          <div className="hint">
+                            {t("saved.previousVersions", {
+                              count: q.revisions.length,
+                            })}
+                          </div>
+                        )}
+                      </td>
+                      <td>{q.quote.clientName}</td>
+                      <td>{q.quote.date}</td>
+                      <td>{q.currency}</td>
                       <td>
                         <select
-                          className="input select"
-                          value={r.serviceType}
+                          className={`input select status ${q.status}`}
+                          value={q.status}
                           onChange={(e) =>
-                            handleServiceChange(r.id, e.target.value)
+                            setSavedQuoteStatus(q.id, e.target.value)
                           }
                         >
-                          {services.map((s) => (
-                            <option key={s.id} value={s.code}>
-                              {s.label}
+                          {Object.keys(QUOTE_STATUSES).map((key) => (
+                            <option key={key} value={key}>
+                              {t(`status.${key}`)}
                             </option>
                           ))}
                         </select>
+                        <div className="hint">
+                          {t("saved.since", {
+                            date: lastStatusChange(q).slice(0, 10),
+                          })}
+                        </div>
+                        {invoicesByQuote[q.id] && (
+                          <div className="hint">
+                            {t("saved.invoices", {
+                              numbers: invoicesByQuote[q.id]
+                                .map((inv) => inv.number)
+                                .join(", "),
+                            })}
+                          </div>
+                        )}
                       </td>
-
-                      <td>
-                        <textarea
-                          className="input textarea"
-                          rows={3}
-                          value={r.detail}
-                          placeholder={suggestion}
-                          onChange={(e) =>
-                            updateRow(r.id, { detail: e.target.value })
-                          }
-                        />
-                      </td>
-
-                      <td>
-                        <input
-                          className="input"
-                          type="number"
-                          min="0"
-                          step="0.5"
-                          value={r.hours}
-                          onChange={(e) =>
-                            updateRow(r.id, { hours: e.target.value })
-                          }
-                        />
-                      </td>
-
-                      <td>
-                        <input
-                          className="input"
-                          type="number"
-                          min="0"
-                          step="0.01"
-                          value={r.hourlyCost}
-                          onChange={(e) =>
-                            updateRow(r.id, { hourlyCost: e.target.value })
-                          }
-                        />
-                        <div className="hint">{currency} / hora</div>
-                      </td>
-
-                      <td className="right strong">
-                        {moneyFmt(r.subtotal, currency)}
-                      </td>
-
                       <td className="right">
-                        <button
-                          className="btn ghost"
-                          onClick={() => removeRow(r.id)}
-                          type="button"
-                          title="Eliminar"
-                        >
-                          ✕
-                        </button>
+                        <div className="rowActions">
+                          <button
+                            className="btn ghost"
+                            type="button"
+                            onClick={() => openSavedQuote(q.id)}
+                          >
+                            {t("saved.open")}
+                          </button>
+                          <button
+                            className="btn ghost"
+                            type="button"
+                            onClick={() => duplicateSavedQuote(q.id)}
+                          >
+                            {t("saved.duplicate")}
+                          </button>
+                          <button
+                            className="btn ghost"
+                            type="button"
+                            onClick={() => deleteSavedQuote(q.id)}
+                          >
+                            {t("common.delete")}
+                          </button>
+                        </div>
                       </td>
                     </tr>
-                  );
-                })}
-              </tbody>
-            </table>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+
+        {/* ===== Comprobantes ===== */}
+        <section className="card">
+          <div className="cardHead">
+            <h2 className="h2">{t("invoices.title")}</h2>
           </div>
 
-          <div className="notes">
-            <div className="pill">
-              IGV:{" "}
-              <b>{Math.round((Number(settings.igvRate) || 0.18) * 100)}%</b> (se
-              suma al total)
-            </div>
-            <div className="pill">
-              TC: <b>1 USD = {Number(settings.exchangeRate) || 3.5} PEN</b>
+          {sortedInvoices.length === 0 ? (
+            <div className="hint">{t("invoices.empty")}</div>
+          ) : (
+            <div className="tableWrap">
+              <table className="galTable">
+                <thead>
+                  <tr>
+                    <th style={{ width: 150 }}>{t("invoices.colNumber")}</th>
+                    <th style={{ width: 90 }}>{t("invoices.colKind")}</th>
+                    <th style={{ width: 110 }}>{t("invoices.colDate")}</th>
+                    <th>{t("invoices.colClient")}</th>
+                    <th style={{ width: 150 }}>{t("invoices.colQuote")}</th>
+                    <th style={{ width: 130 }} className="right">
+                      {t("invoices.colTotal")}
+                    </th>
+                    <th style={{ width: 170 }} />
+                  </tr>
+                </thead>
+                <tbody>
+                  {sortedInvoices.map((inv) => {
+                    const fromQuote = savedQuotes.some(
+                      (q) => q.id === inv.quoteId
+                    );
+                    return (
+                      <tr key={inv.id}>
+                        <td className="strong">{inv.number}</td>
+                        <td>{INVOICE_KINDS[inv.kind].label}</td>
+                        <td>{inv.issueDate}</td>
+                        <td>
+                          {inv.client.name}
+                          {inv.client.docNumber && (
+                            <div className="hint">
+                              {inv.client.docType}: {inv.client.docNumber}
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          {fromQuote ? (
+                            <button
+                              className="btn ghost"
+                              type="button"
+                              onClick={() => openSavedQuote(inv.quoteId)}
+                            >
+                              {inv.quoteNumber}
+                            </button>
+                          ) : (
+                            <span className="hint">
+                              {t("invoices.quoteDeleted", {
+                                number: inv.quoteNumber,
+                              })}
+                            </span>
+                          )}
+                        </td>
+                        <td className="right">
+                          {formatMoney(inv.total, inv.currency)}
+                        </td>
+                        <td className="right">
+                          <div className="rowActions">
+                            <button
+                              className="btn ghost"
+                              type="button"
+                              onClick={() => generatePdfComprobante(inv)}
+                            >
+                              PDF
+                            </button>
+                            <button
+                              className="btn ghost"
+                              type="button"
+                              onClick={() => deleteInvoice(inv.id)}
+                            >
+                              {t("common.delete")}
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
             </div>
-          </div>
+          )}
         </section>
 
         <footer className="end">
           <div className="endGlow" />
-          <p className="endText">
-            Esta cotización puede ajustarse según alcance final, tiempos y
-            entregables.
-          </p>
+          <p className="endText">{t("app.footer")}</p>
         </footer>
+
+        {undoToast && (
+          <div className="toast" key={undoToast.id} role="status">
+            <span>{undoToast.message}</span>
+            <button
+              className="btn neon"
+              type="button"
+              onClick={undoToastAction}
+            >
+              {t("history.toastUndo")}
+            </button>
+            <button
+              className="btn ghost"
+              type="button"
+              onClick={() => setUndoToast(null)}
+              aria-label={t("history.toastClose")}
+            >
+              ✕
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
-function Field({ label, value, onChange, type = "text" }) {
+function Field({
+  label,
+  value,
+  onChange,
+  type = "text",
+  placeholder = "",
+  hint = "",
+  warning = "",
+}) {
   return (
     <label className="field">
       <span className="label">{label}</span>
@@ -977,12 +6072,177 @@ function Field({ label, value, onChange, type = "text" }) {
         className="input"
         type={type}
         value={value}
+        placeholder={placeholder}
         onChange={(e) => onChange(e.target.value)}
       />
+      {hint && <div className="hint">{hint}</div>}
+      {warning && <div className="hint warn">{warning}</div>}
     </label>
   );
 }
 
+function ClientFields({ client, onChange, lang = "es" }) {
+  const tr = (key, vars) => translate(lang, key, vars);
+  const docError = clientDocError(client.docType, client.docNumber);
+  return (
+    <>
+      <div className="adminRow">
+        <label className="field">
+          <span className="label">{tr("client.name")}</span>
+          <input
+            className="input"
+            value={client.name}
+            onChange={(e) => onChange({ name: e.target.value })}
+          />
+        </label>
+
+        <label className="field">
+          <span className="label">{tr("client.docType")}</span>
+          <select
+            className="input select"
+            value={client.docType}
+            onChange={(e) => onChange({ docType: e.target.value })}
+          >
+            <option value="RUC">RUC</option>
+            <option value="DNI">DNI</option>
+          </select>
+        </label>
+
+        <label className="field">
+          <span className="label">
+            {tr("client.docNumber", { docType: client.docType })}
+          </span>
+          <input
+            className="input"
+            inputMode="numeric"
+            maxLength={client.docType === "DNI" ? 8 : 11}
+            value={client.docNumber}
+            onChange={(e) =>
+              onChange({ docNumber: e.target.value.replace(/\D/g, "") })
+            }
+          />
+          {docError && <div className="hint warn">{tr(docError)}</div>}
+        </label>
+      </div>
+
+      <label className="field" style={{ marginTop: 12 }}>
+        <span className="label">{tr("client.address")}</span>
+        <input
+          className="input"
+          value={client.address}
+          onChange={(e) => onChange({ address: e.target.value })}
+        />
+      </label>
+
+      <div className="adminRow" style={{ marginTop: 12 }}>
+        <label className="field">
+          <span className="label">{tr("client.contact")}</span>
+          <input
+            className="input"
+            value={client.contactName}
+            onChange={(e) => onChange({ contactName: e.target.value })}
+          />
+        </label>
+
+        <label className="field">
+          <span className="label">Email</span>
+          <input
+            className="input"
+            type="email"
+            value={client.email}
+            onChange={(e) => onChange({ email: e.target.value })}
+          />
+        </label>
+
+        <label className="field">
+          <span className="label">{tr("client.phone")}</span>
+          <input
+            className="input"
+            value={client.phone}
+            onChange={(e) => onChange({ phone: e.target.value })}
+          />
+        </label>
+      </div>
+    </>
+  );
+}
+
+function CurrencySelect({ value, onChange, currencies, lang = "es" }) {
+  return (
+    <select
+      className="input select"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {!currencies.some((c) => c.code === value) && (
+        <option value={value}>
+          {translate(lang, "currency.notConfigured", { code: value })}
+        </option>
+      )}
+      {currencies.map((c) => (
+        <option key={c.code} value={c.code}>
+          {c.code}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function TaxCategorySelect({ value, onChange, lang = "es" }) {
+  return (
+    <select
+      className="input select"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {Object.keys(TAX_CATEGORIES).map((code) => (
+        <option key={code} value={code}>
+          {translate(lang, `tax.${code}`)}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function PricingTypeSelect({ value, onChange, lang = "es" }) {
+  return (
+    <select
+      className="input select pricingType"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {Object.keys(PRICING_TYPES).map((key) => (
+        <option key={key} value={key}>
+          {translate(lang, `pricing.${key}`)}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+function PercentOrAmountInput({ type, value, currency, onChange }) {
+  return (
+    <div className="percentOrAmount">
+      <select
+        className="input select"
+        value={type}
+        onChange={(e) => onChange({ type: e.target.value })}
+      >
+        <option value="percent">%</option>
+        <option value="amount">{currency}</option>
+      </select>
+      <input
+        className="input"
+        type="number"
+        min="0"
+        step="0.01"
+        value={value}
+        onChange={(e) => onChange({ value: e.target.value })}
+      />
+    </div>
+  );
+}
+
 function Row({ label, value, big = false }) {
   return (
     <div className={big ? "sumRow big" : "sumRow"}>
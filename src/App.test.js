@@ -1,8 +1,36 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { fireEvent, render, screen, within } from "@testing-library/react";
+import App from "./App";
 
-test('renders learn react link', () => {
+beforeEach(() => localStorage.clear());
+
+test("renders the quote editor with the default service and its total", () => {
+  render(<App />);
+  expect(screen.getByText("Guardar cotización")).toBeInTheDocument();
+  // 10 h × S/ 60 + IGV 18%
+  expect(screen.getAllByText("S/ 708.00").length).toBeGreaterThan(0);
+});
+
+test("switches the interface language", () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText("Idioma de la interfaz"), {
+    target: { value: "en" },
+  });
+  expect(screen.getByText("Save quote")).toBeInTheDocument();
+});
+
+test("starts without undo steps from the automatic rate and issuer setup", () => {
+  render(<App />);
+  expect(screen.getByTitle("Deshacer (Ctrl+Z)")).toBeDisabled();
+});
+
+test("offers to undo deleting a service used by the quote", () => {
+  jest.spyOn(window, "confirm").mockReturnValue(true);
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByText("Administración"));
+  const card = screen.getByRole("group", { name: "Creación de página web" });
+  fireEvent.click(within(card).getByText("Eliminar"));
+  expect(screen.getByRole("status")).toHaveTextContent(
+    'Servicio "Creación de página web" eliminado del catálogo.'
+  );
+  window.confirm.mockRestore();
 });
@@ -0,0 +1,192 @@
+/** ========= Monto en letras ========= */
+const WORD_UNITS = [
+  "",
+  "UNO",
+  "DOS",
+  "TRES",
+  "CUATRO",
+  "CINCO",
+  "SEIS",
+  "SIETE",
+  "OCHO",
+  "NUEVE",
+];
+const WORD_TEENS = [
+  "DIEZ",
+  "ONCE",
+  "DOCE",
+  "TRECE",
+  "CATORCE",
+  "QUINCE",
+  "DIECISÉIS",
+  "DIECISIETE",
+  "DIECIOCHO",
+  "DIECINUEVE",
+];
+const WORD_TWENTIES = [
+  "VEINTE",
+  "VEINTIUNO",
+  "VEINTIDÓS",
+  "VEINTITRÉS",
+  "VEINTICUATRO",
+  "VEINTICINCO",
+  "VEINTISÉIS",
+  "VEINTISIETE",
+  "VEINTIOCHO",
+  "VEINTINUEVE",
+];
+const WORD_TENS = [
+  "",
+  "",
+  "",
+  "TREINTA",
+  "CUARENTA",
+  "CINCUENTA",
+  "SESENTA",
+  "SETENTA",
+  "OCHENTA",
+  "NOVENTA",
+];
+const WORD_HUNDREDS = [
+  "",
+  "CIENTO",
+  "DOSCIENTOS",
+  "TRESCIENTOS",
+  "CUATROCIENTOS",
+  "QUINIENTOS",
+  "SEISCIENTOS",
+  "SETECIENTOS",
+  "OCHOCIENTOS",
+  "NOVECIENTOS",
+];
+
+// 0..999. `apocope`: "UN"/"VEINTIÚN" cuando precede a MIL / MILLONES
+function wordsBelowThousand(n, apocope) {
+  if (n === 0) return "";
+  if (n === 100) return "CIEN";
+
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const parts = hundreds ? [WORD_HUNDREDS[hundreds]] : [];
+
+  if (rest) {
+    let w;
+    if (rest < 10) w = WORD_UNITS[rest];
+    else if (rest < 20) w = WORD_TEENS[rest - 10];
+    else if (rest < 30) w = WORD_TWENTIES[rest - 20];
+    else {
+      const units = rest % 10;
+      w = WORD_TENS[Math.floor(rest / 10)];
+      if (units) w += ` Y ${WORD_UNITS[units]}`;
+    }
+    if (apocope) w = w.replace(/VEINTIUNO$/, "VEINTIÚN").replace(/UNO$/, "UN");
+    parts.push(w);
+  }
+  return parts.join(" ");
+}
+
+function wordsBelowMillion(n, apocope) {
+  const thousands = Math.floor(n / 1000);
+  const rest = n % 1000;
+  return [
+    thousands === 1
+      ? "MIL"
+      : thousands > 1
+        ? `${wordsBelowThousand(thousands, true)} MIL`
+        : "",
+    wordsBelowThousand(rest, apocope),
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+export function integerToWords(n, apocope = false) {
+  if (n === 0) return "CERO";
+
+  const scales = [
+    [1e12, "BILLÓN", "BILLONES"],
+    [1e6, "MILLÓN", "MILLONES"],
+  ];
+  for (const [size, singular, plural] of scales) {
+    if (n >= size) {
+      const count = Math.floor(n / size);
+      const rest = n % size;
+      const head =
+        count === 1
+          ? `UN ${singular}`
+          : `${integerToWords(count, true)} ${plural}`;
+      return rest ? `${head} ${integerToWords(rest, apocope)}` : head;
+    }
+  }
+  return wordsBelowMillion(n, apocope);
+}
+
+const WORDS_EN_SMALL = [
+  "ZERO",
+  "ONE",
+  "TWO",
+  "THREE",
+  "FOUR",
+  "FIVE",
+  "SIX",
+  "SEVEN",
+  "EIGHT",
+  "NINE",
+  "TEN",
+  "ELEVEN",
+  "TWELVE",
+  "THIRTEEN",
+  "FOURTEEN",
+  "FIFTEEN",
+  "SIXTEEN",
+  "SEVENTEEN",
+  "EIGHTEEN",
+  "NINETEEN",
+];
+const WORDS_EN_TENS = [
+  "",
+  "",
+  "TWENTY",
+  "THIRTY",
+  "FORTY",
+  "FIFTY",
+  "SIXTY",
+  "SEVENTY",
+  "EIGHTY",
+  "NINETY",
+];
+
+// 1416 -> "ONE THOUSAND FOUR HUNDRED SIXTEEN"
+export function integerToWordsEn(n) {
+  if (n < 20) return WORDS_EN_SMALL[n];
+  if (n < 100) {
+    const units = n % 10;
+    return `${WORDS_EN_TENS[Math.floor(n / 10)]}${
+      units ? `-${WORDS_EN_SMALL[units]}` : ""
+    }`;
+  }
+
+  const scales = [
+    [1e12, "TRILLION"],
+    [1e9, "BILLION"],
+    [1e6, "MILLION"],
+    [1e3, "THOUSAND"],
+    [100, "HUNDRED"],
+  ];
+  const [size, name] = scales.find(([size]) => n >= size);
+  const rest = n % size;
+  return `${integerToWordsEn(Math.floor(n / size))} ${name}${
+    rest ? ` ${integerToWordsEn(rest)}` : ""
+  }`;
+}
+
+// 141600 (céntimos), "SOLES" -> "SON: MIL CUATROCIENTOS DIECISÉIS Y 00/100 SOLES"
+// En inglés: "SAY: ONE THOUSAND FOUR HUNDRED SIXTEEN AND 00/100 SOLES"
+export function amountInWords(cents, currencyWords, lang = "es") {
+  const abs = Math.abs(Math.round(Number(cents) || 0));
+  const units = Math.floor(abs / 100);
+  const decimals = String(abs % 100).padStart(2, "0");
+  return lang === "en"
+    ? `SAY: ${integerToWordsEn(units)} AND ${decimals}/100 ${currencyWords}`
+    : `SON: ${integerToWords(units)} Y ${decimals}/100 ${currencyWords}`;
+}
@@ -0,0 +1,48 @@
+import {
+  amountInWords,
+  integerToWords,
+  integerToWordsEn,
+} from "./amountInWords";
+
+describe("integerToWords", () => {
+  test.each([
+    [0, "CERO"],
+    [16, "DIECISÉIS"],
+    [21, "VEINTIUNO"],
+    [100, "CIEN"],
+    [101, "CIENTO UNO"],
+    [1416, "MIL CUATROCIENTOS DIECISÉIS"],
+    [21000, "VEINTIÚN MIL"],
+    [1000000, "UN MILLÓN"],
+    [2500000, "DOS MILLONES QUINIENTOS MIL"],
+  ])("%i → %s", (n, words) => {
+    expect(integerToWords(n)).toBe(words);
+  });
+});
+
+describe("integerToWordsEn", () => {
+  test.each([
+    [0, "ZERO"],
+    [19, "NINETEEN"],
+    [42, "FORTY-TWO"],
+    [100, "ONE HUNDRED"],
+    [1416, "ONE THOUSAND FOUR HUNDRED SIXTEEN"],
+    [2000000, "TWO MILLION"],
+  ])("%i → %s", (n, words) => {
+    expect(integerToWordsEn(n)).toBe(words);
+  });
+});
+
+describe("amountInWords", () => {
+  test("writes the amount in Spanish with cents over 100", () => {
+    expect(amountInWords(141650, "SOLES")).toBe(
+      "SON: MIL CUATROCIENTOS DIECISÉIS Y 50/100 SOLES"
+    );
+  });
+
+  test("writes the amount in English", () => {
+    expect(amountInWords(141600, "US DOLLARS", "en")).toBe(
+      "SAY: ONE THOUSAND FOUR HUNDRED SIXTEEN AND 00/100 US DOLLARS"
+    );
+  });
+});
@@ -0,0 +1,113 @@
+import { i18nError } from "./errors";
+import { cleanServices } from "./services";
+import { cleanSettings } from "./settings";
+import { cleanBundle, cleanTemplate } from "./templates";
+
+/** ========= Catalog export / import ========= */
+const CATALOG_SCHEMA = "alma-quote-catalog";
+export const CATALOG_VERSION = 2; // v2: paquetes y plantillas
+
+// La numeración es propia de cada equipo: no viaja en el catálogo
+export const LOCAL_ONLY_SETTINGS = [
+  "quoteCounters",
+  "invoiceCounters",
+  "uiLanguage",
+];
+
+export function buildCatalogExport(settings, services, bundles, templates) {
+  const sharedSettings = { ...settings };
+  LOCAL_ONLY_SETTINGS.forEach((key) => delete sharedSettings[key]);
+  return {
+    schema: CATALOG_SCHEMA,
+    version: CATALOG_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: sharedSettings,
+    services: services.map(({ id, ...svc }) => svc),
+    bundles,
+    templates,
+  };
+}
+
+// Devuelve { settings, services, bundles, templates } depurados o lanza Error con el motivo.
+// bundles/templates son null si el archivo no los trae (catálogos v1).
+export function parseCatalogImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw i18nError("errors.catalogJson");
+  }
+  if (!data || data.schema !== CATALOG_SCHEMA) {
+    throw i18nError("errors.catalogSchema");
+  }
+  const version = Number(data.version);
+  if (!Number.isInteger(version) || version < 1) {
+    throw i18nError("errors.catalogVersion");
+  }
+  if (version > CATALOG_VERSION) {
+    throw i18nError("errors.catalogNewer", { version });
+  }
+  if (!Array.isArray(data.services)) {
+    throw i18nError("errors.catalogNoServices");
+  }
+
+  const services = cleanServices(data.services);
+  if (services.length === 0) {
+    throw i18nError("errors.catalogEmpty");
+  }
+  if (new Set(services.map((s) => s.code)).size !== services.length) {
+    throw i18nError("errors.catalogDuplicates");
+  }
+
+  const settings =
+    data.settings && typeof data.settings === "object"
+      ? cleanSettings(data.settings)
+      : {};
+  LOCAL_ONLY_SETTINGS.forEach((key) => delete settings[key]);
+  if (settings.currencies) {
+    const known = new Set(settings.currencies.map((c) => c.code));
+    const unknown = [...new Set(services.map((s) => s.currency))].filter(
+      (code) => !known.has(code)
+    );
+    if (unknown.length > 0) {
+      throw i18nError("errors.catalogUnknownCurrency", {
+        codes: unknown.join(", "),
+      });
+    }
+  }
+
+  const bundles = Array.isArray(data.bundles)
+    ? data.bundles.map(cleanBundle).filter(Boolean)
+    : null;
+  const templates = Array.isArray(data.templates)
+    ? data.templates.map(cleanTemplate).filter(Boolean)
+    : null;
+
+  return { settings, services, bundles, templates, version };
+}
+
+const SERVICE_COMPARE_KEYS = [
+  "label",
+  "labelEn",
+  "suggestion",
+  "suggestionEn",
+  "defaultHourlyCost",
+  "internalCost",
+  "currency",
+  "taxCategory",
+  "pricingType",
+];
+
+// Cambios por `code`: added / updated / removed (removed solo aplica al reemplazar)
+export function diffCatalogServices(current, incoming) {
+  const byCode = new Map(current.map((s) => [s.code, s]));
+  const incomingCodes = new Set(incoming.map((s) => s.code));
+  return {
+    added: incoming.filter((s) => !byCode.has(s.code)),
+    updated: incoming.filter((s) => {
+      const prev = byCode.get(s.code);
+      return prev && SERVICE_COMPARE_KEYS.some((k) => prev[k] !== s[k]);
+    }),
+    removed: current.filter((s) => !incomingCodes.has(s.code)),
+  };
+}
@@ -0,0 +1,105 @@
+import {
+  CATALOG_VERSION,
+  buildCatalogExport,
+  diffCatalogServices,
+  parseCatalogImport,
+} from "./catalog";
+
+const catalog = (extra = {}) =>
+  JSON.stringify({
+    schema: "alma-quote-catalog",
+    version: CATALOG_VERSION,
+    services: [{ code: "web", label: "Web", defaultHourlyCost: 60 }],
+    ...extra,
+  });
+
+const errorKey = (text) => {
+  try {
+    parseCatalogImport(text);
+  } catch (err) {
+    return err.key;
+  }
+  return null;
+};
+
+describe("parseCatalogImport", () => {
+  test("cleans services and drops local-only settings", () => {
+    const parsed = parseCatalogImport(
+      catalog({ settings: { igvRate: 0.18, quoteCounters: { 2026: 5 } } })
+    );
+    expect(parsed.services).toHaveLength(1);
+    expect(parsed.services[0]).toMatchObject({
+      code: "web",
+      currency: "PEN",
+      pricingType: "hourly",
+    });
+    expect(parsed.settings).toEqual({ igvRate: 0.18 });
+    expect(parsed.bundles).toBe(null);
+    expect(parsed.templates).toBe(null);
+  });
+
+  test("rejects files that are not valid catalogs", () => {
+    expect(errorKey("{")).toBe("errors.catalogJson");
+    expect(errorKey('{"schema":"otro"}')).toBe("errors.catalogSchema");
+    expect(errorKey(catalog({ version: 0 }))).toBe("errors.catalogVersion");
+    expect(errorKey(catalog({ version: CATALOG_VERSION + 1 }))).toBe(
+      "errors.catalogNewer"
+    );
+    expect(errorKey(catalog({ services: [] }))).toBe("errors.catalogEmpty");
+    expect(
+      errorKey(
+        catalog({
+          services: [
+            { code: "web", label: "Web" },
+            { code: "web", label: "Web 2" },
+          ],
+        })
+      )
+    ).toBe("errors.catalogDuplicates");
+  });
+
+  test("rejects currencies without a rate or not configured", () => {
+    expect(
+      errorKey(
+        catalog({ settings: { currencies: [{ code: "EUR", rateToPen: 0 }] } })
+      )
+    ).toBe("errors.invalidRate");
+    expect(
+      errorKey(
+        catalog({
+          settings: { currencies: [] },
+          services: [{ code: "web", label: "Web", currency: "EUR" }],
+        })
+      )
+    ).toBe("errors.catalogUnknownCurrency");
+  });
+
+  test("reads back its own export", () => {
+    const exported = buildCatalogExport(
+      { igvRate: 0.18, uiLanguage: "en" },
+      [{ id: "1", code: "web", label: "Web", defaultHourlyCost: 60 }],
+      [],
+      []
+    );
+    expect(exported.settings).toEqual({ igvRate: 0.18 });
+    expect(exported.services[0].id).toBeUndefined();
+    const parsed = parseCatalogImport(JSON.stringify(exported));
+    expect(parsed.services[0].code).toBe("web");
+    expect(parsed.bundles).toEqual([]);
+  });
+});
+
+test("diffCatalogServices lists added, updated and removed codes", () => {
+  const current = [
+    { code: "a", label: "A", defaultHourlyCost: 10 },
+    { code: "b", label: "B", defaultHourlyCost: 20 },
+  ];
+  const incoming = [
+    { code: "b", label: "B", defaultHourlyCost: 25 },
+    { code: "c", label: "C", defaultHourlyCost: 30 },
+  ];
+  const diff = diffCatalogServices(current, incoming);
+  expect(diff.added.map((s) => s.code)).toEqual(["c"]);
+  expect(diff.updated.map((s) => s.code)).toEqual(["b"]);
+  expect(diff.removed.map((s) => s.code)).toEqual(["a"]);
+});
@@ -0,0 +1,50 @@
+import { safeId } from "./util";
+
+/** ========= Clients ========= */
+export const EMPTY_CLIENT = {
+  name: "", // Razón social / nombre
+  docType: "RUC", // RUC | DNI
+  docNumber: "",
+  address: "",
+  contactName: "",
+  email: "",
+  phone: "",
+};
+
+// RUC: 11 dígitos, prefijo válido y dígito verificador (módulo 11)
+export function isValidRuc(ruc) {
+  const digits = String(ruc || "").trim();
+  if (!/^(10|15|16|17|20)\d{9}$/.test(digits)) return false;
+  const weights = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+  const sum = weights.reduce((acc, w, i) => acc + w * Number(digits[i]), 0);
+  const check = (11 - (sum % 11)) % 10;
+  return check === Number(digits[10]);
+}
+
+export function isValidDni(dni) {
+  return /^\d{8}$/.test(String(dni || "").trim());
+}
+
+// Clave del mensaje de error (MESSAGES) o "" si el documento es válido
+export function clientDocError(docType, docNumber) {
+  const value = String(docNumber || "").trim();
+  if (!value) return "";
+  if (docType === "DNI") {
+    return isValidDni(value) ? "" : "client.dniInvalid";
+  }
+  return isValidRuc(value) ? "" : "client.rucInvalid";
+}
+
+export function cleanClient(c) {
+  if (!c || typeof c !== "object" || !c.name) return null;
+  return {
+    id: c.id || safeId(),
+    name: String(c.name),
+    docType: c.docType === "DNI" ? "DNI" : "RUC",
+    docNumber: String(c.docNumber || "").trim(),
+    address: String(c.address || ""),
+    contactName: String(c.contactName || ""),
+    email: String(c.email || ""),
+    phone: String(c.phone || ""),
+  };
+}
@@ -0,0 +1,28 @@
+import { clientDocError, isValidDni, isValidRuc } from "./clients";
+
+describe("isValidRuc", () => {
+  test("accepts RUCs with a valid prefix and check digit", () => {
+    expect(isValidRuc("20100070970")).toBe(true);
+    expect(isValidRuc(" 20100070970 ")).toBe(true);
+  });
+
+  test("rejects a wrong check digit, prefix or length", () => {
+    expect(isValidRuc("20100070971")).toBe(false);
+    expect(isValidRuc("30100070970")).toBe(false);
+    expect(isValidRuc("2010007097")).toBe(false);
+    expect(isValidRuc("")).toBe(false);
+  });
+});
+
+test("isValidDni requires 8 digits", () => {
+  expect(isValidDni("12345678")).toBe(true);
+  expect(isValidDni("1234567")).toBe(false);
+  expect(isValidDni("1234567a")).toBe(false);
+});
+
+test("clientDocError returns the message key for the document type", () => {
+  expect(clientDocError("RUC", "")).toBe("");
+  expect(clientDocError("RUC", "20100070970")).toBe("");
+  expect(clientDocError("RUC", "20100070971")).toBe("client.rucInvalid");
+  expect(clientDocError("DNI", "123")).toBe("client.dniInvalid");
+});
@@ -0,0 +1,142 @@
+import { i18nError } from "./errors";
+
+/** ========= Currencies ========= */
+// PEN es la moneda base. USD usa el TC por fecha; las demás, su tasa configurada.
+export const BASE_CURRENCY = "PEN";
+export const DATED_RATE_CURRENCY = "USD";
+
+export const DEFAULT_CURRENCIES = [
+  {
+    code: "PEN",
+    label: "Soles",
+    symbol: "S/",
+    locale: "es-PE",
+    words: "SOLES",
+    wordsEn: "SOLES",
+    rateToPen: null,
+  },
+  {
+    code: "USD",
+    label: "Dólares",
+    symbol: "$",
+    locale: "en-US",
+    words: "DÓLARES AMERICANOS",
+    wordsEn: "US DOLLARS",
+    rateToPen: null,
+  },
+];
+
+export const currencyCode = (code) =>
+  /^[A-Z]{3}$/.test(String(code || "")) ? code : BASE_CURRENCY;
+
+// Tasas fuera de la lista: PEN es la base y USD sale del TC por fecha
+export const hasConfiguredRate = (code) =>
+  code !== BASE_CURRENCY && code !== DATED_RATE_CURRENCY;
+
+export function cleanCurrency(c) {
+  const code = String(c?.code || "")
+    .trim()
+    .toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) return null;
+  return {
+    code,
+    label: String(c.label || code),
+    symbol: String(c.symbol || ""),
+    locale: String(c.locale || ""),
+    words: String(c.words || code),
+    wordsEn: String(c.wordsEn || c.words || code),
+    rateToPen: hasConfiguredRate(code)
+      ? Math.max(0, Number(c.rateToPen) || 0)
+      : null,
+  };
+}
+
+// PEN y USD siempre presentes; una entrada por código
+export function cleanCurrencies(list) {
+  const byCode = new Map(DEFAULT_CURRENCIES.map((c) => [c.code, c]));
+  (Array.isArray(list) ? list : []).forEach((c) => {
+    const cleaned = cleanCurrency(c);
+    if (cleaned) byCode.set(cleaned.code, cleaned);
+  });
+  return [...byCode.values()];
+}
+
+function hasInvalidRate(c) {
+  const cleaned = cleanCurrency(c);
+  return !!cleaned && cleaned.rateToPen !== null && !(cleaned.rateToPen > 0);
+}
+
+const invalidRateCodes = (list) =>
+  (Array.isArray(list) ? list : [])
+    .filter(hasInvalidRate)
+    .map((c) => cleanCurrency(c).code);
+
+// Una tasa vacía o en cero no se reemplaza por 1:1: se rechaza la lista
+export function assertCurrencyRates(list) {
+  const codes = invalidRateCodes(list);
+  if (codes.length > 0) {
+    throw i18nError("errors.invalidRate", { codes: codes.join(", ") });
+  }
+}
+
+// Al cargar lo guardado solo se descartan las monedas con tasa inválida
+export function dropInvalidRates(list) {
+  const currencies = Array.isArray(list) ? list : [];
+  return {
+    currencies: currencies.filter((c) => !hasInvalidRate(c)),
+    codes: invalidRateCodes(currencies),
+  };
+}
+
+export function moneyFmt(amount, currency, currencies = DEFAULT_CURRENCIES) {
+  const def = currencies.find((c) => c.code === currency);
+  const options = { style: "currency", currency, maximumFractionDigits: 2 };
+  let formatter;
+  try {
+    formatter = new Intl.NumberFormat(
+      def?.locale || (currency === BASE_CURRENCY ? "es-PE" : "en-US"),
+      options
+    );
+  } catch {
+    formatter = new Intl.NumberFormat("es-PE", options); // locale inválido
+  }
+  return formatter
+    .formatToParts(Number.isFinite(amount) ? amount : 0)
+    .map((part) =>
+      part.type === "currency" && def?.symbol ? def.symbol : part.value
+    )
+    .join("");
+}
+
+// ratesToPen: soles por unidad de cada moneda, p. ej. { PEN: 1, USD: 3.75, EUR: 4.05 }
+export function convertCurrency(amount, from, to, ratesToPen) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return 0;
+  if (from === to) return n;
+  return (n * rateToPenOf(from, ratesToPen)) / rateToPenOf(to, ratesToPen);
+}
+
+// Sin tasa positiva no se convierte: se lanza en vez de asumir 1:1
+function rateToPenOf(code, ratesToPen) {
+  const rate = Number(ratesToPen[code]);
+  if (!(rate > 0)) throw i18nError("errors.missingRate", { code });
+  return rate;
+}
+
+// Dónde se usa una moneda (claves currencyUse.*): no se quita de la lista mientras algo la use
+export function currencyUses(
+  code,
+  { currency, quote, services, settings, savedQuotes, invoices, templates }
+) {
+  return [
+    (currency === code || quote.referenceCurrency === code) && "quote",
+    services.some((svc) => svc.currency === code) && "services",
+    settings.bankAccounts.some((a) => a.currency === code) && "bankAccounts",
+    settings.teamRoles.some((r) => r.currency === code) && "teamRoles",
+    savedQuotes.some(
+      (q) => q.currency === code || q.quote.referenceCurrency === code
+    ) && "savedQuotes",
+    invoices.some((inv) => inv.currency === code) && "invoices",
+    templates.some((tpl) => tpl.currency === code) && "templates",
+  ].filter(Boolean);
+}
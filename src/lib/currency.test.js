@@ -0,0 +1,96 @@
+import {
+  assertCurrencyRates,
+  cleanCurrencies,
+  convertCurrency,
+  currencyUses,
+  dropInvalidRates,
+} from "./currency";
+
+const RATES = { PEN: 1, USD: 3.75, EUR: 4.05 };
+
+describe("convertCurrency", () => {
+  test("converts through soles", () => {
+    expect(convertCurrency(100, "USD", "PEN", RATES)).toBe(375);
+    expect(convertCurrency(405, "PEN", "EUR", RATES)).toBe(100);
+    expect(convertCurrency(100, "EUR", "USD", RATES)).toBeCloseTo(108, 6);
+  });
+
+  test("returns the amount as is within the same currency", () => {
+    expect(convertCurrency(12.5, "GBP", "GBP", RATES)).toBe(12.5);
+  });
+
+  test("throws instead of converting 1:1 without a positive rate", () => {
+    expect(() => convertCurrency(100, "GBP", "PEN", RATES)).toThrow(
+      expect.objectContaining({ key: "errors.missingRate" })
+    );
+    expect(() =>
+      convertCurrency(100, "PEN", "EUR", { ...RATES, EUR: 0 })
+    ).toThrow(expect.objectContaining({ vars: { code: "EUR" } }));
+  });
+
+  test("treats non-numeric amounts as zero", () => {
+    expect(convertCurrency("abc", "USD", "PEN", RATES)).toBe(0);
+  });
+});
+
+describe("assertCurrencyRates", () => {
+  test("rejects configured currencies without a positive rate", () => {
+    expect(() =>
+      assertCurrencyRates([
+        { code: "EUR", rateToPen: 0 },
+        { code: "GBP", rateToPen: "" },
+      ])
+    ).toThrow(
+      expect.objectContaining({
+        key: "errors.invalidRate",
+        vars: { codes: "EUR, GBP" },
+      })
+    );
+  });
+
+  test("ignores PEN and USD, whose rates come from elsewhere", () => {
+    expect(() =>
+      assertCurrencyRates([
+        { code: "PEN", rateToPen: null },
+        { code: "USD" },
+        { code: "EUR", rateToPen: 4.05 },
+      ])
+    ).not.toThrow();
+  });
+});
+
+test("dropInvalidRates keeps the valid entries and reports the rest", () => {
+  const eur = { code: "EUR", rateToPen: 4.05 };
+  expect(
+    dropInvalidRates([eur, { code: "gbp", rateToPen: 0 }, { code: "USD" }])
+  ).toEqual({ currencies: [eur, { code: "USD" }], codes: ["GBP"] });
+  expect(dropInvalidRates(undefined)).toEqual({ currencies: [], codes: [] });
+});
+
+test("cleanCurrencies always keeps PEN and USD, one entry per code", () => {
+  const codes = cleanCurrencies([
+    { code: "eur", rateToPen: 4 },
+    { code: "EUR", rateToPen: 4.1 },
+    { code: "x" },
+  ]).map((c) => `${c.code}:${c.rateToPen}`);
+  expect(codes).toEqual(["PEN:null", "USD:null", "EUR:4.1"]);
+});
+
+test("currencyUses lists everything that still references the code", () => {
+  const state = {
+    currency: "PEN",
+    quote: { referenceCurrency: "" },
+    services: [{ currency: "EUR" }],
+    settings: { bankAccounts: [], teamRoles: [{ currency: "EUR" }] },
+    savedQuotes: [{ currency: "PEN", quote: { referenceCurrency: "EUR" } }],
+    invoices: [],
+    templates: [],
+  };
+  expect(currencyUses("EUR", state)).toEqual([
+    "services",
+    "teamRoles",
+    "savedQuotes",
+  ]);
+  expect(currencyUses("PEN", state)).toEqual(["quote", "savedQuotes"]);
+  expect(currencyUses("GBP", state)).toEqual([]);
+});
@@ -0,0 +1,9 @@
+/** ========= Errores ========= */
+// Error con clave del catálogo (MESSAGES): la interfaz lo muestra en su idioma
+// (ver errorText en App); `message` queda con la clave para la consola
+export function i18nError(key, vars = {}) {
+  const err = new Error(key);
+  err.key = key;
+  err.vars = vars;
+  return err;
+}
@@ -0,0 +1,129 @@
+import { i18nError } from "./errors";
+import { hasConfiguredRate } from "./currency";
+
+/** ========= Exchange rates (TC por fecha) ========= */
+// Las cotizaciones usan el TC venta vigente en su fecha
+export function cleanExchangeRate(r) {
+  if (!r || typeof r !== "object") return null;
+  const date = parseRateDate(r.date);
+  const sell = Number(r.sell) || Number(r.buy) || 0;
+  if (!date || sell <= 0) return null;
+  return { date, buy: Number(r.buy) || sell, sell };
+}
+
+// Una entrada por fecha (las nuevas reemplazan a las existentes), de la más antigua a la más reciente
+export function mergeExchangeRates(current, incoming) {
+  const byDate = new Map();
+  [...current, ...incoming].forEach((r) => {
+    const cleaned = cleanExchangeRate(r);
+    if (cleaned) byDate.set(cleaned.date, cleaned);
+  });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// El último TC registrado en o antes de la fecha (fines de semana y feriados usan el anterior);
+// las filas sin venta válida se saltan
+function exchangeRateOn(rates, dateISO) {
+  let found = null;
+  for (const r of rates || []) {
+    if (r.date > dateISO) break;
+    if (Number(r.sell) > 0) found = r;
+  }
+  return found;
+}
+
+// Tasas configuradas hoy para las monedas distintas de PEN y USD
+export function configuredCurrencyRates(settings) {
+  return Object.fromEntries(
+    settings.currencies
+      .filter((c) => hasConfiguredRate(c.code))
+      .map((c) => [c.code, c.rateToPen])
+  );
+}
+
+// TC (y tasas de las demás monedas) que se fijan en una cotización con esa fecha
+export function lockedExchangeRate(settings, dateISO) {
+  const entry = exchangeRateOn(settings.exchangeRates, dateISO);
+  return {
+    ...(entry
+      ? { exchangeRate: entry.sell, exchangeRateDate: entry.date }
+      : {
+          exchangeRate: Number(settings.exchangeRate) || 3.5,
+          exchangeRateDate: "",
+        }),
+    currencyRates: configuredCurrencyRates(settings),
+  };
+}
+
+// Acepta 2026-03-02, 02/03/2026 y 02-03-2026
+function parseRateDate(text) {
+  const value = String(text || "").trim();
+  let m = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return value;
+  m = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (!m) return "";
+  return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+}
+
+export const parseRateNumber = (text) =>
+  Number(
+    String(text || "")
+      .trim()
+      .replace(",", ".")
+  ) || 0;
+
+// Separa una línea respetando comillas ("3,75" es una sola celda)
+function splitCsvLine(line, delimiter) {
+  const cells = [""];
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === delimiter && !quoted) cells.push("");
+    else cells[cells.length - 1] += ch;
+  }
+  return cells.map((c) => c.trim());
+}
+
+// CSV de la SBS/SUNAT: fecha, compra, venta. Se omiten encabezados y líneas sin fecha.
+// Acepta ";", tabulador o "," como separador y coma decimal.
+export function parseExchangeRateCsv(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+  const rates = [];
+  let skipped = 0;
+
+  lines.forEach((line) => {
+    const delimiter = line.includes(";")
+      ? ";"
+      : line.includes("\t")
+        ? "\t"
+        : ",";
+    const cells = splitCsvLine(line, delimiter);
+    const dateIndex = cells.findIndex((c) => parseRateDate(c));
+    let rest = cells.slice(dateIndex + 1).filter(Boolean);
+    // Coma decimal sin comillas: 02/03/2026,3,75,3,76 → 3.75 y 3.76
+    if (
+      delimiter === "," &&
+      rest.length === 4 &&
+      rest.every((c) => /^\d+$/.test(c))
+    ) {
+      rest = [`${rest[0]}.${rest[1]}`, `${rest[2]}.${rest[3]}`];
+    }
+    const values = rest.map(parseRateNumber);
+    const entry =
+      dateIndex >= 0 &&
+      cleanExchangeRate({
+        date: cells[dateIndex],
+        buy: values[0],
+        sell: values[1] || values[0],
+      });
+    if (entry) rates.push(entry);
+    else skipped += 1;
+  });
+
+  if (rates.length === 0) {
+    throw i18nError("errors.csvNoRows");
+  }
+  return { rates: mergeExchangeRates([], rates), skipped };
+}
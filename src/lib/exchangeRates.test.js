@@ -0,0 +1,77 @@
+import { lockedExchangeRate, parseExchangeRateCsv } from "./exchangeRates";
+
+describe("parseExchangeRateCsv", () => {
+  test("reads SBS files with semicolons and decimal commas", () => {
+    const csv = "Fecha;Compra;Venta\n03/02/2021;3,60;3,62\n";
+    expect(parseExchangeRateCsv(csv)).toEqual({
+      rates: [{ date: "2021-02-03", buy: 3.6, sell: 3.62 }],
+      skipped: 1,
+    });
+  });
+
+  test("keeps quoted decimal commas in comma-separated files", () => {
+    const { rates } = parseExchangeRateCsv('2021-02-05,"3,64","3,66"');
+    expect(rates).toEqual([{ date: "2021-02-05", buy: 3.64, sell: 3.66 }]);
+  });
+
+  test("joins unquoted decimal commas in comma-separated files", () => {
+    const { rates } = parseExchangeRateCsv("06/02/2021,3,65,3,67");
+    expect(rates).toEqual([{ date: "2021-02-06", buy: 3.65, sell: 3.67 }]);
+  });
+
+  test("reads tab-separated files and sorts by date", () => {
+    const { rates } = parseExchangeRateCsv(
+      "2021-02-08\t3.70\t3.72\r\n2021-02-07\t3.68\t3.69"
+    );
+    expect(rates.map((r) => r.date)).toEqual(["2021-02-07", "2021-02-08"]);
+  });
+
+  test("throws when no row has a date and rates", () => {
+    expect(() => parseExchangeRateCsv("Fecha;Compra;Venta\nbasura")).toThrow(
+      expect.objectContaining({ key: "errors.csvNoRows" })
+    );
+  });
+});
+
+describe("lockedExchangeRate", () => {
+  const settings = {
+    exchangeRate: 3.5,
+    exchangeRates: [
+      { date: "2021-01-01", buy: 3.6, sell: 3.61 },
+      { date: "2021-03-01", buy: 3.7, sell: 3.71 },
+    ],
+    currencies: [
+      { code: "PEN", rateToPen: null },
+      { code: "EUR", rateToPen: 4.05 },
+    ],
+  };
+
+  test("uses the latest sell rate on or before the date", () => {
+    expect(lockedExchangeRate(settings, "2021-02-15")).toEqual({
+      exchangeRate: 3.61,
+      exchangeRateDate: "2021-01-01",
+      currencyRates: { EUR: 4.05 },
+    });
+  });
+
+  test("skips entries without a positive sell rate", () => {
+    const withBlank = {
+      ...settings,
+      exchangeRates: [
+        ...settings.exchangeRates,
+        { date: "2021-04-01", buy: 3.72, sell: 0 },
+      ],
+    };
+    expect(lockedExchangeRate(withBlank, "2021-04-02")).toMatchObject({
+      exchangeRate: 3.71,
+      exchangeRateDate: "2021-03-01",
+    });
+  });
+
+  test("falls back to the default rate before the first entry", () => {
+    expect(lockedExchangeRate(settings, "2020-12-31")).toMatchObject({
+      exchangeRate: 3.5,
+      exchangeRateDate: "",
+    });
+  });
+});
@@ -0,0 +1,1063 @@
+import { PRICING_TYPES, TAX_CATEGORIES, rowQuantity } from "./services";
+import { QUOTE_STATUSES } from "./quotes";
+import { STORAGE_SCHEMAS } from "./storage";
+
+/** ========= i18n ========= */
+const enumMessages = (prefix, table, field) =>
+  Object.fromEntries(
+    Object.entries(table)
+      .filter(([, item]) => item[field] !== undefined)
+      .map(([key, item]) => [`${prefix}.${key}`, item[field]])
+  );
+
+const MESSAGES = {
+  es: {
+    // Catálogos fijos: se toman de sus constantes
+    ...enumMessages("status", QUOTE_STATUSES, "label"),
+    ...enumMessages("watermark", QUOTE_STATUSES, "watermark"),
+    ...enumMessages("pricing", PRICING_TYPES, "label"),
+    ...enumMessages("pricing.qty", PRICING_TYPES, "qtyLabel"),
+    ...enumMessages("pricing.unit", PRICING_TYPES, "qtyUnit"),
+    ...enumMessages("pricing.per", PRICING_TYPES, "per"),
+    ...enumMessages("tax", TAX_CATEGORIES, "label"),
+    ...enumMessages("tax.op", TAX_CATEGORIES, "opLabel"),
+    ...enumMessages("storage.entity", STORAGE_SCHEMAS, "label"),
+
+    "app.subtitle": "Cotizador • Web • Mantenimiento • UI/UX",
+    "app.footer":
+      "Esta cotización puede ajustarse según alcance final, tiempos y entregables.",
+    "common.delete": "Eliminar",
+    "nav.admin": "Administración",
+    "nav.closeAdmin": "Cerrar administración",
+    "nav.adminTitle": "Panel de administración",
+    "nav.uiLanguage": "Idioma de la interfaz",
+    "history.undo": "↶ Deshacer",
+    "history.undoTitle": "Deshacer (Ctrl+Z)",
+    "history.redo": "↷ Rehacer",
+    "history.redoTitle": "Rehacer (Ctrl+Shift+Z)",
+    "history.toastUndo": "Deshacer",
+    "history.toastClose": "Cerrar aviso",
+    "currency.title": "Moneda general",
+    "currency.rate": "Tipo de cambio",
+    "currency.keepManualRates":
+      "Mantener tarifas editadas a mano al cambiar moneda",
+
+    "quote.title": "Cotización",
+    "quote.issuer": "Emisor",
+    "quote.clientDirectory": "Directorio de clientes",
+    "quote.manualClient": "— Cliente manual —",
+    "quote.client": "Cliente",
+    "quote.number": "N° Cotización",
+    "quote.numberAuto": "{number} (automático)",
+    "quote.revision": "Revisión R{revision}",
+    "quote.duplicateNumber":
+      "⚠ Este número ya existe en otra cotización guardada.",
+    "quote.date": "Fecha",
+    "quote.rateDated": "TC: {rate} (registrado el {date})",
+    "quote.rateDefault": "TC: {rate} (por defecto)",
+    "quote.validity": "Validez (días)",
+    "quote.validUntil": "Válida hasta: {date}",
+    "quote.globalDiscount": "Descuento global",
+    "quote.discountBeforeIgv": "Se aplica antes del IGV",
+    "quote.pricesIncludeIgv": "Precios incluyen IGV",
+    "quote.language": "Idioma del documento",
+    "quote.languageHint": "PDF para el cliente y textos sugeridos",
+
+    "summary.gross": "Importe bruto",
+    "summary.grossBase": "Importe bruto (sin IGV)",
+    "summary.lineDiscount": "Descuento por ítem",
+    "summary.globalDiscount": "Descuento global",
+    "summary.globalDiscountPercent": "Descuento global ({value}%)",
+    "summary.subtotal": "Subtotal",
+    "summary.igv": "IGV ({rate}%)",
+    "summary.igvIncluded": "IGV ({rate}%) incluido",
+    "summary.total": "TOTAL",
+    "summary.oneTime": "Pago único",
+    "summary.recurringMonthly": "Recurrente (cuota mensual)",
+    "summary.recurringTerm": "Recurrente (total del plazo)",
+    "summary.detraction": "Detracción ({rate}%)",
+
+    "actions.title": "Acciones",
+    "actions.pdf": "Descargar PDF (Cotización)",
+    "actions.internalPdf": "PDF interno (Hoja de estimación)",
+    "actions.internalPdfTitle":
+      "Incluye cantidades, horas y precios unitarios. No enviar al cliente.",
+    "actions.save": "Guardar cotización",
+    "actions.saveChanges": "Guardar cambios",
+    "actions.saveAs": "Guardar como {number}",
+    "actions.saveAsTitle":
+      "La versión guardada queda en el historial como solo lectura.",
+    "actions.new": "Nueva cotización",
+    "actions.saveTemplate": "Guardar como plantilla",
+    "actions.saveTemplateTitle":
+      "Guarda servicios, secciones y condiciones (sin cliente) para reutilizarlos.",
+    "actions.fromTemplate": "Nueva desde plantilla…",
+    "actions.invoice": "Generar comprobante",
+    "actions.invoiceKindAuto": "Según el cliente ({kind})",
+    "actions.invoiceKindTitle":
+      "Tipo de comprobante: factura (requiere RUC) o boleta (DNI, RUC o sin documento).",
+    "actions.invoiceTitle":
+      "Crea un borrador de factura (RUC) o boleta (DNI) con los ítems de esta cotización.",
+    "actions.status": "Estado",
+    "actions.unsaved": "(sin guardar)",
+    "actions.markSent": "Marcar como enviada",
+    "actions.watermark": 'Marca de agua "{text}" en el PDF',
+    "actions.watermarkTitle":
+      "Desmarca para generar el PDF sin la marca de agua del estado.",
+    "actions.conversion": "Conversión informativa",
+    "actions.conversionTitle": "Moneda de la conversión informativa",
+    "actions.detraction": "Sujeto a detracción",
+
+    "services.title": "Servicios",
+    "services.insertBundle": "Insertar paquete…",
+    "services.insertBundleTitle": "Agrega todos los servicios del paquete",
+    "services.addSection": "+ Agregar sección",
+    "services.addService": "+ Agregar servicio",
+    "services.colService": "Tipo de servicio",
+    "services.colDetail": "Detalle por tipo servicio",
+    "services.colQuantity": "Cantidad",
+    "services.colUnitPrice": "Precio unitario",
+    "services.colDiscount": "Descuento",
+    "services.colSubtotal": "Subtotal",
+    "services.moveSection": "Mover sección (arrastrar o ↑/↓)",
+    "services.moveSectionLabel": "Mover sección {name}",
+    "services.sectionName": "Nombre de la sección",
+    "services.noSection": "Sin sección",
+    "services.addToSection": "+ Servicio",
+    "services.removeSection":
+      "Eliminar sección (sus servicios quedan sin sección)",
+    "services.moveRow": "Mover (arrastrar o ↑/↓)",
+    "services.moveRowLabel": "Mover servicio",
+    "services.taxNote": "{category} de IGV",
+    "services.includesIgv": "(inc. IGV)",
+    "services.catalogRate": "Catálogo: {amount}",
+    "services.edited": "Editada",
+    "services.gross": "Bruto: {amount}",
+    "notes.igvIncluded": "(incluido en los precios)",
+    "notes.igvAdded": "(se suma al total)",
+    "notes.rate": "TC",
+    "notes.usdDated": "(USD venta del {date})",
+    "notes.usdDefault": "(USD por defecto)",
+    "notes.outdatedRates": "TC registrado para {date}",
+    "notes.apply": "Aplicar",
+    "profit.show": "Ver rentabilidad",
+    "profit.hide": "Ocultar rentabilidad",
+    "profit.internal": "Solo uso interno: no sale en el PDF del cliente.",
+    "profit.col": "Costo / margen",
+    "profit.serviceCost": "Costo del servicio",
+    "profit.cost": "Costo: {amount}",
+    "profit.margin": "Margen: {amount} ({percent})",
+    "profit.belowMin": "bajo el mínimo de {percent}%",
+    "profit.noCost": "Sin costo interno",
+    "profit.total": "Costo interno",
+    "profit.quoteMargin": "Margen",
+    "profit.missing": "{count} servicio(s) sin costo",
+    "profit.lowRows":
+      "⚠ {count} servicio(s) bajo el margen mínimo de {percent}%",
+
+    "schedule.title": "Cronograma de pagos",
+    "schedule.preset": "Usar 50% / 30% / 20%",
+    "schedule.add": "+ Agregar hito",
+    "schedule.empty": "Sin cronograma: el PDF no incluirá la tabla de pagos.",
+    "schedule.colMilestone": "Hito",
+    "schedule.colValue": "% o monto",
+    "schedule.colCondition": "Condición",
+    "schedule.colAmount": "Importe",
+    "schedule.sum": "Suma",
+    "schedule.missing": "Falta asignar",
+    "schedule.exceeds": "Excede en",
+    "schedule.total": "Total: {amount}",
+
+    "conditions.title": "Condiciones",
+    "conditions.payment": "Condiciones de pago",
+    "conditions.terms": "Términos y condiciones",
+    "conditions.reset": "Restablecer valores por defecto",
+    "conditions.banks": "Cuentas bancarias en el PDF",
+    "conditions.noBanks": "Registra cuentas bancarias en Administración.",
+    "conditions.bank": "Banco",
+
+    "revisions.title": "Revisiones de {number}",
+    "revisions.colNumber": "N°",
+    "revisions.colSaved": "Guardada",
+    "revisions.colStatus": "Estado",
+    "revisions.colTotal": "Total",
+    "revisions.current": "Vigente",
+    "revisions.readOnly": "Solo lectura",
+    "revisions.duplicate": "Duplicar como nueva",
+    "revisions.from": "Comparar desde",
+    "revisions.to": "Hasta",
+    "revisions.added": "+ Agregado",
+    "revisions.removed": "− Eliminado",
+    "revisions.noChanges": "Sin cambios en los servicios.",
+    "revisions.currency": "Moneda",
+    "revisions.total": "Total",
+    "revisions.field.service": "Servicio",
+    "revisions.field.detail": "Detalle",
+    "revisions.field.pricingType": "Tipo de precio",
+    "revisions.field.quantity": "Cantidad",
+    "revisions.field.unitPrice": "Precio unitario",
+    "revisions.field.discount": "Descuento",
+
+    "saved.title": "Cotizaciones guardadas",
+    "saved.allStatuses": "Todos los estados",
+    "saved.search": "Buscar por cliente, N° o fecha",
+    "saved.empty": "Aún no hay cotizaciones guardadas.",
+    "saved.noMatch": "Ninguna cotización coincide con la búsqueda o el estado.",
+    "saved.colNumber": "N°",
+    "saved.colClient": "Cliente",
+    "saved.colDate": "Fecha",
+    "saved.colCurrency": "Moneda",
+    "saved.colStatus": "Estado",
+    "saved.previousVersions": "{count} versión(es) anterior(es)",
+    "saved.since": "Desde {date}",
+    "saved.invoices": "Comprobante: {numbers}",
+    "saved.open": "Abrir",
+    "saved.duplicate": "Duplicar",
+
+    "invoices.title": "Comprobantes (borradores)",
+    "invoices.empty":
+      'Aún no hay comprobantes. Usa "Generar comprobante" en una cotización aceptada.',
+    "invoices.colNumber": "N°",
+    "invoices.colKind": "Tipo",
+    "invoices.colDate": "Fecha",
+    "invoices.colClient": "Cliente",
+    "invoices.colQuote": "Cotización",
+    "invoices.colTotal": "Total",
+    "invoices.quoteDeleted": "{number} (eliminada)",
+
+    "pdf.quoteTitle": "COTIZACIÓN DE SERVICIOS",
+    "pdf.number": "N°: {number}",
+    "pdf.unnumbered": "sin número",
+    "pdf.date": "Fecha: {date}",
+    "pdf.client": "Cliente: {name}",
+    "pdf.address": "Dirección: {address}",
+    "pdf.currency": "Moneda: {currency}",
+    "pdf.rate": "TC: {rate}",
+    "pdf.igv": "IGV: {rate}%",
+    "pdf.igvIncluded": "IGV: {rate}% (precios incluyen IGV)",
+    "pdf.colService": "Servicio",
+    "pdf.colDetail": "Detalle",
+    "pdf.colAmount": "Importe",
+    "pdf.colDiscount": "Descuento",
+    "pdf.colNet": "Neto",
+    "pdf.sectionSubtotal": "Subtotal {name}",
+    "pdf.detraction":
+      "Operación sujeta al Sistema de Detracciones (SPOT) — {percent}%: {amount}. El cliente deposita este monto en la cuenta de detracciones del proveedor en el Banco de la Nación.",
+    "pdf.scheduleAmount": "Importe ({currency})",
+    "pdf.scheduleReference": "Ref. ({currency})",
+    "pdf.banks": "Cuentas bancarias",
+    "pdf.colBank": "Banco",
+    "pdf.colBankCurrency": "Moneda",
+    "pdf.colAccount": "N° de cuenta",
+    "pdf.colHolder": "Titular",
+    "pdf.fileSuffix": "cotizacion",
+    "admin.title": "Panel de administración",
+    "admin.autosave": "Guardado automático (localStorage)",
+    "admin.settings": "Configuración",
+    "admin.defaultRate": "Tipo de cambio por defecto (PEN por 1 USD)",
+    "admin.igvHint": "Por defecto: 18%",
+    "admin.rounding": "Redondeo",
+    "admin.roundingLine": "Por línea (cada ítem a céntimos)",
+    "admin.roundingTotal": "Sobre el total",
+    "admin.roundingHint":
+      "Half-up a 2 decimales. Subtotal + IGV = Total exacto.",
+    "admin.detractionEnabled": "Aplicar detracción (SPOT) a servicios",
+    "admin.detractionRate": "Detracción (%)",
+    "admin.detractionThreshold": "Desde (PEN)",
+    "admin.detractionHint": "Por defecto: 12% desde S/ 700",
+    "admin.numbering": "Numeración de cotizaciones",
+    "admin.prefix": "Prefijo",
+    "admin.digits": "Dígitos",
+    "admin.lastCorrelative": "Último correlativo",
+    "admin.includeYear": "Incluir año en el número (correlativo por año)",
+    "admin.next": "Siguiente:",
+    "admin.resetCorrelative": "Reiniciar correlativo",
+    "admin.invoiceSeries": "Series de comprobantes",
+    "admin.series": "Serie {kind}",
+    "admin.issuers": "Perfiles de emisor (para PDF)",
+    "admin.issuersHint":
+      "Cada cotización elige con qué perfil se emite. Logo PNG o JPG de hasta {kb} KB.",
+    "admin.issuerName": "Nombre / razón social",
+    "admin.address": "Dirección",
+    "admin.phone": "Teléfono",
+    "admin.accentColor": "Color de acento",
+    "admin.rucLength": "El RUC debe tener 11 dígitos.",
+    "admin.uploadLogo": "Subir logo…",
+    "admin.appLogo": "Usar logo de la app",
+    "admin.default": "Predeterminado",
+    "admin.addIssuer": "+ Agregar perfil",
+    "admin.services": "Servicios (agregar/editar)",
+    "admin.code": "Código",
+    "admin.name": "Nombre",
+    "admin.basePrice": "Precio base (default)",
+    "admin.basePriceHint": "Se convierte a la moneda de la cotización",
+    "admin.internalCost": "Costo interno ({currency})",
+    "admin.internalCostHint":
+      "Por hora, unidad o mes según el tipo de precio (en precio fijo, el costo total). No sale en el PDF.",
+    "admin.baseMargin": "Margen a precio base",
+    "admin.nameEn": "Nombre (EN)",
+    "admin.taxCategory": "Afectación IGV",
+    "admin.pricingType": "Tipo de precio",
+    "admin.suggestionEn": "Detalle sugerido (EN)",
+    "admin.suggestion": "Detalle sugerido",
+    "admin.newService": "Agregar nuevo servicio",
+    "admin.codeUnique": "Código (único)",
+    "admin.codeHint": "Ej: mantenimiento_avanzado",
+    "admin.addService": "+ Agregar servicio",
+    "admin.profitability": "Rentabilidad (uso interno)",
+    "admin.rolesHint":
+      "Costo por hora de cada rol del equipo. En la tabla de servicios, un rol reemplaza el costo interno del servicio en las filas por hora. Nada de esto sale en el PDF del cliente.",
+    "admin.minMargin": "Margen mínimo (%)",
+    "admin.minMarginHint":
+      "Los servicios con un margen menor se marcan en la cotización.",
+    "admin.role": "Rol",
+    "admin.hourlyCost": "Costo por hora",
+    "admin.currency": "Moneda",
+    "admin.rolePlaceholder": "Ej: Diseñador UI",
+    "admin.addRole": "+ Agregar rol",
+    "admin.conditions": "Condiciones comerciales (para PDF)",
+    "admin.paymentConditions": "Condiciones de pago (default)",
+    "admin.terms": "Términos y condiciones (default)",
+    "admin.paymentConditionsEn": "Condiciones de pago (EN)",
+    "admin.termsEn": "Términos y condiciones (EN)",
+    "admin.conditionsHint":
+      "Las versiones (EN) se usan en cotizaciones en inglés; si están vacías se usa el texto en español.",
+    "admin.bankAccounts": "Cuentas bancarias",
+    "admin.bank": "Banco",
+    "admin.holder": "Titular",
+    "admin.accountNumber": "N° de cuenta",
+    "admin.cciLength": "El CCI debe tener 20 dígitos.",
+    "admin.addAccount": "+ Agregar cuenta",
+    "admin.clients": "Clientes (agregar/editar)",
+    "admin.noClients": "Aún no hay clientes registrados.",
+    "admin.newClient": "Agregar nuevo cliente",
+    "admin.addClient": "+ Agregar cliente",
+    "admin.currencies": "Monedas",
+    "admin.currenciesHint":
+      "PEN es la moneda base. USD usa el tipo de cambio por fecha; las demás, la tasa indicada (soles por 1 unidad). Cada cotización conserva la tasa con la que se creó.",
+    "admin.symbol": "Símbolo",
+    "admin.words": "En letras",
+    "admin.wordsEn": "En letras (EN)",
+    "admin.solesPer": "Soles por 1",
+    "admin.baseCurrency": "Base",
+    "admin.datedRate": "TC por fecha",
+    "admin.rateInvalid": "Debe ser mayor que 0; se mantiene la tasa anterior.",
+    "admin.exchangeRates": "Tipo de cambio por fecha",
+    "admin.exchangeRatesHint":
+      "Cada cotización fija el TC venta vigente en su fecha (o el último anterior). Sin registros se usa el TC por defecto. CSV de la SBS/SUNAT: fecha, compra, venta.",
+    "admin.buy": "Compra",
+    "admin.sell": "Venta",
+    "admin.add": "+ Agregar",
+    "admin.importCsv": "Importar CSV…",
+    "admin.noRates": "Aún no hay tipos de cambio registrados.",
+    "admin.date": "Fecha",
+    "admin.ratesShown": "Mostrando los {shown} más recientes de {total}.",
+    "admin.bundles": "Paquetes de servicios",
+    "admin.bundlesHint":
+      "Conjuntos de servicios con cantidad y detalle predefinidos. La tarifa se toma del catálogo al insertarlos.",
+    "admin.noBundles": "Aún no hay paquetes.",
+    "admin.bundleName": "Nombre del paquete",
+    "admin.missingService": "{code} (no existe)",
+    "admin.bundleDetail": "Detalle (vacío = sugerido del servicio)",
+    "admin.addItem": "+ Ítem",
+    "admin.deleteBundle": "Eliminar paquete",
+    "admin.newBundle": "+ Nuevo paquete",
+    "admin.rowsAsBundle": "Guardar filas actuales como paquete",
+    "admin.templates": "Plantillas de cotización",
+    "admin.templatesHint": 'Se crean desde "{button}" en {section}.',
+    "admin.noTemplates": "Aún no hay plantillas.",
+    "admin.templateSummary":
+      "{services} servicios · {sections} secciones · {currency} · {date}",
+    "admin.useTemplate": "Usar",
+    "admin.catalog": "Exportar / importar catálogo",
+    "admin.catalogHint":
+      "Servicios, paquetes, plantillas y configuración en JSON (v{version}). La numeración de cotizaciones y comprobantes no se exporta.",
+    "admin.exportJson": "Exportar JSON",
+    "admin.importJson": "Importar JSON…",
+    "admin.importPreview": "Vista previa: {file} (v{version})",
+    "admin.merge": "Combinar",
+    "admin.replace": "Reemplazar",
+    "admin.importAdded": "Servicios nuevos ({count}):",
+    "admin.importUpdated": "Servicios actualizados ({count}):",
+    "admin.importRemoved": "Servicios eliminados ({count}):",
+    "admin.importKept": "— (se conservan al combinar)",
+    "admin.importSettings": "Configuración modificada ({count}):",
+    "admin.importCurrencyInUse":
+      "No se puede importar: el archivo quita {code}, que usan {uses}.",
+    "admin.importIssuerInUse":
+      "No se puede importar: el archivo quita el perfil {name}, usado en {quotes} cotización(es) guardada(s) y {invoices} comprobante(s).",
+    "admin.importBundles": "Paquetes ({count}):",
+    "admin.importNoBundles": "— (el archivo no incluye paquetes)",
+    "admin.importTemplates": "Plantillas ({count}):",
+    "admin.importNoTemplates": "— (el archivo no incluye plantillas)",
+    "common.cancel": "Cancelar",
+    "admin.applyImport": "Aplicar importación",
+    "storage.title": "Datos guardados",
+    "common.close": "Cerrar",
+    "storage.migrated":
+      "{label}: actualizado de v{from} a v{to}. Se guardó una copia de respaldo del original.",
+    "storage.failed":
+      "{label}: no se pudo cargar (v{from}): {error} Se usan los valores por defecto; el original quedó respaldado.",
+    "storage.repaired":
+      "{label}: {error} Se guardó una copia de respaldo del original.",
+    "errors.csvNoRows": "no se encontraron filas con fecha, compra y venta.",
+    "errors.unexpectedFormat": "Formato inesperado.",
+    "errors.missingMigration": "Falta la migración v{from} → v{to}.",
+    "errors.catalogJson": "El archivo no es un JSON válido.",
+    "errors.catalogSchema": "El archivo no es un catálogo del cotizador.",
+    "errors.catalogVersion": "El catálogo no indica una versión válida.",
+    "errors.catalogNoServices":
+      "El catálogo no contiene la lista de servicios.",
+    "errors.catalogEmpty": "El catálogo no contiene servicios válidos.",
+    "errors.catalogDuplicates":
+      "El catálogo tiene códigos de servicio duplicados.",
+    "errors.catalogNewer":
+      "El catálogo es de una versión más reciente (v{version}). Actualiza el cotizador.",
+    "errors.catalogUnknownCurrency":
+      "El catálogo usa monedas que no configura: {codes}.",
+    "errors.invalidRate":
+      "Tasa a soles inválida para {codes}: debe ser mayor que 0.",
+    "errors.invalidRateDropped":
+      "Se descartaron las monedas {codes}: su tasa a soles no era mayor que 0.",
+    "errors.missingRate": "No hay una tasa a soles válida para {code}.",
+    "client.dniInvalid": "El DNI debe tener 8 dígitos.",
+    "client.nameRequired":
+      'El nombre no puede quedar vacío; se mantiene "{name}".',
+    "client.rucInvalid": "RUC inválido (11 dígitos y dígito verificador).",
+    "dialog.resetCorrelative": "¿Reiniciar el correlativo para {scope}?",
+    "dialog.scopeSeries": "la serie",
+    "dialog.scopeYear": "el año {year}",
+    "dialog.replaceSchedule":
+      "¿Reemplazar el cronograma actual por 50% / 30% / 20%?",
+    "dialog.deleteAccount": "¿Eliminar la cuenta {bank} {number}?",
+    "toast.accountDeleted": "Cuenta {bank} {number} eliminada.",
+    "common.unnamed": "sin nombre",
+    "dialog.deleteRole":
+      "¿Eliminar el rol {name}? Los servicios que lo usan volverán al costo del servicio.",
+    "toast.roleDeleted": "Rol {name} eliminado.",
+    "dialog.lastIssuer": "Debe quedar al menos un perfil de emisor.",
+    "dialog.issuerInUse":
+      "No se puede eliminar: el perfil se usa en {quotes} cotización(es) guardada(s) y {invoices} comprobante(s).",
+    "dialog.deleteIssuer": "¿Eliminar el perfil {name}?",
+    "toast.issuerDeleted": "Perfil {name} eliminado.",
+    "dialog.logoType": "El logo debe ser una imagen PNG o JPG.",
+    "dialog.logoSize":
+      "El logo pesa más de {kb} KB. Usa una imagen más liviana.",
+    "dialog.logoRead": "No se pudo leer la imagen.",
+    "dialog.duplicateNumber":
+      'Ya existe otra cotización con el N° "{number}". ¿Guardar de todos modos?',
+    "dialog.saveRevision":
+      "¿Guardar los cambios como {next}? La versión {current} quedará en el historial como solo lectura.",
+    "dialog.deleteQuote": '¿Eliminar la cotización "{number}" de {client}?',
+    "dialog.quoteHasInvoices":
+      'No se puede eliminar la cotización "{number}": se generó {invoices} desde ella. Elimina primero esos borradores.',
+    "dialog.invoiceNeedsRuc":
+      "La factura requiere un RUC válido: ingrésalo en los datos del cliente o emite una boleta.",
+    "dialog.nothingToInvoice": "La cotización no tiene importe para facturar.",
+    "dialog.generateInvoice": "¿Generar {kind} por {amount} para {client}?",
+    "dialog.invoiceExists": "Ya se generó {numbers} desde esta cotización.",
+    "dialog.invoiceAccepts":
+      "La cotización se guardará y quedará como aceptada.",
+    "dialog.deleteInvoice":
+      "¿Eliminar el borrador {number}? El correlativo no se reutiliza.",
+    "dialog.serviceName": "Escribe el nombre del servicio.",
+    "dialog.serviceCode": "El código del servicio está vacío.",
+    "dialog.serviceCodeTaken":
+      "Ese código ya existe. Cambia el código para que sea único.",
+    "dialog.lastService": "Debe existir al menos 1 servicio.",
+    "dialog.deleteService": '¿Eliminar el servicio: "{name}"?',
+    "toast.serviceDeleted": 'Servicio "{name}" eliminado del catálogo.',
+    "dialog.clientName": "Escribe la razón social o nombre del cliente.",
+    "dialog.clientDoc": "Escribe el {docType} del cliente.",
+    "dialog.clientExists": "Ya existe un cliente con {docType} {number}.",
+    "dialog.deleteClient": '¿Eliminar el cliente: "{name}"?',
+    "dialog.currencyCode":
+      "El código debe tener 3 letras (ISO 4217), p. ej. EUR.",
+    "dialog.currencyExists": "La moneda {code} ya existe.",
+    "dialog.currencyRate": "Indica cuántos soles equivalen a 1 {code}.",
+    "dialog.currencyInUse": "No se puede eliminar {code}: la usan {uses}.",
+    "currencyUse.quote": "la cotización actual",
+    "currencyUse.services": "servicios",
+    "currencyUse.bankAccounts": "cuentas bancarias",
+    "currencyUse.teamRoles": "roles del equipo",
+    "currencyUse.savedQuotes": "cotizaciones guardadas",
+    "currencyUse.invoices": "comprobantes",
+    "currencyUse.templates": "plantillas",
+    "dialog.deleteCurrency": "¿Eliminar la moneda {code}?",
+    "dialog.rateRequired": "Indica la fecha y el tipo de cambio de venta.",
+    "dialog.deleteRate": "¿Eliminar el tipo de cambio del {date}?",
+    "dialog.importFailed": "No se pudo importar: {error}",
+    "dialog.importRates":
+      "Importar {count} tipos de cambio ({first} a {last}): {added} nuevos, {replaced} reemplazados{skipped}. Las cotizaciones existentes conservan su TC.",
+    "dialog.importRatesSkipped": ", {count} líneas omitidas",
+    "dialog.bundleName": "Nombre del paquete:",
+    "dialog.templateName": "Nombre de la plantilla:",
+    "dialog.deleteBundle": '¿Eliminar el paquete: "{name}"?',
+    "dialog.bundleMissing":
+      "Servicios del paquete que ya no existen en el catálogo (omitidos): {codes}",
+    "toast.bundleInserted": 'Paquete "{name}" insertado ({count} servicios).',
+    "dialog.replaceTemplate": 'Ya existe la plantilla "{name}". ¿Reemplazarla?',
+    "toast.fromTemplate": 'Cotización nueva desde la plantilla "{name}".',
+    "dialog.deleteTemplate": '¿Eliminar la plantilla: "{name}"?',
+    "dialog.scheduleMismatch":
+      "El cronograma de pagos no suma el total de la cotización. ¿Generar el PDF de todos modos?",
+    "toast.rowRemoved": 'Servicio "{name}" quitado de la cotización.',
+    "toast.sectionDeleted": 'Sección "{name}" eliminada.',
+    "toast.milestoneDeleted": 'Hito "{name}" eliminado.',
+    "milestones.defaultName": "Hito {n}",
+    "sections.defaultName": "Fase {n}",
+    "milestonePreset.deposit.name": "Adelanto",
+    "milestonePreset.deposit.condition": "A la aceptación",
+    "milestonePreset.design.name": "Entrega de diseño",
+    "milestonePreset.design.condition": "Al aprobar el diseño",
+    "milestonePreset.launch.name": "Puesta en producción",
+    "milestonePreset.launch.condition": "Al publicar el sitio",
+    "client.name": "Razón social / Nombre",
+    "client.docType": "Documento",
+    "client.address": "Dirección",
+    "client.contact": "Contacto",
+    "client.phone": "Teléfono",
+    "client.docNumber": "N° {docType}",
+    "currency.notConfigured": "{code} (no configurada)",
+  },
+  en: {
+    "status.borrador": "Draft",
+    "status.enviada": "Sent",
+    "status.aceptada": "Accepted",
+    "status.rechazada": "Rejected",
+    "status.vencida": "Expired",
+    "watermark.borrador": "DRAFT",
+    "watermark.vencida": "EXPIRED",
+    "pricing.hourly": "Hourly",
+    "pricing.fixed": "Fixed price",
+    "pricing.unit": "Quantity × price",
+    "pricing.monthly": "Monthly recurring",
+    "pricing.qty.hourly": "Hours",
+    "pricing.qty.unit": "Quantity",
+    "pricing.qty.monthly": "Months",
+    "pricing.unit.unit": "units",
+    "pricing.unit.monthly": "months",
+    "pricing.per.hourly": "hour",
+    "pricing.per.unit": "unit",
+    "pricing.per.monthly": "month",
+    "tax.gravado": "Taxable",
+    "tax.exonerado": "Exempt",
+    "tax.inafecto": "Non-taxable",
+    "tax.op.gravado": "Taxable amount",
+    "tax.op.exonerado": "Exempt amount",
+    "tax.op.inafecto": "Non-taxable amount",
+
+    "app.subtitle": "Quoting • Web • Maintenance • UI/UX",
+    "app.footer":
+      "This quote may be adjusted according to final scope, timelines and deliverables.",
+    "common.delete": "Delete",
+    "nav.admin": "Admin",
+    "nav.closeAdmin": "Close admin",
+    "nav.adminTitle": "Admin panel",
+    "nav.uiLanguage": "Interface language",
+    "history.undo": "↶ Undo",
+    "history.undoTitle": "Undo (Ctrl+Z)",
+    "history.redo": "↷ Redo",
+    "history.redoTitle": "Redo (Ctrl+Shift+Z)",
+    "history.toastUndo": "Undo",
+    "history.toastClose": "Dismiss",
+    "currency.title": "Currency",
+    "currency.rate": "Exchange rate",
+    "currency.keepManualRates":
+      "Keep manually edited rates when switching currency",
+
+    "quote.title": "Quote",
+    "quote.issuer": "Issuer",
+    "quote.clientDirectory": "Client directory",
+    "quote.manualClient": "— Manual client —",
+    "quote.client": "Client",
+    "quote.number": "Quote No.",
+    "quote.numberAuto": "{number} (automatic)",
+    "quote.revision": "Revision R{revision}",
+    "quote.duplicateNumber":
+      "⚠ This number is already used by another saved quote.",
+    "quote.date": "Date",
+    "quote.rateDated": "Exchange rate: {rate} (recorded on {date})",
+    "quote.rateDefault": "Exchange rate: {rate} (default)",
+    "quote.validity": "Validity (days)",
+    "quote.validUntil": "Valid until: {date}",
+    "quote.globalDiscount": "Global discount",
+    "quote.discountBeforeIgv": "Applied before IGV",
+    "quote.pricesIncludeIgv": "Prices include IGV",
+    "quote.language": "Document language",
+    "quote.languageHint": "Client PDF and suggested texts",
+
+    "summary.gross": "Gross amount",
+    "summary.grossBase": "Gross amount (excl. IGV)",
+    "summary.lineDiscount": "Line discounts",
+    "summary.globalDiscount": "Global discount",
+    "summary.globalDiscountPercent": "Global discount ({value}%)",
+    "summary.subtotal": "Subtotal",
+    "summary.igv": "IGV ({rate}%)",
+    "summary.igvIncluded": "IGV ({rate}%) included",
+    "summary.total": "TOTAL",
+    "summary.oneTime": "One-time payment",
+    "summary.recurringMonthly": "Recurring (monthly fee)",
+    "summary.recurringTerm": "Recurring (full term)",
+    "summary.detraction": "SPOT withholding ({rate}%)",
+
+    "actions.title": "Actions",
+    "actions.pdf": "Download PDF (Quote)",
+    "actions.internalPdf": "Internal PDF (Estimate sheet)",
+    "actions.internalPdfTitle":
+      "Includes quantities, hours and unit prices. Do not send to the client.",
+    "actions.save": "Save quote",
+    "actions.saveChanges": "Save changes",
+    "actions.saveAs": "Save as {number}",
+    "actions.saveAsTitle":
+      "The saved version is kept in the history as read-only.",
+    "actions.new": "New quote",
+    "actions.saveTemplate": "Save as template",
+    "actions.saveTemplateTitle":
+      "Saves services, sections and terms (without the client) for reuse.",
+    "actions.fromTemplate": "New from template…",
+    "actions.invoice": "Create invoice draft",
+    "actions.invoiceKindAuto": "By client ({kind})",
+    "actions.invoiceKindTitle":
+      "Document type: factura (requires a RUC) or boleta (DNI, RUC or no document).",
+    "actions.invoiceTitle":
+      "Creates a factura (RUC) or boleta (DNI) draft with this quote's items.",
+    "actions.status": "Status",
+    "actions.unsaved": "(unsaved)",
+    "actions.markSent": "Mark as sent",
+    "actions.watermark": '"{text}" watermark on the PDF',
+    "actions.watermarkTitle":
+      "Uncheck to generate the PDF without the status watermark.",
+    "actions.conversion": "Reference conversion",
+    "actions.conversionTitle": "Reference conversion currency",
+    "actions.detraction": "Subject to detracción",
+
+    "services.title": "Services",
+    "services.insertBundle": "Insert bundle…",
+    "services.insertBundleTitle": "Adds every service in the bundle",
+    "services.addSection": "+ Add section",
+    "services.addService": "+ Add service",
+    "services.colService": "Service",
+    "services.colDetail": "Description",
+    "services.colQuantity": "Quantity",
+    "services.colUnitPrice": "Unit price",
+    "services.colDiscount": "Discount",
+    "services.colSubtotal": "Subtotal",
+    "services.moveSection": "Move section (drag or ↑/↓)",
+    "services.moveSectionLabel": "Move section {name}",
+    "services.sectionName": "Section name",
+    "services.noSection": "No section",
+    "services.addToSection": "+ Service",
+    "services.removeSection":
+      "Delete section (its services are kept without a section)",
+    "services.moveRow": "Move (drag or ↑/↓)",
+    "services.moveRowLabel": "Move service",
+    "services.taxNote": "IGV: {category}",
+    "services.includesIgv": "(incl. IGV)",
+    "services.catalogRate": "Catalog: {amount}",
+    "services.edited": "Edited",
+    "services.gross": "Gross: {amount}",
+    "notes.igvIncluded": "(included in prices)",
+    "notes.igvAdded": "(added to the total)",
+    "notes.rate": "FX",
+    "notes.usdDated": "(USD selling rate of {date})",
+    "notes.usdDefault": "(USD default rate)",
+    "notes.outdatedRates": "Rate recorded for {date}",
+    "notes.apply": "Apply",
+    "profit.show": "Show profitability",
+    "profit.hide": "Hide profitability",
+    "profit.internal": "Internal only: never included in the client PDF.",
+    "profit.col": "Cost / margin",
+    "profit.serviceCost": "Service cost",
+    "profit.cost": "Cost: {amount}",
+    "profit.margin": "Margin: {amount} ({percent})",
+    "profit.belowMin": "below the {percent}% minimum",
+    "profit.noCost": "No internal cost",
+    "profit.total": "Internal cost",
+    "profit.quoteMargin": "Margin",
+    "profit.missing": "{count} service(s) without cost",
+    "profit.lowRows":
+      "⚠ {count} service(s) below the {percent}% minimum margin",
+
+    "schedule.title": "Payment schedule",
+    "schedule.preset": "Use 50% / 30% / 20%",
+    "schedule.add": "+ Add milestone",
+    "schedule.empty":
+      "No schedule: the PDF will not include the payments table.",
+    "schedule.colMilestone": "Milestone",
+    "schedule.colValue": "% or amount",
+    "schedule.colCondition": "Condition",
+    "schedule.colAmount": "Amount",
+    "schedule.sum": "Sum",
+    "schedule.missing": "Unassigned",
+    "schedule.exceeds": "Over by",
+    "schedule.total": "Total: {amount}",
+
+    "conditions.title": "Terms",
+    "conditions.payment": "Payment terms",
+    "conditions.terms": "Terms and conditions",
+    "conditions.reset": "Reset to defaults",
+    "conditions.banks": "Bank accounts in the PDF",
+    "conditions.noBanks": "Add bank accounts in the admin panel.",
+    "conditions.bank": "Bank",
+
+    "revisions.title": "Revisions of {number}",
+    "revisions.colNumber": "No.",
+    "revisions.colSaved": "Saved",
+    "revisions.colStatus": "Status",
+    "revisions.colTotal": "Total",
+    "revisions.current": "Current",
+    "revisions.readOnly": "Read-only",
+    "revisions.duplicate": "Duplicate as new",
+    "revisions.from": "Compare from",
+    "revisions.to": "To",
+    "revisions.added": "+ Added",
+    "revisions.removed": "− Removed",
+    "revisions.noChanges": "No changes to services.",
+    "revisions.currency": "Currency",
+    "revisions.total": "Total",
+    "revisions.field.service": "Service",
+    "revisions.field.detail": "Detail",
+    "revisions.field.pricingType": "Pricing type",
+    "revisions.field.quantity": "Quantity",
+    "revisions.field.unitPrice": "Unit price",
+    "revisions.field.discount": "Discount",
+
+    "saved.title": "Saved quotes",
+    "saved.allStatuses": "All statuses",
+    "saved.search": "Search by client, number or date",
+    "saved.empty": "No saved quotes yet.",
+    "saved.noMatch": "No quote matches the search or status.",
+    "saved.colNumber": "No.",
+    "saved.colClient": "Client",
+    "saved.colDate": "Date",
+    "saved.colCurrency": "Currency",
+    "saved.colStatus": "Status",
+    "saved.previousVersions": "{count} previous version(s)",
+    "saved.since": "Since {date}",
+    "saved.invoices": "Invoice: {numbers}",
+    "saved.open": "Open",
+    "saved.duplicate": "Duplicate",
+
+    "invoices.title": "Invoices (drafts)",
+    "invoices.empty":
+      'No invoices yet. Use "Create invoice draft" on an accepted quote.',
+    "invoices.colNumber": "No.",
+    "invoices.colKind": "Type",
+    "invoices.colDate": "Date",
+    "invoices.colClient": "Client",
+    "invoices.colQuote": "Quote",
+    "invoices.colTotal": "Total",
+    "invoices.quoteDeleted": "{number} (deleted)",
+
+    "pdf.quoteTitle": "SERVICES QUOTATION",
+    "pdf.number": "No.: {number}",
+    "pdf.unnumbered": "unnumbered",
+    "pdf.date": "Date: {date}",
+    "pdf.client": "Client: {name}",
+    "pdf.address": "Address: {address}",
+    "pdf.currency": "Currency: {currency}",
+    "pdf.rate": "Exchange rate: {rate}",
+    "pdf.igv": "IGV (VAT): {rate}%",
+    "pdf.igvIncluded": "IGV (VAT): {rate}% (prices include IGV)",
+    "pdf.colService": "Service",
+    "pdf.colDetail": "Description",
+    "pdf.colAmount": "Amount",
+    "pdf.colDiscount": "Discount",
+    "pdf.colNet": "Net",
+    "pdf.sectionSubtotal": "{name} subtotal",
+    "pdf.detraction":
+      "Transaction subject to the Peruvian withholding system (SPOT, detracción) — {percent}%: {amount}. The client deposits this amount into the supplier's detracción account at Banco de la Nación.",
+    "pdf.scheduleAmount": "Amount ({currency})",
+    "pdf.scheduleReference": "Ref. ({currency})",
+    "pdf.banks": "Bank accounts",
+    "pdf.colBank": "Bank",
+    "pdf.colBankCurrency": "Currency",
+    "pdf.colAccount": "Account No.",
+    "pdf.colHolder": "Account holder",
+    "pdf.fileSuffix": "quote",
+    "admin.title": "Admin panel",
+    "admin.autosave": "Saved automatically (localStorage)",
+    "admin.settings": "Settings",
+    "admin.defaultRate": "Default exchange rate (PEN per 1 USD)",
+    "admin.igvHint": "Default: 18%",
+    "admin.rounding": "Rounding",
+    "admin.roundingLine": "Per line (each item to cents)",
+    "admin.roundingTotal": "On the total",
+    "admin.roundingHint":
+      "Half-up to 2 decimals. Subtotal + IGV = Total, exactly.",
+    "admin.detractionEnabled":
+      "Apply the SPOT withholding (detracción) to services",
+    "admin.detractionRate": "SPOT withholding (%)",
+    "admin.detractionThreshold": "From (PEN)",
+    "admin.detractionHint": "Default: 12% from S/ 700",
+    "admin.numbering": "Quote numbering",
+    "admin.prefix": "Prefix",
+    "admin.digits": "Digits",
+    "admin.lastCorrelative": "Last sequence number",
+    "admin.includeYear": "Include the year in the number (sequence per year)",
+    "admin.next": "Next:",
+    "admin.resetCorrelative": "Reset sequence",
+    "admin.invoiceSeries": "Invoice series",
+    "admin.series": "{kind} series",
+    "admin.issuers": "Issuer profiles (for PDF)",
+    "admin.issuersHint":
+      "Each quote picks the profile it is issued under. PNG or JPG logo up to {kb} KB.",
+    "admin.issuerName": "Name / legal name",
+    "admin.address": "Address",
+    "admin.phone": "Phone",
+    "admin.accentColor": "Accent color",
+    "admin.rucLength": "The RUC must have 11 digits.",
+    "admin.uploadLogo": "Upload logo…",
+    "admin.appLogo": "Use the app logo",
+    "admin.default": "Default",
+    "admin.addIssuer": "+ Add profile",
+    "admin.services": "Services (add/edit)",
+    "admin.code": "Code",
+    "admin.name": "Name",
+    "admin.basePrice": "Base price (default)",
+    "admin.basePriceHint": "Converted to the quote currency",
+    "admin.internalCost": "Internal cost ({currency})",
+    "admin.internalCostHint":
+      "Per hour, unit or month depending on the pricing type (the total cost for a fixed price). Never printed on the PDF.",
+    "admin.baseMargin": "Margin at base price",
+    "admin.nameEn": "Name (EN)",
+    "admin.taxCategory": "IGV treatment",
+    "admin.pricingType": "Pricing type",
+    "admin.suggestionEn": "Suggested detail (EN)",
+    "admin.suggestion": "Suggested detail",
+    "admin.newService": "Add new service",
+    "admin.codeUnique": "Code (unique)",
+    "admin.codeHint": "e.g. advanced_maintenance",
+    "admin.addService": "+ Add service",
+    "admin.profitability": "Profitability (internal use)",
+    "admin.rolesHint":
+      "Hourly cost of each team role. In the services table, a role replaces the service's internal cost on hourly rows. None of this is printed on the client PDF.",
+    "admin.minMargin": "Minimum margin (%)",
+    "admin.minMarginHint":
+      "Services below this margin are flagged in the quote.",
+    "admin.role": "Role",
+    "admin.hourlyCost": "Hourly cost",
+    "admin.currency": "Currency",
+    "admin.rolePlaceholder": "e.g. UI designer",
+    "admin.addRole": "+ Add role",
+    "admin.conditions": "Commercial terms (for PDF)",
+    "admin.paymentConditions": "Payment terms (default)",
+    "admin.terms": "Terms and conditions (default)",
+    "admin.paymentConditionsEn": "Payment terms (EN)",
+    "admin.termsEn": "Terms and conditions (EN)",
+    "admin.conditionsHint":
+      "The (EN) versions are used on English quotes; when empty, the Spanish text is used.",
+    "admin.bankAccounts": "Bank accounts",
+    "admin.bank": "Bank",
+    "admin.holder": "Account holder",
+    "admin.accountNumber": "Account No.",
+    "admin.cciLength": "The CCI must have 20 digits.",
+    "admin.addAccount": "+ Add account",
+    "admin.clients": "Clients (add/edit)",
+    "admin.noClients": "No clients yet.",
+    "admin.newClient": "Add new client",
+    "admin.addClient": "+ Add client",
+    "admin.currencies": "Currencies",
+    "admin.currenciesHint":
+      "PEN is the base currency. USD uses the dated exchange rate; the others, the rate given here (soles per 1 unit). Each quote keeps the rate it was created with.",
+    "admin.symbol": "Symbol",
+    "admin.words": "In words",
+    "admin.wordsEn": "In words (EN)",
+    "admin.solesPer": "Soles per 1",
+    "admin.baseCurrency": "Base",
+    "admin.datedRate": "Dated rate",
+    "admin.rateInvalid": "Must be greater than 0; the previous rate is kept.",
+    "admin.exchangeRates": "Exchange rates by date",
+    "admin.exchangeRatesHint":
+      "Each quote locks the selling rate in force on its date (or the latest before it). Without records the default rate is used. SBS/SUNAT CSV: date, buy, sell.",
+    "admin.buy": "Buy",
+    "admin.sell": "Sell",
+    "admin.add": "+ Add",
+    "admin.importCsv": "Import CSV…",
+    "admin.noRates": "No exchange rates yet.",
+    "admin.date": "Date",
+    "admin.ratesShown": "Showing the {shown} most recent of {total}.",
+    "admin.bundles": "Service bundles",
+    "admin.bundlesHint":
+      "Sets of services with preset quantity and detail. The rate is taken from the catalog when inserted.",
+    "admin.noBundles": "No bundles yet.",
+    "admin.bundleName": "Bundle name",
+    "admin.missingService": "{code} (missing)",
+    "admin.bundleDetail": "Detail (empty = service suggestion)",
+    "admin.addItem": "+ Item",
+    "admin.deleteBundle": "Delete bundle",
+    "admin.newBundle": "+ New bundle",
+    "admin.rowsAsBundle": "Save current rows as a bundle",
+    "admin.templates": "Quote templates",
+    "admin.templatesHint": 'Created with "{button}" under {section}.',
+    "admin.noTemplates": "No templates yet.",
+    "admin.templateSummary":
+      "{services} services · {sections} sections · {currency} · {date}",
+    "admin.useTemplate": "Use",
+    "admin.catalog": "Export / import catalog",
+    "admin.catalogHint":
+      "Services, bundles, templates and settings as JSON (v{version}). Quote and invoice numbering is not exported.",
+    "admin.exportJson": "Export JSON",
+    "admin.importJson": "Import JSON…",
+    "admin.importPreview": "Preview: {file} (v{version})",
+    "admin.merge": "Merge",
+    "admin.replace": "Replace",
+    "admin.importAdded": "New services ({count}):",
+    "admin.importUpdated": "Updated services ({count}):",
+    "admin.importRemoved": "Removed services ({count}):",
+    "admin.importKept": "— (kept when merging)",
+    "admin.importSettings": "Changed settings ({count}):",
+    "admin.importCurrencyInUse":
+      "Cannot import: the file removes {code}, which is used by {uses}.",
+    "admin.importIssuerInUse":
+      "Cannot import: the file removes the profile {name}, used by {quotes} saved quote(s) and {invoices} invoice(s).",
+    "admin.importBundles": "Bundles ({count}):",
+    "admin.importNoBundles": "— (the file has no bundles)",
+    "admin.importTemplates": "Templates ({count}):",
+    "admin.importNoTemplates": "— (the file has no templates)",
+    "common.cancel": "Cancel",
+    "admin.applyImport": "Apply import",
+    "storage.title": "Saved data",
+    "common.close": "Close",
+    "storage.migrated":
+      "{label}: upgraded from v{from} to v{to}. A backup of the original was kept.",
+    "storage.failed":
+      "{label}: could not be loaded (v{from}): {error} Defaults are in use; the original was backed up.",
+    "storage.repaired": "{label}: {error} A backup of the original was kept.",
+    "storage.entity.SETTINGS": "Settings",
+    "storage.entity.SERVICES": "Services",
+    "storage.entity.QUOTES": "Saved quotes",
+    "storage.entity.CLIENTS": "Clients",
+    "storage.entity.INVOICES": "Invoices",
+    "storage.entity.BUNDLES": "Service bundles",
+    "storage.entity.TEMPLATES": "Templates",
+    "errors.csvNoRows": "no rows with date, buy and sell were found.",
+    "errors.unexpectedFormat": "Unexpected format.",
+    "errors.missingMigration": "Missing migration v{from} → v{to}.",
+    "errors.catalogJson": "The file is not valid JSON.",
+    "errors.catalogSchema": "The file is not a quote catalog.",
+    "errors.catalogVersion": "The catalog has no valid version.",
+    "errors.catalogNoServices": "The catalog has no service list.",
+    "errors.catalogEmpty": "The catalog has no valid services.",
+    "errors.catalogDuplicates": "The catalog has duplicate service codes.",
+    "errors.catalogNewer":
+      "The catalog comes from a newer version (v{version}). Update the app.",
+    "errors.catalogUnknownCurrency":
+      "The catalog uses currencies it does not configure: {codes}.",
+    "errors.invalidRate":
+      "Invalid rate to PEN for {codes}: it must be greater than 0.",
+    "errors.invalidRateDropped":
+      "The currencies {codes} were dropped: their rate to PEN was not greater than 0.",
+    "errors.missingRate": "There is no valid rate to PEN for {code}.",
+    "client.dniInvalid": "The DNI must have 8 digits.",
+    "client.nameRequired": 'The name cannot be empty; "{name}" is kept.',
+    "client.rucInvalid": "Invalid RUC (11 digits and check digit).",
+    "dialog.resetCorrelative": "Reset the sequence for {scope}?",
+    "dialog.scopeSeries": "the series",
+    "dialog.scopeYear": "year {year}",
+    "dialog.replaceSchedule":
+      "Replace the current schedule with 50% / 30% / 20%?",
+    "dialog.deleteAccount": "Delete the account {bank} {number}?",
+    "toast.accountDeleted": "Account {bank} {number} deleted.",
+    "common.unnamed": "unnamed",
+    "dialog.deleteRole":
+      "Delete the role {name}? Rows using it go back to the service cost.",
+    "toast.roleDeleted": "Role {name} deleted.",
+    "dialog.lastIssuer": "At least one issuer profile must remain.",
+    "dialog.issuerInUse":
+      "Cannot delete: the profile is used by {quotes} saved quote(s) and {invoices} invoice(s).",
+    "dialog.deleteIssuer": "Delete the profile {name}?",
+    "toast.issuerDeleted": "Profile {name} deleted.",
+    "dialog.logoType": "The logo must be a PNG or JPG image.",
+    "dialog.logoSize": "The logo is larger than {kb} KB. Use a lighter image.",
+    "dialog.logoRead": "Could not read the image.",
+    "dialog.duplicateNumber":
+      'Another quote already uses No. "{number}". Save anyway?',
+    "dialog.saveRevision":
+      "Save the changes as {next}? Version {current} stays in the history as read-only.",
+    "dialog.deleteQuote": 'Delete quote "{number}" for {client}?',
+    "dialog.quoteHasInvoices":
+      'Cannot delete quote "{number}": {invoices} was created from it. Delete those drafts first.',
+    "dialog.invoiceNeedsRuc":
+      "A factura requires a valid RUC: enter it in the client details or issue a boleta.",
+    "dialog.nothingToInvoice": "The quote has no amount to invoice.",
+    "dialog.generateInvoice": "Create a {kind} for {amount} for {client}?",
+    "dialog.invoiceExists": "{numbers} was already created from this quote.",
+    "dialog.invoiceAccepts": "The quote will be saved and marked as accepted.",
+    "dialog.deleteInvoice": "Delete draft {number}? Its number is not reused.",
+    "dialog.serviceName": "Enter the service name.",
+    "dialog.serviceCode": "The service code is empty.",
+    "dialog.serviceCodeTaken":
+      "That code already exists. Change it so it is unique.",
+    "dialog.lastService": "At least 1 service must remain.",
+    "dialog.deleteService": 'Delete the service "{name}"?',
+    "toast.serviceDeleted": 'Service "{name}" removed from the catalog.',
+    "dialog.clientName": "Enter the client's legal name or name.",
+    "dialog.clientDoc": "Enter the client's {docType}.",
+    "dialog.clientExists": "A client with {docType} {number} already exists.",
+    "dialog.deleteClient": 'Delete the client "{name}"?',
+    "dialog.currencyCode": "The code must have 3 letters (ISO 4217), e.g. EUR.",
+    "dialog.currencyExists": "Currency {code} already exists.",
+    "dialog.currencyRate": "Enter how many soles equal 1 {code}.",
+    "dialog.currencyInUse": "Cannot delete {code}: used by {uses}.",
+    "currencyUse.quote": "the current quote",
+    "currencyUse.services": "services",
+    "currencyUse.bankAccounts": "bank accounts",
+    "currencyUse.teamRoles": "team roles",
+    "currencyUse.savedQuotes": "saved quotes",
+    "currencyUse.invoices": "invoices",
+    "currencyUse.templates": "templates",
+    "dialog.deleteCurrency": "Delete currency {code}?",
+    "dialog.rateRequired": "Enter the date and the selling rate.",
+    "dialog.deleteRate": "Delete the exchange rate for {date}?",
+    "dialog.importFailed": "Could not import: {error}",
+    "dialog.importRates":
+      "Import {count} exchange rates ({first} to {last}): {added} new, {replaced} replaced{skipped}. Existing quotes keep their rate.",
+    "dialog.importRatesSkipped": ", {count} lines skipped",
+    "dialog.bundleName": "Bundle name:",
+    "dialog.templateName": "Template name:",
+    "dialog.deleteBundle": 'Delete the bundle "{name}"?',
+    "dialog.bundleMissing":
+      "Bundle services no longer in the catalog (skipped): {codes}",
+    "toast.bundleInserted": 'Bundle "{name}" inserted ({count} services).',
+    "dialog.replaceTemplate": 'Template "{name}" already exists. Replace it?',
+    "toast.fromTemplate": 'New quote from template "{name}".',
+    "dialog.deleteTemplate": 'Delete the template "{name}"?',
+    "dialog.scheduleMismatch":
+      "The payment schedule does not add up to the quote total. Generate the PDF anyway?",
+    "toast.rowRemoved": 'Service "{name}" removed from the quote.',
+    "toast.sectionDeleted": 'Section "{name}" deleted.',
+    "toast.milestoneDeleted": 'Milestone "{name}" deleted.',
+    "milestones.defaultName": "Milestone {n}",
+    "sections.defaultName": "Phase {n}",
+    "milestonePreset.deposit.name": "Deposit",
+    "milestonePreset.deposit.condition": "On acceptance",
+    "milestonePreset.design.name": "Design delivery",
+    "milestonePreset.design.condition": "On design approval",
+    "milestonePreset.launch.name": "Go-live",
+    "milestonePreset.launch.condition": "When the site goes live",
+    "client.name": "Legal name / Name",
+    "client.docType": "Document",
+    "client.address": "Address",
+    "client.contact": "Contact",
+    "client.phone": "Phone",
+    "client.docNumber": "{docType} No.",
+    "currency.notConfigured": "{code} (not configured)",
+  },
+};
+
+// Texto del catálogo con variables {name}; si falta en el idioma, se usa el español
+export function translate(lang, key, vars = {}) {
+  const template = MESSAGES[lang]?.[key] ?? MESSAGES.es[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    vars[name] !== undefined ? String(vars[name]) : match
+  );
+}
+
+// "12 meses", "3 und.", "10 h"; vacío para precio fijo
+export function pricingQuantityText(r, lang = "es") {
+  const type = PRICING_TYPES[r.pricingType] ? r.pricingType : "hourly";
+  const unit = translate(lang, `pricing.unit.${type}`);
+  return unit ? `${rowQuantity(r)} ${unit}` : "";
+}
@@ -0,0 +1,96 @@
+import { safeId, todayISO } from "./util";
+import { currencyCode } from "./currency";
+import { TAX_CATEGORIES } from "./services";
+
+/** ========= Comprobantes ========= */
+export const INVOICE_KINDS = {
+  factura: { label: "Factura", title: "FACTURA ELECTRÓNICA", prefix: "F" },
+  boleta: {
+    label: "Boleta",
+    title: "BOLETA DE VENTA ELECTRÓNICA",
+    prefix: "B",
+  },
+};
+
+const INVOICE_PADDING = 8;
+
+// Líneas del resumen que no van en el comprobante (sus ítems ya son netos)
+export const INVOICE_OMITTED_LINES = [
+  "summary.gross",
+  "summary.grossBase",
+  "summary.lineDiscount",
+  "summary.globalDiscount",
+  "summary.globalDiscountPercent",
+];
+
+// Factura solo con RUC; con DNI se emite boleta
+export function invoiceKindFor(docType) {
+  return docType === "RUC" ? "factura" : "boleta";
+}
+
+// Serie de 4 caracteres que empieza con F o B según el tipo
+export function normalizeInvoiceSeries(kind, value) {
+  const { prefix } = INVOICE_KINDS[kind];
+  const rest = String(value || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .replace(new RegExp(`^${prefix}`), "");
+  return `${prefix}${rest.padStart(3, "0")}`.slice(0, 4);
+}
+
+export function formatInvoiceNumber(series, n) {
+  return `${series}-${String(n).padStart(INVOICE_PADDING, "0")}`;
+}
+
+// Siguiente correlativo de la serie, sin repetir números ya emitidos
+export function nextInvoiceNumber(settings, invoices, kind) {
+  const series = normalizeInvoiceSeries(kind, settings.invoiceSeries[kind]);
+  const taken = new Set(invoices.map((inv) => inv.number));
+  let n = (Number(settings.invoiceCounters?.[series]) || 0) + 1;
+  while (taken.has(formatInvoiceNumber(series, n))) n++;
+  return { series, n, number: formatInvoiceNumber(series, n) };
+}
+
+export function cleanInvoice(inv) {
+  if (!inv || typeof inv !== "object" || !INVOICE_KINDS[inv.kind]) return null;
+  if (!inv.number) return null;
+  return {
+    id: inv.id || safeId(),
+    kind: inv.kind,
+    number: String(inv.number),
+    issueDate: String(inv.issueDate || todayISO()),
+    quoteId: String(inv.quoteId || ""),
+    quoteNumber: String(inv.quoteNumber || ""),
+    issuerId: String(inv.issuerId || ""),
+    currency: currencyCode(inv.currency),
+    client: {
+      name: String(inv.client?.name || ""),
+      docType: inv.client?.docType === "DNI" ? "DNI" : "RUC",
+      docNumber: String(inv.client?.docNumber || ""),
+      address: String(inv.client?.address || ""),
+    },
+    items: Array.isArray(inv.items)
+      ? inv.items.map((it) => ({
+          service: String(it?.service || ""),
+          detail: String(it?.detail || ""),
+          taxCategory: TAX_CATEGORIES[it?.taxCategory]
+            ? it.taxCategory
+            : "gravado",
+          amount: Number(it?.amount) || 0,
+        }))
+      : [],
+    lines: Array.isArray(inv.lines)
+      ? inv.lines.map((l) => ({
+          label: String(l?.label || ""),
+          amount: Number(l?.amount) || 0,
+          big: !!l?.big,
+        }))
+      : [],
+    igvRate: Number(inv.igvRate) || 0,
+    pricesIncludeIgv: !!inv.pricesIncludeIgv,
+    total: Number(inv.total) || 0,
+    totalInWords: String(inv.totalInWords || ""),
+    detraction: Number(inv.detraction) || 0,
+    createdAt: inv.createdAt || new Date().toISOString(),
+  };
+}
@@ -0,0 +1,52 @@
+import {
+  formatInvoiceNumber,
+  invoiceKindFor,
+  nextInvoiceNumber,
+  normalizeInvoiceSeries,
+} from "./invoices";
+
+test("invoiceKindFor issues facturas only to RUC clients", () => {
+  expect(invoiceKindFor("RUC")).toBe("factura");
+  expect(invoiceKindFor("DNI")).toBe("boleta");
+  expect(invoiceKindFor("")).toBe("boleta");
+});
+
+describe("normalizeInvoiceSeries", () => {
+  test("keeps four characters starting with the kind's letter", () => {
+    expect(normalizeInvoiceSeries("factura", "f001")).toBe("F001");
+    expect(normalizeInvoiceSeries("boleta", "B002")).toBe("B002");
+  });
+
+  test("adds the prefix and pads short series", () => {
+    expect(normalizeInvoiceSeries("factura", "1")).toBe("F001");
+    expect(normalizeInvoiceSeries("boleta", "")).toBe("B000");
+    expect(normalizeInvoiceSeries("boleta", "b-12")).toBe("B012");
+  });
+});
+
+test("formatInvoiceNumber pads the correlative to 8 digits", () => {
+  expect(formatInvoiceNumber("F001", 27)).toBe("F001-00000027");
+});
+
+describe("nextInvoiceNumber", () => {
+  const settings = {
+    invoiceSeries: { factura: "F001", boleta: "b1" },
+    invoiceCounters: { F001: 4 },
+  };
+
+  test("continues the counter of each series", () => {
+    expect(nextInvoiceNumber(settings, [], "factura")).toEqual({
+      series: "F001",
+      n: 5,
+      number: "F001-00000005",
+    });
+    expect(nextInvoiceNumber(settings, [], "boleta").number).toBe(
+      "B001-00000001"
+    );
+  });
+
+  test("skips numbers already issued", () => {
+    const invoices = [{ number: "F001-00000005" }, { number: "F001-00000006" }];
+    expect(nextInvoiceNumber(settings, invoices, "factura").n).toBe(7);
+  });
+});
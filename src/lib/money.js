@@ -0,0 +1,51 @@
+/** ========= Money (céntimos enteros) ========= */
+// Redondeo half-up (0.5 se aleja de cero), tolerante al ruido del punto flotante
+export function roundHalfUp(n) {
+  const x = Number(n) || 0;
+  return Math.sign(x) * Math.floor(Math.abs(x) + 0.5 + 1e-7);
+}
+
+export const fromCents = (cents) => cents / 100;
+
+export const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// Reparte `totalCents` en proporción a `weights` sin perder céntimos (resto mayor)
+export function allocateCents(totalCents, weights) {
+  const sum = weights.reduce((acc, w) => acc + w, 0);
+  if (!totalCents || sum <= 0) return weights.map(() => 0);
+
+  const raw = weights.map((w) => (totalCents * w) / sum);
+  const parts = raw.map(Math.floor);
+  let remainder = totalCents - parts.reduce((acc, p) => acc + p, 0);
+
+  raw
+    .map((value, i) => ({ i, frac: value - Math.floor(value) }))
+    .sort((a, b) => b.frac - a.frac)
+    .forEach(({ i }) => {
+      if (remainder > 0) {
+        parts[i] += 1;
+        remainder -= 1;
+      }
+    });
+  return parts;
+}
+
+export function toPercentInput(decimal) {
+  const n = Number(decimal);
+  if (!Number.isFinite(n)) return "";
+  return String(Math.round(n * 100 * 100) / 100); // 2 decimales
+}
+
+export function percentToDecimal(p) {
+  const n = Number(p);
+  if (!Number.isFinite(n)) return 0;
+  return n / 100;
+}
+
+// Descuento en céntimos (percent | amount) acotado entre 0 y la base
+export function discountCents(baseCents, type, value) {
+  const v = Math.max(0, Number(value) || 0);
+  const cents =
+    type === "percent" ? (baseCents * Math.min(v, 100)) / 100 : v * 100;
+  return Math.min(Math.max(0, cents), Math.max(0, baseCents));
+}
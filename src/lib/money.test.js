@@ -0,0 +1,46 @@
+import { allocateCents, discountCents, roundHalfUp } from "./money";
+
+describe("roundHalfUp", () => {
+  test("rounds halves away from zero", () => {
+    expect(roundHalfUp(0.5)).toBe(1);
+    expect(roundHalfUp(2.5)).toBe(3);
+    expect(roundHalfUp(-2.5)).toBe(-3);
+    expect(roundHalfUp(2.49)).toBe(2);
+  });
+
+  test("tolerates floating point noise", () => {
+    // 1.005 * 100 = 100.49999999999999
+    expect(roundHalfUp(1.005 * 100)).toBe(101);
+  });
+
+  test("treats non-numbers as zero", () => {
+    expect(roundHalfUp("abc")).toBe(0);
+    expect(roundHalfUp(undefined)).toBe(0);
+  });
+});
+
+describe("allocateCents", () => {
+  test("keeps every cent using the largest remainder", () => {
+    const parts = allocateCents(100, [1, 1, 1]);
+    expect(parts).toEqual([34, 33, 33]);
+    expect(parts.reduce((a, b) => a + b, 0)).toBe(100);
+  });
+
+  test("splits in proportion to the weights", () => {
+    expect(allocateCents(1000, [3000, 1000])).toEqual([750, 250]);
+  });
+
+  test("returns zeros without a total or weights", () => {
+    expect(allocateCents(0, [1, 2])).toEqual([0, 0]);
+    expect(allocateCents(100, [0, 0])).toEqual([0, 0]);
+  });
+});
+
+describe("discountCents", () => {
+  test("applies percentages and fixed amounts without exceeding the base", () => {
+    expect(discountCents(10000, "percent", 10)).toBe(1000);
+    expect(discountCents(10000, "amount", 25)).toBe(2500);
+    expect(discountCents(10000, "amount", 500)).toBe(10000);
+    expect(discountCents(10000, "percent", 150)).toBe(10000);
+  });
+});
@@ -0,0 +1,264 @@
+import { addDaysISO, safeId, sanitizeFilename, todayISO } from "./util";
+import { round2 } from "./money";
+import { currencyCode } from "./currency";
+import { PRICING_TYPES, rowQuantity } from "./services";
+import { cleanLanguage } from "./settings";
+
+/** ========= Numeración y cotizaciones guardadas ========= */
+export function quoteFileName(quoteNumber, clientName, kind) {
+  return sanitizeFilename(`${quoteNumber}_${clientName}_${kind}`);
+}
+
+export function quoteCounterKey(settings, date) {
+  if (!settings.quoteIncludeYear) return "global";
+  const year = String(date || "").slice(0, 4);
+  return /^\d{4}$/.test(year) ? year : todayISO().slice(0, 4);
+}
+
+export function formatQuoteNumber(settings, counterKey, n) {
+  const padding = Math.min(8, Math.max(1, Number(settings.quotePadding) || 1));
+  return [
+    (settings.quotePrefix || "").trim(),
+    counterKey === "global" ? "" : counterKey,
+    String(n).padStart(padding, "0"),
+  ]
+    .filter(Boolean)
+    .join("-");
+}
+
+export function cleanMilestone(m) {
+  if (!m || typeof m !== "object") return null;
+  return {
+    id: m.id || safeId(),
+    name: String(m.name || ""),
+    type: m.type === "amount" ? "amount" : "percent",
+    value: Math.max(0, Number(m.value) || 0),
+    condition: String(m.condition || ""),
+  };
+}
+
+// Nombre y condición en MESSAGES (milestonePreset.<key>.*), en el idioma del documento
+export const MILESTONE_PRESET = [
+  { key: "deposit", type: "percent", value: 50 },
+  { key: "design", type: "percent", value: 30 },
+  { key: "launch", type: "percent", value: 20 },
+];
+
+/** ========= Quote lifecycle ========= */
+export const QUOTE_STATUSES = {
+  borrador: { label: "Borrador", watermark: "BORRADOR" },
+  enviada: { label: "Enviada" },
+  aceptada: { label: "Aceptada" },
+  rechazada: { label: "Rechazada" },
+  vencida: { label: "Vencida", watermark: "VENCIDA" },
+};
+
+// Solo las cotizaciones aún abiertas pueden vencer
+export const EXPIRABLE_STATUSES = ["borrador", "enviada"];
+
+export function quoteExpired(q, today = todayISO()) {
+  return addDaysISO(q.date, q.validityDays) < today;
+}
+
+export function withStatus(saved, status, at = new Date().toISOString()) {
+  if (saved.status === status) return saved;
+  return {
+    ...saved,
+    status,
+    statusHistory: [...saved.statusHistory, { status, at }],
+  };
+}
+
+// `only` limita la revisión a ciertas cotizaciones (p. ej. las de fecha cambiada)
+export function expireSavedQuotes(list, today = todayISO(), only = () => true) {
+  let changed = false;
+  const next = list.map((q) => {
+    if (
+      !only(q) ||
+      !EXPIRABLE_STATUSES.includes(q.status) ||
+      !quoteExpired(q.quote, today)
+    )
+      return q;
+    changed = true;
+    return withStatus(q, "vencida");
+  });
+  return changed ? next : list;
+}
+
+export function lastStatusChange(saved) {
+  const last = saved.statusHistory[saved.statusHistory.length - 1];
+  return last ? last.at : saved.createdAt;
+}
+
+function cleanSavedRow(r) {
+  return {
+    id: r?.id || safeId(),
+    sectionId: String(r?.sectionId || ""),
+    serviceType: String(r?.serviceType || ""),
+    detail: String(r?.detail || ""),
+    hours: Number(r?.hours) || 0,
+    hourlyCost: Number(r?.hourlyCost) || 0,
+    pricingType: PRICING_TYPES[r?.pricingType] ? r.pricingType : "hourly",
+    discountType: r?.discountType === "amount" ? "amount" : "percent",
+    discountValue: Math.max(0, Number(r?.discountValue) || 0),
+    rateOverridden: !!r?.rateOverridden,
+    roleId: String(r?.roleId || ""), // costo interno del rol; "" = del servicio
+  };
+}
+
+export function cleanSavedQuote(q) {
+  if (!q || typeof q !== "object" || !q.quote) return null;
+  return {
+    id: q.id || safeId(),
+    quote: {
+      clientName: String(q.quote.clientName || ""),
+      clientId: String(q.quote.clientId || ""),
+      clientDocType: q.quote.clientDocType === "DNI" ? "DNI" : "RUC",
+      clientDocNumber: String(q.quote.clientDocNumber || ""),
+      clientAddress: String(q.quote.clientAddress || ""),
+      quoteNumber: String(q.quote.quoteNumber || ""),
+      revision: Math.max(0, Math.floor(Number(q.quote.revision) || 0)),
+      validityDays: Math.max(1, Number(q.quote.validityDays) || 1),
+      date: String(q.quote.date || todayISO()),
+      language: cleanLanguage(q.quote.language),
+      issuerId: String(q.quote.issuerId || ""),
+      // TC fijado según la fecha; null = se fija al abrirla
+      exchangeRate:
+        Number(q.quote.exchangeRate) > 0 ? Number(q.quote.exchangeRate) : null,
+      exchangeRateDate: String(q.quote.exchangeRateDate || ""),
+      currencyRates:
+        q.quote.currencyRates && typeof q.quote.currencyRates === "object"
+          ? Object.fromEntries(
+              Object.entries(q.quote.currencyRates).filter(
+                ([code, rate]) => /^[A-Z]{3}$/.test(code) && Number(rate) > 0
+              )
+            )
+          : null,
+      // Moneda de la conversión informativa; "" = PEN o USD según la moneda
+      referenceCurrency: String(q.quote.referenceCurrency || ""),
+      discountType: q.quote.discountType === "amount" ? "amount" : "percent",
+      discountValue: Math.max(0, Number(q.quote.discountValue) || 0),
+      pricesIncludeIgv: !!q.quote.pricesIncludeIgv,
+      statusWatermark: q.quote.statusWatermark !== false,
+      paymentConditions:
+        typeof q.quote.paymentConditions === "string"
+          ? q.quote.paymentConditions
+          : null,
+      terms: typeof q.quote.terms === "string" ? q.quote.terms : null,
+      bankAccountIds: Array.isArray(q.quote.bankAccountIds)
+        ? q.quote.bankAccountIds.map(String)
+        : null,
+      milestones: Array.isArray(q.quote.milestones)
+        ? q.quote.milestones.map(cleanMilestone).filter(Boolean)
+        : [],
+      sections: Array.isArray(q.quote.sections)
+        ? q.quote.sections
+            .filter((sec) => sec && sec.id)
+            .map((sec) => ({
+              id: String(sec.id),
+              name: String(sec.name || ""),
+            }))
+        : [],
+    },
+    currency: currencyCode(q.currency),
+    rows: Array.isArray(q.rows) ? q.rows.map(cleanSavedRow) : [],
+    total: Number(q.total) || 0,
+    // Versiones anteriores congeladas (solo lectura)
+    revisions: Array.isArray(q.revisions)
+      ? q.revisions.map(cleanRevisionSnapshot).filter(Boolean)
+      : [],
+    status: QUOTE_STATUSES[q.status] ? q.status : "borrador",
+    statusHistory: Array.isArray(q.statusHistory)
+      ? q.statusHistory
+          .filter((h) => h && QUOTE_STATUSES[h.status] && h.at)
+          .map((h) => ({ status: h.status, at: String(h.at) }))
+      : [],
+    createdAt: q.createdAt || new Date().toISOString(),
+    updatedAt: q.updatedAt || q.createdAt || new Date().toISOString(),
+  };
+}
+
+/** ========= Revisions ========= */
+export function formatRevisionNumber(quoteNumber, revision) {
+  return revision > 0 ? `${quoteNumber}-R${revision}` : quoteNumber;
+}
+
+export function revisionSnapshot(saved) {
+  return {
+    revision: saved.quote.revision,
+    quote: saved.quote,
+    currency: saved.currency,
+    rows: saved.rows,
+    total: saved.total,
+    status: saved.status,
+    savedAt: saved.updatedAt,
+  };
+}
+
+function cleanRevisionSnapshot(r) {
+  const base = cleanSavedQuote({ ...r, revisions: [] });
+  if (!base) return null;
+  return {
+    ...revisionSnapshot(base),
+    savedAt: String(r.savedAt || base.updatedAt),
+  };
+}
+
+// Etiquetas y tipos de precio como claves del catálogo (revisions.field.*, pricing.*)
+const REVISION_ROW_FIELDS = [
+  { key: "service", value: (r) => r.serviceType },
+  { key: "detail", value: (r) => r.detail || "—" },
+  { key: "pricingType", value: (r, t) => t(`pricing.${r.pricingType}`) },
+  { key: "quantity", value: (r) => String(rowQuantity(r)) },
+  { key: "unitPrice", value: (r) => String(r.hourlyCost) },
+  {
+    key: "discount",
+    value: (r) =>
+      r.discountType === "percent"
+        ? `${r.discountValue}%`
+        : String(r.discountValue),
+  },
+];
+
+// Filas emparejadas por id: agregadas, eliminadas y campos modificados
+// (`t` traduce las claves del catálogo al idioma de la interfaz)
+export function diffQuoteRevisions(from, to, t) {
+  const fromRows = new Map(from.rows.map((r) => [r.id, r]));
+  const toIds = new Set(to.rows.map((r) => r.id));
+
+  const changed = to.rows
+    .filter((r) => fromRows.has(r.id))
+    .map((r) => {
+      const prev = fromRows.get(r.id);
+      const changes = REVISION_ROW_FIELDS.map((f) => ({
+        label: t(`revisions.field.${f.key}`),
+        from: f.value(prev, t),
+        to: f.value(r, t),
+      })).filter((c) => c.from !== c.to);
+      return changes.length > 0 ? { row: r, changes } : null;
+    })
+    .filter(Boolean);
+
+  const sameCurrency = from.currency === to.currency;
+  return {
+    added: to.rows.filter((r) => !fromRows.has(r.id)),
+    removed: from.rows.filter((r) => !toIds.has(r.id)),
+    changed,
+    currencyChanged: !sameCurrency,
+    totalDelta: sameCurrency ? round2(to.total - from.total) : null,
+  };
+}
+
+export function matchesQuoteSearch(saved, query) {
+  const needle = (query || "").trim().toLowerCase();
+  if (!needle) return true;
+  return [
+    saved.quote.clientName,
+    saved.quote.clientDocNumber,
+    formatRevisionNumber(saved.quote.quoteNumber, saved.quote.revision),
+    saved.quote.date,
+  ]
+    .join(" ")
+    .toLowerCase()
+    .includes(needle);
+}
@@ -0,0 +1,147 @@
+import { diffQuoteRevisions, expireSavedQuotes } from "./quotes";
+import { translate } from "./i18n";
+
+const saved = (id, status, date, validityDays = 7) => ({
+  id,
+  status,
+  statusHistory: [{ status, at: "2026-01-01T00:00:00.000Z" }],
+  quote: { date, validityDays },
+});
+
+describe("expireSavedQuotes", () => {
+  test("expires open quotes past their validity", () => {
+    const list = [
+      saved("a", "borrador", "2026-01-01"),
+      saved("b", "enviada", "2026-01-01"),
+      saved("c", "aceptada", "2026-01-01"),
+      saved("d", "enviada", "2026-01-05"),
+    ];
+    const next = expireSavedQuotes(list, "2026-01-09");
+    expect(next.map((q) => q.status)).toEqual([
+      "vencida",
+      "vencida",
+      "aceptada",
+      "enviada",
+    ]);
+    expect(next[0].statusHistory.map((h) => h.status)).toEqual([
+      "borrador",
+      "vencida",
+    ]);
+  });
+
+  test("keeps quotes on their last valid day", () => {
+    const list = [saved("a", "enviada", "2026-01-01")];
+    expect(expireSavedQuotes(list, "2026-01-08")).toBe(list);
+  });
+
+  test("only checks the quotes selected by the filter", () => {
+    const list = [
+      saved("a", "enviada", "2026-01-01"),
+      saved("b", "enviada", "2026-01-01"),
+    ];
+    const next = expireSavedQuotes(list, "2026-02-01", (q) => q.id === "b");
+    expect(next.map((q) => q.status)).toEqual(["enviada", "vencida"]);
+  });
+});
+
+describe("diffQuoteRevisions", () => {
+  const t = (key) => translate("es", key);
+  const row = (id, patch) => ({
+    id,
+    serviceType: "web",
+    detail: "",
+    pricingType: "hourly",
+    hours: 10,
+    hourlyCost: 60,
+    discountType: "percent",
+    discountValue: 0,
+    ...patch,
+  });
+  const revision = (rows, patch) => ({
+    currency: "PEN",
+    total: 708,
+    rows,
+    ...patch,
+  });
+
+  test("lists added and removed rows by id", () => {
+    const diff = diffQuoteRevisions(
+      revision([row("a"), row("b")]),
+      revision([row("a"), row("c")], { total: 800 }),
+      t
+    );
+    expect(diff.added.map((r) => r.id)).toEqual(["c"]);
+    expect(diff.removed.map((r) => r.id)).toEqual(["b"]);
+    expect(diff.changed).toEqual([]);
+    expect(diff.totalDelta).toBe(92);
+  });
+
+  test("lists the changed fields of rows kept between revisions", () => {
+    const diff = diffQuoteRevisions(
+      revision([row("a"), row("b")]),
+      revision([
+        row("a", { hours: 12, discountValue: 5 }),
+        row("b", { pricingType: "fixed", hourlyCost: 500 }),
+      ]),
+      t
+    );
+    expect(diff.added).toEqual([]);
+    expect(diff.removed).toEqual([]);
+    expect(
+      diff.changed.map(({ row: r, changes }) => [
+        r.id,
+        changes.map((c) => [c.label, c.from, c.to]),
+      ])
+    ).toEqual([
+      [
+        "a",
+        [
+          ["Cantidad", "10", "12"],
+          ["Descuento", "0%", "5%"],
+        ],
+      ],
+      [
+        "b",
+        [
+          ["Tipo de precio", "Por hora", "Precio fijo"],
+          ["Cantidad", "10", "1"],
+          ["Precio unitario", "60", "500"],
+        ],
+      ],
+    ]);
+  });
+
+  test("reports no changes for identical revisions", () => {
+    const diff = diffQuoteRevisions(
+      revision([row("a")]),
+      revision([row("a")]),
+      t
+    );
+    expect(diff).toMatchObject({ added: [], removed: [], changed: [] });
+    expect(diff.totalDelta).toBe(0);
+  });
+
+  test("leaves the total difference out when the currency changed", () => {
+    const diff = diffQuoteRevisions(
+      revision([row("a")]),
+      revision([row("a")], { currency: "USD", total: 188.8 }),
+      t
+    );
+    expect(diff.currencyChanged).toBe(true);
+    expect(diff.totalDelta).toBeNull();
+  });
+});
+
+test("diffQuoteRevisions labels the changes in the interface language", () => {
+  const row = { id: "a", pricingType: "hourly", hours: 1, hourlyCost: 60 };
+  const diff = diffQuoteRevisions(
+    { currency: "PEN", total: 0, rows: [row] },
+    { currency: "PEN", total: 0, rows: [{ ...row, pricingType: "fixed" }] },
+    (key) => translate("en", key)
+  );
+  expect(diff.changed[0].changes[0]).toEqual({
+    label: "Pricing type",
+    from: "Hourly",
+    to: "Fixed price",
+  });
+});
@@ -0,0 +1,82 @@
+/** ========= Sections ========= */
+// Grupos en orden de pantalla: primero las filas sin sección (o sin sección válida)
+export function groupRowsBySection(rows, sections) {
+  const known = new Set(sections.map((sec) => sec.id));
+  const loose = rows.filter((r) => !known.has(r.sectionId));
+  return [
+    ...(loose.length > 0 || sections.length === 0
+      ? [{ section: null, rows: loose }]
+      : []),
+    ...sections.map((section) => ({
+      section,
+      rows: rows.filter((r) => r.sectionId === section.id),
+    })),
+  ];
+}
+
+export function flattenGroups(groups) {
+  return groups.flatMap((g) =>
+    g.rows.map((r) => ({ ...r, sectionId: g.section?.id || "" }))
+  );
+}
+
+// Mueve la fila antes de `beforeId`, o al final de la sección indicada
+export function moveRowTo(
+  rows,
+  sections,
+  rowId,
+  { beforeId = null, sectionId = "" }
+) {
+  const row = rows.find((r) => r.id === rowId);
+  if (!row || rowId === beforeId) return rows;
+
+  const rest = rows.filter((r) => r.id !== rowId);
+  const target = rest.find((r) => r.id === beforeId);
+  const groups = groupRowsBySection(rest, sections);
+
+  let group = target
+    ? groups.find((g) => g.rows.includes(target))
+    : groups.find((g) => (g.section?.id || "") === sectionId);
+  if (!group) {
+    group = { section: null, rows: [] };
+    groups.unshift(group);
+  }
+
+  const index = target ? group.rows.indexOf(target) : group.rows.length;
+  group.rows = [...group.rows.slice(0, index), row, ...group.rows.slice(index)];
+  return flattenGroups(groups);
+}
+
+// Teclado: dentro de la sección y, en los bordes, a la sección vecina
+export function moveRowBy(rows, sections, rowId, direction) {
+  const groups = groupRowsBySection(rows, sections);
+  const gi = groups.findIndex((g) => g.rows.some((r) => r.id === rowId));
+  if (gi < 0) return rows;
+
+  const group = groups[gi];
+  const ri = group.rows.findIndex((r) => r.id === rowId);
+  const ni = ri + direction;
+  if (ni >= 0 && ni < group.rows.length) {
+    return moveRowTo(rows, sections, rowId, {
+      beforeId: group.rows[direction < 0 ? ni : ni + 1]?.id ?? null,
+      sectionId: group.section?.id || "",
+    });
+  }
+
+  const neighbor = groups[gi + direction];
+  if (!neighbor) return rows;
+  return moveRowTo(rows, sections, rowId, {
+    beforeId: direction > 0 ? (neighbor.rows[0]?.id ?? null) : null,
+    sectionId: neighbor.section?.id || "",
+  });
+}
+
+export function moveItem(list, fromIndex, toIndex) {
+  if (toIndex < 0 || toIndex >= list.length || fromIndex === toIndex) {
+    return list;
+  }
+  const next = [...list];
+  const [item] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, item);
+  return next;
+}
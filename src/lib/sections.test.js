@@ -0,0 +1,113 @@
+import { groupRowsBySection, moveItem, moveRowBy, moveRowTo } from "./sections";
+
+const sections = [{ id: "s1" }, { id: "s2" }];
+const rows = [
+  { id: "a", sectionId: "" },
+  { id: "b", sectionId: "s1" },
+  { id: "c", sectionId: "s1" },
+  { id: "d", sectionId: "s2" },
+];
+const layout = (list) => list.map((r) => `${r.id}:${r.sectionId}`);
+
+test("groupRowsBySection puts loose rows and unknown sections first", () => {
+  const groups = groupRowsBySection(
+    [...rows, { id: "e", sectionId: "borrada" }],
+    sections
+  );
+  expect(groups.map((g) => [g.section?.id, g.rows.map((r) => r.id)])).toEqual([
+    [undefined, ["a", "e"]],
+    ["s1", ["b", "c"]],
+    ["s2", ["d"]],
+  ]);
+});
+
+describe("moveRowTo", () => {
+  test("moves a row before another one and into its section", () => {
+    expect(layout(moveRowTo(rows, sections, "a", { beforeId: "c" }))).toEqual([
+      "b:s1",
+      "a:s1",
+      "c:s1",
+      "d:s2",
+    ]);
+  });
+
+  test("moves a row to the end of a section", () => {
+    expect(layout(moveRowTo(rows, sections, "b", { sectionId: "s2" }))).toEqual(
+      ["a:", "c:s1", "d:s2", "b:s2"]
+    );
+  });
+
+  test("creates the loose group when it is empty", () => {
+    const inSections = rows.slice(1);
+    expect(
+      layout(moveRowTo(inSections, sections, "d", { sectionId: "" }))
+    ).toEqual(["d:", "b:s1", "c:s1"]);
+  });
+
+  test("leaves the rows as they are for unknown rows", () => {
+    expect(moveRowTo(rows, sections, "x", { beforeId: "a" })).toBe(rows);
+    expect(moveRowTo(rows, sections, "a", { beforeId: "a" })).toBe(rows);
+  });
+});
+
+describe("moveRowBy", () => {
+  test("moves within the section", () => {
+    expect(layout(moveRowBy(rows, sections, "b", 1))).toEqual([
+      "a:",
+      "c:s1",
+      "b:s1",
+      "d:s2",
+    ]);
+    expect(layout(moveRowBy(rows, sections, "c", -1))).toEqual([
+      "a:",
+      "c:s1",
+      "b:s1",
+      "d:s2",
+    ]);
+  });
+
+  test("moves down from the last row to the top of the next section", () => {
+    expect(layout(moveRowBy(rows, sections, "c", 1))).toEqual([
+      "a:",
+      "b:s1",
+      "c:s2",
+      "d:s2",
+    ]);
+  });
+
+  test("moves up from the first row to the end of the previous section", () => {
+    expect(layout(moveRowBy(rows, sections, "d", -1))).toEqual([
+      "a:",
+      "b:s1",
+      "c:s1",
+      "d:s1",
+    ]);
+    expect(layout(moveRowBy(rows, sections, "b", -1))).toEqual([
+      "a:",
+      "b:",
+      "c:s1",
+      "d:s2",
+    ]);
+  });
+
+  test("enters empty sections", () => {
+    const withEmpty = [{ id: "s1" }, { id: "vacia" }, { id: "s2" }];
+    expect(layout(moveRowBy(rows, withEmpty, "c", 1))).toEqual([
+      "a:",
+      "b:s1",
+      "c:vacia",
+      "d:s2",
+    ]);
+  });
+
+  test("stops at the first and last rows", () => {
+    expect(moveRowBy(rows, sections, "a", -1)).toBe(rows);
+    expect(moveRowBy(rows, sections, "d", 1)).toBe(rows);
+  });
+});
+
+test("moveItem reorders sections and ignores moves out of range", () => {
+  expect(moveItem(["x", "y", "z"], 0, 2)).toEqual(["y", "z", "x"]);
+  const list = ["x", "y"];
+  expect(moveItem(list, 1, 2)).toBe(list);
+});
@@ -0,0 +1,123 @@
+import { safeId } from "./util";
+import { currencyCode } from "./currency";
+
+/** ========= Services ========= */
+export const TAX_CATEGORIES = {
+  gravado: { label: "Gravado", opLabel: "Op. gravada" },
+  exonerado: { label: "Exonerado", opLabel: "Op. exonerada" },
+  inafecto: { label: "Inafecto", opLabel: "Op. inafecta" },
+};
+
+// En cada fila, `hours` y `hourlyCost` son la cantidad y el precio unitario del tipo
+export const PRICING_TYPES = {
+  hourly: { label: "Por hora", qtyLabel: "Horas", qtyUnit: "h", per: "hora" },
+  fixed: { label: "Precio fijo", qtyLabel: "", qtyUnit: "", per: "" },
+  unit: {
+    label: "Cantidad × precio",
+    qtyLabel: "Cantidad",
+    qtyUnit: "und.",
+    per: "unidad",
+  },
+  monthly: {
+    label: "Mensual recurrente",
+    qtyLabel: "Meses",
+    qtyUnit: "meses",
+    per: "mes",
+    recurring: true,
+  },
+};
+
+// Cantidad inicial al elegir el tipo en una fila
+export const PRICING_DEFAULT_QTY = {
+  hourly: 10,
+  fixed: 1,
+  unit: 1,
+  monthly: 12,
+};
+
+export const DEFAULT_SERVICES = [
+  {
+    id: "srv_creacion_web",
+    code: "creacion_web",
+    label: "Creación de página web",
+    labelEn: "Website development",
+    suggestion:
+      "Incluye estructura, secciones, responsive, performance básico, formularios y puesta en producción.",
+    suggestionEn:
+      "Includes structure, sections, responsive layout, basic performance, forms and go-live.",
+    defaultHourlyCost: 60,
+    currency: "PEN", // moneda base de la tarifa
+    taxCategory: "gravado",
+    pricingType: "hourly",
+  },
+  {
+    id: "srv_mantenimiento_web",
+    code: "mantenimiento_web",
+    label: "Mantenimiento de página web",
+    labelEn: "Website maintenance",
+    suggestion:
+      "Actualizaciones, backups, monitoreo, correcciones, seguridad básica, soporte mensual.",
+    suggestionEn:
+      "Updates, backups, monitoring, fixes, basic security and monthly support.",
+    defaultHourlyCost: 50,
+    currency: "PEN", // moneda base de la tarifa
+    taxCategory: "gravado",
+    pricingType: "hourly",
+  },
+  {
+    id: "srv_diseno_figma",
+    code: "diseno_figma",
+    label: "Diseño UI en Figma",
+    labelEn: "UI design in Figma",
+    suggestion:
+      "Wireframes + UI final, componentes, estilos, prototipo navegable y handoff a desarrollo.",
+    suggestionEn:
+      "Wireframes + final UI, components, styles, clickable prototype and developer handoff.",
+    defaultHourlyCost: 55,
+    currency: "PEN", // moneda base de la tarifa
+    taxCategory: "gravado",
+    pricingType: "hourly",
+  },
+];
+
+export function slugifyCode(str) {
+  return (str || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, "")
+    .replace(/\s+/g, "_")
+    .replace(/_+/g, "_")
+    .slice(0, 40);
+}
+
+// Validación mínima de servicios (localStorage / importación)
+export function cleanServices(list) {
+  return list
+    .filter((s) => s && s.code && s.label)
+    .map((s) => ({
+      id: s.id || safeId(),
+      code: String(s.code),
+      label: String(s.label),
+      labelEn: String(s.labelEn || ""), // vacío = se usa el nombre en español
+      suggestion: String(s.suggestion || ""),
+      suggestionEn: String(s.suggestionEn || ""),
+      defaultHourlyCost: Number(s.defaultHourlyCost || 0),
+      internalCost: Math.max(0, Number(s.internalCost) || 0), // 0 = sin costo
+      currency: currencyCode(s.currency),
+      taxCategory: TAX_CATEGORIES[s.taxCategory] ? s.taxCategory : "gravado",
+      pricingType: PRICING_TYPES[s.pricingType] ? s.pricingType : "hourly",
+    }));
+}
+
+export function rowQuantity(r) {
+  return r.pricingType === "fixed" ? 1 : Number(r.hours) || 0;
+}
+
+// Nombre y detalle sugerido del servicio en el idioma del documento
+export function serviceLabel(svc, lang) {
+  return (lang === "en" && svc?.labelEn) || svc?.label || "";
+}
+
+export function serviceSuggestion(svc, lang) {
+  return (lang === "en" && svc?.suggestionEn) || svc?.suggestion || "";
+}
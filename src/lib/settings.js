@@ -0,0 +1,185 @@
+import { safeId } from "./util";
+import {
+  DEFAULT_CURRENCIES,
+  assertCurrencyRates,
+  cleanCurrencies,
+  currencyCode,
+} from "./currency";
+import { mergeExchangeRates } from "./exchangeRates";
+import { INVOICE_KINDS, normalizeInvoiceSeries } from "./invoices";
+
+/** ========= Defaults ========= */
+export const APP_OWNER_NAME = "Alma Industria Creativa E.I.R.L. | Alma Quinta";
+
+// Razones sociales / marcas con las que se emiten las cotizaciones
+const DEFAULT_ACCENT_COLOR = "#2980b9"; // mismo azul de las cabeceras de autoTable
+export const ISSUER_LOGO_MAX_BYTES = 300 * 1024; // el logo se guarda en localStorage
+
+export const DEFAULT_ISSUERS = [
+  {
+    id: "alma-industria",
+    name: "Alma Industria Creativa E.I.R.L.",
+    ruc: "",
+    email: "",
+    phone: "",
+    address: "",
+    logo: "", // data URL; "" = logo de la app
+    accentColor: DEFAULT_ACCENT_COLOR,
+  },
+  {
+    id: "alma-quinta",
+    name: "Alma Quinta",
+    ruc: "",
+    email: "",
+    phone: "",
+    address: "",
+    logo: "",
+    accentColor: DEFAULT_ACCENT_COLOR,
+  },
+];
+
+export const DEFAULT_SETTINGS = {
+  exchangeRate: 3.5, // 1 USD = 3.5 PEN; solo si no hay TC registrado para la fecha
+  exchangeRates: [], // [{ date, buy, sell }] histórico SBS/SUNAT, ordenado por fecha
+  currencies: DEFAULT_CURRENCIES, // [{ code, label, symbol, locale, words, wordsEn, rateToPen }]
+  uiLanguage: "es", // idioma de la interfaz (el del documento va en cada cotización)
+  igvRate: 0.18, // 18%
+  issuers: DEFAULT_ISSUERS, // [{ id, name, ruc, email, phone, address, logo, accentColor }]
+  defaultIssuerId: "alma-industria", // emisor de las cotizaciones nuevas
+  // Numeración correlativa: COT-2026-0042
+  quotePrefix: "COT",
+  quoteIncludeYear: true,
+  quotePadding: 4,
+  quoteCounters: {}, // { "2026": 41 } último correlativo emitido por año
+  keepManualRates: false, // al cambiar moneda, no convertir tarifas editadas a mano
+  roundingMode: "line", // line: cada ítem a céntimos | total: solo acumulados
+  detractionEnabled: true,
+  detractionRate: 0.12, // 12% servicios
+  detractionThreshold: 700, // S/ 700
+  // Condiciones comerciales por defecto (editables en cada cotización)
+  defaultPaymentConditions: "50% de adelanto y 50% contra entrega.",
+  defaultTerms:
+    "Los precios pueden ajustarse según alcance final, tiempos y entregables.\nSi requiere validar comuníquese con administración.",
+  // Versiones en inglés para cotizaciones con documento en inglés
+  defaultPaymentConditionsEn: "50% upfront and 50% upon delivery.",
+  defaultTermsEn:
+    "Prices may be adjusted according to final scope, timelines and deliverables.\nPlease contact our administration team to confirm.",
+  bankAccounts: [], // [{ id, bank, currency, accountNumber, cci, holder }]
+  // Rentabilidad (solo uso interno, nunca en el PDF del cliente)
+  teamRoles: [], // [{ id, name, costRate, currency }] costo por hora del rol
+  minMarginPercent: 30, // aviso si un servicio queda por debajo
+  // Comprobantes generados desde cotizaciones: F001-00000042
+  invoiceSeries: { factura: "F001", boleta: "B001" },
+  invoiceCounters: {}, // { F001: 41 } último correlativo emitido por serie
+};
+
+// Solo claves conocidas de DEFAULT_SETTINGS, con las listas depuradas
+export function cleanSettings(raw) {
+  const cleaned = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (raw[key] !== undefined) cleaned[key] = raw[key];
+  });
+  if (raw.bankAccounts !== undefined) {
+    cleaned.bankAccounts = Array.isArray(raw.bankAccounts)
+      ? raw.bankAccounts.map(cleanBankAccount).filter(Boolean)
+      : [];
+  }
+  if (raw.teamRoles !== undefined) {
+    cleaned.teamRoles = Array.isArray(raw.teamRoles)
+      ? raw.teamRoles.map(cleanTeamRole).filter(Boolean)
+      : [];
+  }
+  if (raw.issuers !== undefined) {
+    const issuers = Array.isArray(raw.issuers)
+      ? raw.issuers.map(cleanIssuer).filter(Boolean)
+      : [];
+    if (issuers.length > 0) cleaned.issuers = issuers;
+  }
+  if (raw.uiLanguage !== undefined) {
+    cleaned.uiLanguage = cleanLanguage(raw.uiLanguage);
+  }
+  if (raw.currencies !== undefined) {
+    assertCurrencyRates(raw.currencies);
+    cleaned.currencies = cleanCurrencies(raw.currencies);
+  }
+  if (raw.exchangeRates !== undefined) {
+    cleaned.exchangeRates = Array.isArray(raw.exchangeRates)
+      ? mergeExchangeRates([], raw.exchangeRates)
+      : [];
+  }
+  if (raw.invoiceSeries !== undefined) {
+    cleaned.invoiceSeries = Object.fromEntries(
+      Object.keys(INVOICE_KINDS).map((kind) => [
+        kind,
+        normalizeInvoiceSeries(kind, raw.invoiceSeries?.[kind]),
+      ])
+    );
+  }
+  return cleaned;
+}
+
+export function cleanBankAccount(a) {
+  if (!a || typeof a !== "object") return null;
+  return {
+    id: a.id || safeId(),
+    bank: String(a.bank || ""),
+    currency: currencyCode(a.currency),
+    accountNumber: String(a.accountNumber || ""),
+    cci: String(a.cci || ""),
+    holder: String(a.holder || ""),
+  };
+}
+
+export function cleanTeamRole(r) {
+  if (!r || typeof r !== "object") return null;
+  return {
+    id: r.id || safeId(),
+    name: String(r.name || ""),
+    costRate: Math.max(0, Number(r.costRate) || 0),
+    currency: currencyCode(r.currency),
+  };
+}
+
+export function cleanIssuer(i) {
+  if (!i || typeof i !== "object") return null;
+  return {
+    id: i.id || safeId(),
+    name: String(i.name || ""),
+    ruc: String(i.ruc || ""),
+    email: String(i.email || ""),
+    phone: String(i.phone || ""),
+    address: String(i.address || ""),
+    logo: /^data:image\/(png|jpeg);base64,/.test(i.logo) ? i.logo : "",
+    accentColor: /^#[0-9a-f]{6}$/i.test(i.accentColor)
+      ? i.accentColor
+      : DEFAULT_ACCENT_COLOR,
+  };
+}
+
+// Emisor de la cotización; si ya no existe, el predeterminado
+export function resolveIssuer(settings, issuerId) {
+  const { issuers } = settings;
+  return (
+    issuers.find((i) => i.id === issuerId) ||
+    issuers.find((i) => i.id === settings.defaultIssuerId) ||
+    issuers[0]
+  );
+}
+
+// Los comprobantes y cotizaciones guardadas se imprimen con su emisor
+export function issuerUses(id, savedQuotes, invoices) {
+  return {
+    quotes: savedQuotes.filter((q) => q.quote.issuerId === id).length,
+    invoices: invoices.filter((inv) => inv.issuerId === id).length,
+  };
+}
+
+// "#2980b9" → [41, 128, 185] para jsPDF
+export const hexToRgb = (hex) =>
+  [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+/** ========= Idiomas ========= */
+// Idioma de la interfaz (settings.uiLanguage) y del documento (quote.language), independientes
+export const LANGUAGES = { es: "Español", en: "English" };
+
+export const cleanLanguage = (lang) => (LANGUAGES[lang] ? lang : "es");
@@ -0,0 +1,18 @@
+import { issuerUses } from "./settings";
+
+test("issuerUses counts the saved quotes and invoices of a profile", () => {
+  const savedQuotes = [
+    { quote: { issuerId: "a" } },
+    { quote: { issuerId: "b" } },
+    { quote: { issuerId: "a" } },
+  ];
+  const invoices = [{ issuerId: "b" }];
+  expect(issuerUses("a", savedQuotes, invoices)).toEqual({
+    quotes: 2,
+    invoices: 0,
+  });
+  expect(issuerUses("b", savedQuotes, invoices)).toEqual({
+    quotes: 1,
+    invoices: 1,
+  });
+});
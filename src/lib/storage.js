@@ -0,0 +1,211 @@
+import { i18nError } from "./errors";
+import { dropInvalidRates } from "./currency";
+import { DEFAULT_ISSUERS } from "./settings";
+
+/**
+ * Esquemas de localStorage. La clave incluye la versión (`<prefix>_v<n>`);
+ * `migrations[n]` convierte los datos de vn a vn+1. Al subir `version`,
+ * agregar la migración del paso anterior. La migración más antigua marca la
+ * primera versión que se busca (v2 para configuración y servicios).
+ * `repair` (opcional) descarta lo inválido y devuelve { data, warning }, o
+ * null si no había nada que corregir.
+ */
+export const STORAGE_SCHEMAS = {
+  SETTINGS: {
+    prefix: "alma_quote_settings",
+    label: "Configuración",
+    version: 4,
+    isValid: (d) => !!d && typeof d === "object" && !Array.isArray(d),
+    repair: (d) => {
+      const { currencies, codes } = dropInvalidRates(d.currencies);
+      if (codes.length === 0) return null;
+      return {
+        data: { ...d, currencies },
+        warning: i18nError("errors.invalidRateDropped", {
+          codes: codes.join(", "),
+        }),
+      };
+    },
+    migrations: {
+      // v3: numeración, condiciones comerciales y cuentas bancarias
+      2: (d) => ({ quoteCounters: {}, bankAccounts: [], ...d }),
+      // v4: los datos de empresa pasan al primer perfil de emisor
+      3: ({ companyName, companyRuc, companyEmail, companyPhone, ...d }) => ({
+        ...d,
+        issuers: DEFAULT_ISSUERS.map((issuer, index) =>
+          index === 0
+            ? {
+                ...issuer,
+                ruc: companyRuc || "",
+                email: companyEmail || "",
+                phone: companyPhone || "",
+              }
+            : issuer
+        ),
+      }),
+    },
+  },
+  SERVICES: {
+    prefix: "alma_quote_services",
+    label: "Servicios",
+    version: 4,
+    isValid: Array.isArray,
+    migrations: {
+      // v3: moneda base de la tarifa y afectación IGV
+      2: (list) =>
+        list.map((svc) => ({
+          currency: "PEN",
+          taxCategory: "gravado",
+          ...svc,
+        })),
+      // v4: tipo de precio por defecto
+      3: (list) => list.map((svc) => ({ pricingType: "hourly", ...svc })),
+    },
+  },
+  QUOTES: {
+    prefix: "alma_quote_saved",
+    label: "Cotizaciones guardadas",
+    version: 2,
+    isValid: Array.isArray,
+    migrations: {
+      // v2: estado del ciclo de vida con historial
+      1: (list) =>
+        list.map((q) => ({
+          status: "borrador",
+          statusHistory: [
+            {
+              status: "borrador",
+              at: q?.createdAt || new Date().toISOString(),
+            },
+          ],
+          ...q,
+        })),
+    },
+  },
+  CLIENTS: {
+    prefix: "alma_quote_clients",
+    label: "Clientes",
+    version: 1,
+    isValid: Array.isArray,
+    migrations: {},
+  },
+  INVOICES: {
+    prefix: "alma_quote_invoices",
+    label: "Comprobantes",
+    version: 1,
+    isValid: Array.isArray,
+    migrations: {},
+  },
+  BUNDLES: {
+    prefix: "alma_quote_bundles",
+    label: "Paquetes de servicios",
+    version: 1,
+    isValid: Array.isArray,
+    migrations: {},
+  },
+  TEMPLATES: {
+    prefix: "alma_quote_templates",
+    label: "Plantillas",
+    version: 1,
+    isValid: Array.isArray,
+    migrations: {},
+  },
+};
+
+export const storageKey = (schema, version) => `${schema.prefix}_v${version}`;
+
+export const STORAGE_KEYS = Object.fromEntries(
+  Object.entries(STORAGE_SCHEMAS).map(([name, schema]) => [
+    name,
+    storageKey(schema, schema.version),
+  ])
+);
+
+// Un respaldo por entidad: cada migración o error sobrescribe el anterior
+export const STORAGE_BACKUP_PREFIX = "alma_quote_backup";
+
+/** ========= Storage migrations ========= */
+function backupStorage(schema, raw) {
+  try {
+    localStorage.setItem(`${STORAGE_BACKUP_PREFIX}_${schema.prefix}`, raw);
+  } catch {
+    // Sin espacio para el respaldo: el original se conserva en su clave
+  }
+}
+
+/**
+ * Lee una entidad de STORAGE_SCHEMAS. Si solo existen datos de una versión
+ * anterior, los respalda y los migra paso a paso a la actual.
+ * Devuelve { data, report }; `report` es null si no hubo nada que informar
+ * y lleva `warning` si `repair` descartó algo.
+ */
+export function readStoredEntity(name) {
+  const schema = STORAGE_SCHEMAS[name];
+  const currentKey = storageKey(schema, schema.version);
+
+  const oldest = Math.min(
+    schema.version,
+    ...Object.keys(schema.migrations).map(Number)
+  );
+  let fromVersion = schema.version;
+  let raw = localStorage.getItem(currentKey);
+  for (let v = schema.version - 1; raw === null && v >= oldest; v--) {
+    raw = localStorage.getItem(storageKey(schema, v));
+    fromVersion = v;
+  }
+  if (raw === null) return { data: null, report: null };
+
+  const sourceKey = storageKey(schema, fromVersion);
+  const report = {
+    entity: name,
+    label: schema.label,
+    from: fromVersion,
+    to: schema.version,
+  };
+
+  try {
+    let data = JSON.parse(raw);
+    if (fromVersion === schema.version) {
+      if (!schema.isValid(data)) throw i18nError("errors.unexpectedFormat");
+      const repaired = schema.repair?.(data);
+      if (!repaired) return { data, report: null };
+
+      backupStorage(schema, raw);
+      localStorage.setItem(currentKey, JSON.stringify(repaired.data));
+      return {
+        data: repaired.data,
+        report: { ...report, ok: true, warning: repaired.warning },
+      };
+    }
+
+    backupStorage(schema, raw);
+    for (let v = fromVersion; v < schema.version; v++) {
+      const step = schema.migrations[v];
+      if (!step) {
+        throw i18nError("errors.missingMigration", { from: v, to: v + 1 });
+      }
+      data = step(data);
+    }
+    if (!schema.isValid(data)) throw i18nError("errors.unexpectedFormat");
+    const repaired = schema.repair?.(data);
+    if (repaired) data = repaired.data;
+
+    localStorage.setItem(currentKey, JSON.stringify(data));
+    localStorage.removeItem(sourceKey);
+    return {
+      data,
+      report: {
+        ...report,
+        ok: true,
+        ...(repaired && { warning: repaired.warning }),
+      },
+    };
+  } catch (err) {
+    // Se respalda el original antes de que se sobrescriba con valores por defecto
+    if (fromVersion === schema.version) backupStorage(schema, raw);
+    return {
+      data: null,
+      report: { ...report, ok: false, error: err },
+    };
+  }
+}
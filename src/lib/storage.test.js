@@ -0,0 +1,132 @@
+import {
+  STORAGE_BACKUP_PREFIX,
+  STORAGE_SCHEMAS,
+  readStoredEntity,
+  storageKey,
+} from "./storage";
+
+const backupKeys = () =>
+  Object.keys(localStorage).filter((k) => k.startsWith(STORAGE_BACKUP_PREFIX));
+
+beforeEach(() => localStorage.clear());
+
+describe("STORAGE_SCHEMAS migrations", () => {
+  test("settings v2 → v4 move the company data into the first issuer", () => {
+    const { migrations } = STORAGE_SCHEMAS.SETTINGS;
+    const v2 = {
+      igvRate: 0.18,
+      companyName: "ACME",
+      companyRuc: "20100070970",
+    };
+    const v4 = migrations[3](migrations[2](v2));
+    expect(v4).toMatchObject({ igvRate: 0.18, quoteCounters: {} });
+    expect(v4.companyRuc).toBeUndefined();
+    expect(v4.issuers[0].ruc).toBe("20100070970");
+    expect(v4.issuers[1].ruc).toBe("");
+  });
+
+  test("services v2 → v4 add currency, tax category and pricing type", () => {
+    const { migrations } = STORAGE_SCHEMAS.SERVICES;
+    const [svc] = migrations[3](migrations[2]([{ code: "x", label: "X" }]));
+    expect(svc).toEqual({
+      code: "x",
+      label: "X",
+      currency: "PEN",
+      taxCategory: "gravado",
+      pricingType: "hourly",
+    });
+  });
+
+  test("saved quotes v1 → v2 start as drafts", () => {
+    const [q] = STORAGE_SCHEMAS.QUOTES.migrations[1]([
+      { id: "a", createdAt: "2026-01-01T00:00:00Z" },
+    ]);
+    expect(q.status).toBe("borrador");
+    expect(q.statusHistory).toEqual([
+      { status: "borrador", at: "2026-01-01T00:00:00Z" },
+    ]);
+  });
+});
+
+describe("readStoredEntity", () => {
+  const settingsKey = (v) => storageKey(STORAGE_SCHEMAS.SETTINGS, v);
+
+  test("returns current data without a report", () => {
+    localStorage.setItem(settingsKey(4), JSON.stringify({ igvRate: 0.18 }));
+    expect(readStoredEntity("SETTINGS")).toEqual({
+      data: { igvRate: 0.18 },
+      report: null,
+    });
+  });
+
+  test("migrates old data, saves it and keeps one backup", () => {
+    localStorage.setItem(settingsKey(2), JSON.stringify({ igvRate: 0.18 }));
+    const { report } = readStoredEntity("SETTINGS");
+    expect(report).toMatchObject({
+      entity: "SETTINGS",
+      from: 2,
+      to: 4,
+      ok: true,
+    });
+    expect(localStorage.getItem(settingsKey(2))).toBe(null);
+    expect(
+      JSON.parse(localStorage.getItem(settingsKey(4))).issuers
+    ).toHaveLength(2);
+
+    // Una nueva migración sobrescribe el respaldo anterior
+    localStorage.removeItem(settingsKey(4));
+    localStorage.setItem(settingsKey(3), JSON.stringify({ igvRate: 0.1 }));
+    readStoredEntity("SETTINGS");
+    expect(backupKeys()).toEqual([
+      `${STORAGE_BACKUP_PREFIX}_alma_quote_settings`,
+    ]);
+    expect(localStorage.getItem(backupKeys()[0])).toBe('{"igvRate":0.1}');
+  });
+
+  test("ignores versions older than the first migration", () => {
+    localStorage.setItem(settingsKey(1), JSON.stringify({ igvRate: 18 }));
+    expect(readStoredEntity("SETTINGS")).toEqual({ data: null, report: null });
+  });
+
+  test("reports unreadable data and backs it up", () => {
+    localStorage.setItem(storageKey(STORAGE_SCHEMAS.CLIENTS, 1), "{bad json");
+    const { data, report } = readStoredEntity("CLIENTS");
+    expect(data).toBe(null);
+    expect(report).toMatchObject({ entity: "CLIENTS", ok: false });
+    expect(backupKeys()).toEqual([
+      `${STORAGE_BACKUP_PREFIX}_alma_quote_clients`,
+    ]);
+  });
+
+  test("drops only the currencies with a non-positive rate", () => {
+    const raw = JSON.stringify({
+      igvRate: 0.18,
+      currencies: [
+        { code: "EUR", rateToPen: 0 },
+        { code: "GBP", rateToPen: 4.7 },
+      ],
+    });
+    localStorage.setItem(settingsKey(4), raw);
+    const { data, report } = readStoredEntity("SETTINGS");
+    expect(data).toEqual({
+      igvRate: 0.18,
+      currencies: [{ code: "GBP", rateToPen: 4.7 }],
+    });
+    expect(report).toMatchObject({ entity: "SETTINGS", ok: true });
+    expect(report.warning.key).toBe("errors.invalidRateDropped");
+    expect(report.warning.vars).toEqual({ codes: "EUR" });
+    expect(JSON.parse(localStorage.getItem(settingsKey(4)))).toEqual(data);
+    expect(localStorage.getItem(backupKeys()[0])).toBe(raw);
+  });
+
+  test("repairs migrated settings too", () => {
+    localStorage.setItem(
+      settingsKey(3),
+      JSON.stringify({ currencies: [{ code: "EUR", rateToPen: -1 }] })
+    );
+    const { data, report } = readStoredEntity("SETTINGS");
+    expect(data.currencies).toEqual([]);
+    expect(report).toMatchObject({ from: 3, to: 4, ok: true });
+    expect(report.warning.key).toBe("errors.invalidRateDropped");
+  });
+});
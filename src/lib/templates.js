@@ -0,0 +1,124 @@
+import { safeId } from "./util";
+import { PRICING_TYPES, serviceSuggestion } from "./services";
+import { cleanSavedQuote } from "./quotes";
+
+/** ========= Bundles & templates ========= */
+// Paquete: servicios con cantidad y detalle predefinidos; la tarifa sale del catálogo
+export function cleanBundleItem(it) {
+  if (!it || typeof it !== "object" || !it.serviceType) return null;
+  return {
+    id: it.id || safeId(),
+    serviceType: String(it.serviceType),
+    detail: String(it.detail || ""),
+    pricingType: PRICING_TYPES[it.pricingType] ? it.pricingType : "hourly",
+    hours: Math.max(0, Number(it.hours) || 0),
+  };
+}
+
+export function cleanBundle(b) {
+  if (!b || typeof b !== "object" || !String(b.name || "").trim()) return null;
+  return {
+    id: b.id || safeId(),
+    name: String(b.name).trim(),
+    items: Array.isArray(b.items)
+      ? b.items.map(cleanBundleItem).filter(Boolean)
+      : [],
+  };
+}
+
+// Filas de un paquete con la tarifa `rateOf(svc)` del catálogo; `missing` lista
+// los servicios del paquete que ya no están en el catálogo
+export function bundleRows(bundle, services, { newRow, rateOf, lang }) {
+  const missing = [];
+  const rows = bundle.items.flatMap((it) => {
+    const svc = services.find((s) => s.code === it.serviceType);
+    if (!svc) {
+      missing.push(it.serviceType);
+      return [];
+    }
+    return [
+      {
+        ...newRow(),
+        serviceType: svc.code,
+        detail: it.detail.trim() ? it.detail : serviceSuggestion(svc, lang),
+        pricingType: it.pricingType,
+        hours: it.hours,
+        hourlyCost: rateOf(svc),
+      },
+    ];
+  });
+  return { rows, missing };
+}
+
+// Plantilla: cotización sin cliente, número ni fecha
+const TEMPLATE_QUOTE_KEYS = [
+  "language",
+  "validityDays",
+  "discountType",
+  "discountValue",
+  "pricesIncludeIgv",
+  "paymentConditions",
+  "terms",
+  "milestones",
+  "sections",
+];
+
+export function cleanTemplate(t) {
+  if (!t || typeof t !== "object" || !String(t.name || "").trim()) return null;
+  const base = cleanSavedQuote({ ...t, quote: t.quote || {} });
+  if (!base) return null;
+  return {
+    id: t.id || safeId(),
+    name: String(t.name).trim(),
+    quote: Object.fromEntries(
+      TEMPLATE_QUOTE_KEYS.map((key) => [key, base.quote[key]])
+    ),
+    currency: base.currency,
+    rows: base.rows,
+    createdAt: base.createdAt,
+  };
+}
+
+// Datos de la cotización y filas de una plantilla con ids nuevos; las tarifas
+// no editadas a mano salen del catálogo actual (`rateOf(svc, currency)`)
+export function quoteFromTemplate(template, services, { rateOf }) {
+  const sectionIds = Object.fromEntries(
+    template.quote.sections.map((sec) => [sec.id, safeId()])
+  );
+  const rows = template.rows.map((r) => {
+    const svc = services.find((s) => s.code === r.serviceType);
+    return {
+      ...r,
+      id: safeId(),
+      sectionId: sectionIds[r.sectionId] || "",
+      hourlyCost:
+        svc && !r.rateOverridden
+          ? rateOf(svc, template.currency)
+          : r.hourlyCost,
+    };
+  });
+  return {
+    quote: {
+      ...template.quote,
+      sections: template.quote.sections.map((sec) => ({
+        ...sec,
+        id: sectionIds[sec.id],
+      })),
+      milestones: template.quote.milestones.map((m) => ({
+        ...m,
+        id: safeId(),
+      })),
+    },
+    rows,
+  };
+}
+
+// Por id: reemplaza los existentes y agrega los nuevos
+export function mergeById(current, incoming) {
+  const byId = new Map(incoming.map((item) => [item.id, item]));
+  const ids = new Set(current.map((item) => item.id));
+  return [
+    ...current.map((item) => byId.get(item.id) || item),
+    ...incoming.filter((item) => !ids.has(item.id)),
+  ];
+}
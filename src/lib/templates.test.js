@@ -0,0 +1,105 @@
+import { bundleRows, quoteFromTemplate } from "./templates";
+
+const services = [
+  { code: "web", suggestion: "Sitio web", suggestionEn: "Website" },
+  { code: "seo", suggestion: "Posicionamiento" },
+];
+const rateOf = (svc, currency = "PEN") => `${svc.code}:${currency}`;
+
+describe("bundleRows", () => {
+  const bundle = {
+    items: [
+      { serviceType: "web", detail: "", pricingType: "fixed", hours: 1 },
+      { serviceType: "borrado", detail: "", pricingType: "hourly", hours: 2 },
+      {
+        serviceType: "seo",
+        detail: "Mensual",
+        pricingType: "monthly",
+        hours: 3,
+      },
+    ],
+  };
+
+  test("takes quantities from the bundle and rates from the catalog", () => {
+    const { rows, missing } = bundleRows(bundle, services, {
+      newRow: () => ({ id: "nueva", sectionId: "s1", discountValue: 0 }),
+      rateOf,
+      lang: "en",
+    });
+    expect(rows).toEqual([
+      {
+        id: "nueva",
+        sectionId: "s1",
+        discountValue: 0,
+        serviceType: "web",
+        detail: "Website",
+        pricingType: "fixed",
+        hours: 1,
+        hourlyCost: "web:PEN",
+      },
+      {
+        id: "nueva",
+        sectionId: "s1",
+        discountValue: 0,
+        serviceType: "seo",
+        detail: "Mensual",
+        pricingType: "monthly",
+        hours: 3,
+        hourlyCost: "seo:PEN",
+      },
+    ]);
+    expect(missing).toEqual(["borrado"]);
+  });
+});
+
+describe("quoteFromTemplate", () => {
+  const template = {
+    currency: "USD",
+    quote: {
+      validityDays: 15,
+      sections: [{ id: "s1", name: "Fase 1" }],
+      milestones: [{ id: "m1", name: "Adelanto", type: "percent", value: 50 }],
+    },
+    rows: [
+      { id: "r1", sectionId: "s1", serviceType: "web", hourlyCost: 1 },
+      { id: "r2", sectionId: "", serviceType: "seo", hourlyCost: 2 },
+      {
+        id: "r3",
+        sectionId: "s1",
+        serviceType: "seo",
+        hourlyCost: 3,
+        rateOverridden: true,
+      },
+      { id: "r4", sectionId: "borrada", serviceType: "borrado", hourlyCost: 4 },
+    ],
+  };
+
+  test("gives rows, sections and milestones new ids", () => {
+    const { quote, rows } = quoteFromTemplate(template, services, { rateOf });
+    const [section] = quote.sections;
+    expect(section.name).toBe("Fase 1");
+    expect(section.id).not.toBe("s1");
+    expect(quote.milestones[0]).toMatchObject({ name: "Adelanto", value: 50 });
+    expect(quote.milestones[0].id).not.toBe("m1");
+    expect(quote.validityDays).toBe(15);
+    expect(rows.map((r) => r.sectionId)).toEqual([
+      section.id,
+      "",
+      section.id,
+      "",
+    ]);
+    expect(new Set(rows.map((r) => r.id)).size).toBe(4);
+    expect(rows.filter((r, i) => r.id === template.rows[i].id)).toEqual([]);
+  });
+
+  test("updates the rates from the catalog unless set by hand", () => {
+    const { rows } = quoteFromTemplate(template, services, { rateOf });
+    expect(rows.map((r) => r.hourlyCost)).toEqual(["web:USD", "seo:USD", 3, 4]);
+  });
+
+  test("does not modify the template", () => {
+    quoteFromTemplate(template, services, { rateOf });
+    expect(template.quote.sections[0].id).toBe("s1");
+    expect(template.rows[0].id).toBe("r1");
+  });
+});
@@ -0,0 +1,412 @@
+import { allocateCents, discountCents, fromCents, roundHalfUp } from "./money";
+import {
+  BASE_CURRENCY,
+  DATED_RATE_CURRENCY,
+  convertCurrency,
+} from "./currency";
+import { PRICING_TYPES, TAX_CATEGORIES, rowQuantity } from "./services";
+
+/** ========= Quote totals ========= */
+// Importes por ítem, bases por afectación, IGV, recurrentes, detracción y las
+// líneas del resumen de una cotización; la pantalla y los PDF usan el mismo resultado
+export function computeQuoteTotals(
+  rows,
+  {
+    services,
+    currency,
+    ratesToPen,
+    discountType,
+    discountValue,
+    pricesIncludeIgv,
+    referenceCurrency,
+    igvRate: igvRateSetting,
+    roundingMode,
+    detractionEnabled,
+    detractionRate: detractionRateSetting,
+    detractionThreshold,
+  }
+) {
+  // Todo se calcula en céntimos; "line" redondea cada importe, "total" solo los acumulados
+  const perLine = roundingMode !== "total";
+  const roundLine = (cents) => (perLine ? roundHalfUp(cents) : cents);
+  const sumOf = (list, key) => list.reduce((acc, it) => acc + it[key], 0);
+
+  const igvRate = Number(igvRateSetting) || 0;
+  const includesIgv = !!pricesIncludeIgv;
+
+  const itemsCents = rows.map((r) => {
+    const hours = Number(r.hours) || 0;
+    const quantity = rowQuantity(r);
+    const hourlyCost = Number(r.hourlyCost) || 0;
+    const svcCategory = services.find(
+      (s) => s.code === r.serviceType
+    )?.taxCategory;
+    const taxCategory = TAX_CATEGORIES[svcCategory] ? svcCategory : "gravado";
+    const grossC = roundLine(quantity * hourlyCost * 100);
+    const discountC = roundLine(
+      discountCents(grossC, r.discountType, r.discountValue)
+    );
+    const recurring = !!PRICING_TYPES[r.pricingType]?.recurring;
+    return {
+      ...r,
+      hours,
+      quantity,
+      hourlyCost,
+      taxCategory,
+      recurring,
+      grossC,
+      discountC,
+    };
+  });
+
+  const grossC = sumOf(itemsCents, "grossC");
+  const lineDiscountC = sumOf(itemsCents, "discountC");
+  const itemsNetC = grossC - lineDiscountC;
+  const globalDiscountC = roundLine(
+    discountCents(itemsNetC, discountType, discountValue)
+  );
+
+  // Descuento global prorrateado entre los ítems para separar las bases por afectación
+  const netsC = itemsCents.map((it) => it.grossC - it.discountC);
+  const sharesC = perLine
+    ? allocateCents(globalDiscountC, netsC)
+    : netsC.map((n) => (itemsNetC > 0 ? (globalDiscountC * n) / itemsNetC : 0));
+
+  // Bases por afectación e IGV de un grupo de ítems
+  // (con precios que incluyen IGV, el IGV se extrae)
+  const taxesFor = (indexes) => {
+    const basesC = { gravado: 0, exonerado: 0, inafecto: 0 };
+    let igvC = 0;
+    if (perLine) {
+      indexes.forEach((i) => {
+        const it = itemsCents[i];
+        const amountC = netsC[i] - sharesC[i];
+        if (it.taxCategory !== "gravado") {
+          basesC[it.taxCategory] += amountC;
+          return;
+        }
+        const baseC = includesIgv
+          ? roundHalfUp(amountC / (1 + igvRate))
+          : amountC;
+        basesC.gravado += baseC;
+        igvC += includesIgv ? amountC - baseC : roundHalfUp(baseC * igvRate);
+      });
+    } else {
+      const amountsC = { gravado: 0, exonerado: 0, inafecto: 0 };
+      indexes.forEach((i) => {
+        amountsC[itemsCents[i].taxCategory] += netsC[i] - sharesC[i];
+      });
+      basesC.exonerado = roundHalfUp(amountsC.exonerado);
+      basesC.inafecto = roundHalfUp(amountsC.inafecto);
+      if (includesIgv) {
+        const gravadoC = roundHalfUp(amountsC.gravado);
+        basesC.gravado = roundHalfUp(gravadoC / (1 + igvRate));
+        igvC = gravadoC - basesC.gravado;
+      } else {
+        basesC.gravado = roundHalfUp(amountsC.gravado);
+        igvC = roundHalfUp(basesC.gravado * igvRate);
+      }
+    }
+    const subtotalC = basesC.gravado + basesC.exonerado + basesC.inafecto;
+    return { basesC, igvC, subtotalC, totalC: subtotalC + igvC };
+  };
+
+  const allIndexes = itemsCents.map((_, i) => i);
+  const { basesC, igvC, subtotalC, totalC } = taxesFor(allIndexes);
+
+  // Pago único vs. recurrente; el recurrente se obtiene por diferencia para cuadrar con el total
+  const recurringIndexes = allIndexes.filter((i) => itemsCents[i].recurring);
+  let recurringC = null;
+  if (recurringIndexes.length > 0) {
+    const oneTimeC = taxesFor(
+      allIndexes.filter((i) => !itemsCents[i].recurring)
+    ).totalC;
+    const termC = totalC - oneTimeC;
+    const netOf = (i) => netsC[i] - sharesC[i];
+    const termNetC = recurringIndexes.reduce((acc, i) => acc + netOf(i), 0);
+    // Cuota mensual: cada ítem entre sus meses, con la misma proporción de IGV
+    const monthlyNetC = recurringIndexes.reduce(
+      (acc, i) => acc + netOf(i) / Math.max(1, itemsCents[i].quantity),
+      0
+    );
+    recurringC = {
+      oneTime: oneTimeC,
+      term: termC,
+      monthly: termNetC > 0 ? roundHalfUp((monthlyNetC * termC) / termNetC) : 0,
+    };
+  }
+
+  // Detracción (SPOT) sobre el total, si supera el umbral en soles
+  const totalPen = fromCents(
+    convertCurrency(totalC, currency, BASE_CURRENCY, ratesToPen)
+  );
+  const detractionRate = Number(detractionRateSetting) || 0;
+  const detractionApplies =
+    !!detractionEnabled &&
+    detractionRate > 0 &&
+    totalPen > (Number(detractionThreshold) || 0);
+  const detractionC = detractionApplies
+    ? roundHalfUp(totalC * detractionRate)
+    : 0;
+
+  const gross = fromCents(roundHalfUp(grossC));
+  const lineDiscount = fromCents(roundHalfUp(lineDiscountC));
+  const itemsNet = fromCents(roundHalfUp(itemsNetC));
+  const globalDiscount = fromCents(roundHalfUp(globalDiscountC));
+
+  // Con precios que incluyen IGV, bruto y descuentos del resumen van sin IGV
+  // para cuadrar con el subtotal; el bruto se obtiene por diferencia
+  const toBase = (it, cents) =>
+    includesIgv && it.taxCategory === "gravado" ? cents / (1 + igvRate) : cents;
+  const summaryLineDiscountC = roundHalfUp(
+    itemsCents.reduce((acc, it) => acc + toBase(it, it.discountC), 0)
+  );
+  const summaryGlobalDiscountC = roundHalfUp(
+    itemsCents.reduce((acc, it, i) => acc + toBase(it, sharesC[i]), 0)
+  );
+  const summaryGrossC =
+    subtotalC + summaryLineDiscountC + summaryGlobalDiscountC;
+
+  // Ingreso neto de cada ítem: con su parte del descuento global y sin IGV
+  const basesRawC = itemsCents.map((it, i) =>
+    toBase(it, netsC[i] - sharesC[i])
+  );
+  // En modo "total" los importes por ítem se reparten desde los totales
+  // redondeados para que las filas sumen lo mismo que el resumen
+  const lineGrossC = perLine
+    ? itemsCents.map((it) => it.grossC)
+    : allocateCents(
+        includesIgv ? roundHalfUp(grossC) : summaryGrossC,
+        itemsCents.map((it) => it.grossC)
+      );
+  const lineDiscountsC = perLine
+    ? itemsCents.map((it) => it.discountC)
+    : allocateCents(
+        includesIgv ? roundHalfUp(lineDiscountC) : summaryLineDiscountC,
+        itemsCents.map((it) => it.discountC)
+      );
+  const lineBasesC = perLine
+    ? basesRawC.map(roundHalfUp)
+    : allocateCents(subtotalC, basesRawC);
+  // Importe tras el descuento global, con IGV si los precios lo incluyen
+  // (los comprobantes detallan este importe)
+  const lineNetsC = perLine
+    ? netsC.map((n, i) => n - sharesC[i])
+    : allocateCents(
+        includesIgv ? totalC : subtotalC,
+        netsC.map((n, i) => n - sharesC[i])
+      );
+
+  const items = itemsCents.map((it, i) => ({
+    ...it,
+    gross: fromCents(lineGrossC[i]),
+    discount: fromCents(lineDiscountsC[i]),
+    subtotal: fromCents(lineGrossC[i] - lineDiscountsC[i]),
+    base: fromCents(lineBasesC[i]),
+    baseC: lineBasesC[i],
+    net: fromCents(lineNetsC[i]),
+  }));
+
+  const subtotal = fromCents(subtotalC);
+  const igv = fromCents(igvC);
+  const total = fromCents(totalC);
+  const detraction = fromCents(detractionC);
+
+  // Líneas del bloque de totales (pantalla y PDF usan las mismas)
+  const hasDiscounts = lineDiscount > 0 || globalDiscount > 0;
+  const mixedCategories = basesC.exonerado > 0 || basesC.inafecto > 0;
+  // Etiquetas como claves del catálogo: en pantalla se traducen al idioma de la
+  // interfaz y en el PDF al del documento (ver labeledLines)
+  const lines = [
+    hasDiscounts && {
+      key: includesIgv ? "summary.grossBase" : "summary.gross",
+      amount: fromCents(summaryGrossC),
+    },
+    lineDiscount > 0 && {
+      key: "summary.lineDiscount",
+      amount: -fromCents(summaryLineDiscountC),
+    },
+    globalDiscount > 0 && {
+      key:
+        discountType === "percent"
+          ? "summary.globalDiscountPercent"
+          : "summary.globalDiscount",
+      vars: { value: Number(discountValue) || 0 },
+      amount: -fromCents(summaryGlobalDiscountC),
+    },
+    ...(mixedCategories
+      ? Object.keys(TAX_CATEGORIES)
+          .filter((cat) => basesC[cat] > 0)
+          .map((cat) => ({
+            key: `tax.op.${cat}`,
+            amount: fromCents(basesC[cat]),
+          }))
+      : []),
+    { key: "summary.subtotal", amount: subtotal },
+    {
+      key: includesIgv ? "summary.igvIncluded" : "summary.igv",
+      vars: { rate: Math.round(igvRate * 100) },
+      amount: igv,
+    },
+    { key: "summary.total", amount: total, big: true },
+    ...(recurringC
+      ? [
+          { key: "summary.oneTime", amount: fromCents(recurringC.oneTime) },
+          {
+            key: "summary.recurringMonthly",
+            amount: fromCents(recurringC.monthly),
+          },
+          {
+            key: "summary.recurringTerm",
+            amount: fromCents(recurringC.term),
+          },
+        ]
+      : []),
+    detractionApplies && {
+      key: "summary.detraction",
+      vars: { rate: Math.round(detractionRate * 100) },
+      amount: detraction,
+    },
+  ].filter(Boolean);
+
+  // Conversión informativa (también en céntimos: subtotal + IGV = total)
+  const otherCurrency =
+    referenceCurrency && referenceCurrency !== currency
+      ? referenceCurrency
+      : currency === BASE_CURRENCY
+        ? DATED_RATE_CURRENCY
+        : BASE_CURRENCY;
+  const convertC = (cents) =>
+    roundHalfUp(convertCurrency(cents, currency, otherCurrency, ratesToPen));
+  const subtotalOtherC = convertC(subtotalC);
+  const igvOtherC = convertC(igvC);
+
+  return {
+    items,
+    gross,
+    lineDiscount,
+    itemsNet,
+    globalDiscount,
+    subtotal,
+    igv,
+    total,
+    bases: {
+      gravado: fromCents(basesC.gravado),
+      exonerado: fromCents(basesC.exonerado),
+      inafecto: fromCents(basesC.inafecto),
+    },
+    detraction,
+    detractionApplies,
+    recurring: recurringC && {
+      oneTime: fromCents(recurringC.oneTime),
+      monthly: fromCents(recurringC.monthly),
+      term: fromCents(recurringC.term),
+    },
+    cents: { subtotal: subtotalC, igv: igvC, total: totalC },
+    lines,
+    otherCurrency,
+    subtotalOther: fromCents(subtotalOtherC),
+    igvOther: fromCents(igvOtherC),
+    totalOther: fromCents(subtotalOtherC + igvOtherC),
+  };
+}
+
+/** ========= Payment schedule ========= */
+// Montos de los hitos de pago; `valid` exige que sumen exactamente el total
+export function computePaymentSchedule(
+  milestones,
+  totalC,
+  { currency, otherCurrency, ratesToPen }
+) {
+  const percentOf = (m) => (m.type === "percent" ? Number(m.value) || 0 : 0);
+
+  // Los hitos en % se reparten su parte del total al céntimo (sin descuadres por redondeo)
+  const percents = milestones.map(percentOf);
+  const percentTotal = percents.reduce((acc, p) => acc + p, 0);
+  const percentSharesC = allocateCents(
+    roundHalfUp((totalC * percentTotal) / 100),
+    percents
+  );
+  const items = milestones.map((m, i) => ({
+    ...m,
+    amountC:
+      m.type === "percent"
+        ? percentSharesC[i]
+        : roundHalfUp((Number(m.value) || 0) * 100),
+  }));
+
+  const diffC = totalC - items.reduce((acc, m) => acc + m.amountC, 0);
+
+  return {
+    items: items.map((m) => ({
+      ...m,
+      amount: fromCents(m.amountC),
+      amountOther: fromCents(
+        roundHalfUp(
+          convertCurrency(m.amountC, currency, otherCurrency, ratesToPen)
+        )
+      ),
+    })),
+    diff: fromCents(diffC), // > 0 falta asignar, < 0 excede el total
+    valid: items.length === 0 || diffC === 0,
+  };
+}
+
+/** ========= Profitability (uso interno) ========= */
+// Costo por unidad de precio (hora, unidad, mes o precio fijo) en la moneda de la cotización.
+// El costo de un rol es por hora: solo aplica a filas por hora.
+function rowCostRate(r, { services, teamRoles, currency, ratesToPen }) {
+  const role =
+    r.pricingType === "hourly"
+      ? teamRoles.find((x) => x.id === r.roleId)
+      : null;
+  const svc = services.find((s) => s.code === r.serviceType);
+  const rate = role ? role.costRate : svc?.internalCost;
+  if (!(rate > 0)) return null;
+  return convertCurrency(
+    rate,
+    (role || svc).currency || BASE_CURRENCY,
+    currency,
+    ratesToPen
+  );
+}
+
+// Costo y margen por ítem de computeQuoteTotals (`rows`, por id; null sin costo)
+// y de la cotización; `low` marca los márgenes bajo el mínimo configurado
+export function computeProfitability(computed, options) {
+  const minMargin = (Number(options.minMarginPercent) || 0) / 100;
+  const rows = Object.fromEntries(
+    computed.items.map((it) => {
+      const rate = rowCostRate(it, options);
+      if (rate === null) return [it.id, null];
+      // En céntimos, como los totales
+      const costC = roundHalfUp(rate * it.quantity * 100);
+      const marginC = it.baseC - costC;
+      const marginPct = it.baseC > 0 ? marginC / it.baseC : null;
+      return [
+        it.id,
+        {
+          costC,
+          cost: fromCents(costC),
+          margin: fromCents(marginC),
+          marginPct,
+          low: marginPct === null || marginPct < minMargin,
+        },
+      ];
+    })
+  );
+  const profitRows = Object.values(rows).filter(Boolean);
+  const totalCostC = profitRows.reduce((acc, p) => acc + p.costC, 0);
+  const quoteMarginC = computed.cents.subtotal - totalCostC;
+  return {
+    rows,
+    cost: fromCents(totalCostC),
+    margin: fromCents(quoteMarginC),
+    marginPct:
+      computed.cents.subtotal > 0
+        ? quoteMarginC / computed.cents.subtotal
+        : null,
+    missing: computed.items.length - profitRows.length,
+    lowCount: profitRows.filter((p) => p.low).length,
+  };
+}
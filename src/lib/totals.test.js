@@ -0,0 +1,264 @@
+import {
+  computePaymentSchedule,
+  computeProfitability,
+  computeQuoteTotals,
+} from "./totals";
+
+const services = [
+  { code: "web", taxCategory: "gravado" },
+  { code: "curso", taxCategory: "exonerado" },
+];
+const row = (patch) => ({
+  serviceType: "web",
+  pricingType: "hourly",
+  hours: 1,
+  hourlyCost: 0,
+  discountType: "percent",
+  discountValue: 0,
+  ...patch,
+});
+const totals = (rows, patch) =>
+  computeQuoteTotals(rows, {
+    services,
+    currency: "PEN",
+    ratesToPen: { PEN: 1, USD: 3.75 },
+    discountType: "percent",
+    discountValue: 0,
+    pricesIncludeIgv: false,
+    referenceCurrency: "",
+    igvRate: 0.18,
+    roundingMode: "line",
+    detractionEnabled: false,
+    detractionRate: 0.12,
+    detractionThreshold: 700,
+    ...patch,
+  });
+const amountOf = (result, key) =>
+  result.lines.find((line) => line.key === key)?.amount;
+const sumOf = (items, key) =>
+  Math.round(items.reduce((acc, it) => acc + it[key] * 100, 0));
+
+test("adds IGV to the subtotal and converts to the other currency", () => {
+  const result = totals([row({ hours: 10, hourlyCost: 60 })]);
+  expect(result).toMatchObject({ subtotal: 600, igv: 108, total: 708 });
+  expect(result.lines.map((line) => line.key)).toEqual([
+    "summary.subtotal",
+    "summary.igv",
+    "summary.total",
+  ]);
+  expect(result.otherCurrency).toBe("USD");
+  expect(result.totalOther).toBe(188.8);
+});
+
+describe("rounding modes", () => {
+  const rows = [0, 1, 2].map(() => row({ hourlyCost: 0.125 }));
+
+  test('"line" rounds every amount before adding', () => {
+    const result = totals(rows);
+    expect(result).toMatchObject({ subtotal: 0.39, igv: 0.06, total: 0.45 });
+  });
+
+  test('"total" rounds the sums and splits them back over the rows', () => {
+    const result = totals(rows, { roundingMode: "total" });
+    expect(result).toMatchObject({ subtotal: 0.38, igv: 0.07, total: 0.45 });
+    expect(result.items.map((it) => it.base)).toEqual([0.13, 0.13, 0.12]);
+    expect(sumOf(result.items, "base")).toBe(result.cents.subtotal);
+  });
+});
+
+describe("global discount", () => {
+  test("is split over the rows before separating the tax categories", () => {
+    const result = totals(
+      [
+        row({ hourlyCost: 100 }),
+        row({ serviceType: "curso", hourlyCost: 100 }),
+      ],
+      { discountType: "percent", discountValue: 10 }
+    );
+    expect(result).toMatchObject({
+      bases: { gravado: 90, exonerado: 90, inafecto: 0 },
+      subtotal: 180,
+      igv: 16.2,
+      total: 196.2,
+    });
+    expect(result.items.map((it) => it.net)).toEqual([90, 90]);
+    expect(amountOf(result, "summary.gross")).toBe(200);
+    expect(amountOf(result, "summary.globalDiscountPercent")).toBe(-20);
+  });
+
+  test("keeps every cent when the split is uneven", () => {
+    const rows = [0, 1, 2].map(() => row({ hourlyCost: 1 }));
+    const result = totals(rows, { discountType: "amount", discountValue: 1 });
+    expect(result.items.map((it) => it.base)).toEqual([0.66, 0.67, 0.67]);
+    expect(sumOf(result.items, "base")).toBe(result.cents.subtotal);
+    expect(result.subtotal).toBe(2);
+  });
+});
+
+describe("prices including IGV", () => {
+  test("extracts the IGV from the price", () => {
+    const result = totals([row({ hourlyCost: 118 })], {
+      pricesIncludeIgv: true,
+    });
+    expect(result).toMatchObject({ subtotal: 100, igv: 18, total: 118 });
+    expect(amountOf(result, "summary.igvIncluded")).toBe(18);
+  });
+
+  test("shows the gross amount and discounts without IGV", () => {
+    const result = totals(
+      [row({ hourlyCost: 118, discountType: "percent", discountValue: 10 })],
+      { pricesIncludeIgv: true }
+    );
+    expect(result).toMatchObject({ subtotal: 90, igv: 16.2, total: 106.2 });
+    expect(amountOf(result, "summary.grossBase")).toBe(100);
+    expect(amountOf(result, "summary.lineDiscount")).toBe(-10);
+  });
+});
+
+describe("detracción", () => {
+  test("applies over the threshold in soles", () => {
+    const result = totals([row({ hours: 10, hourlyCost: 60 })], {
+      detractionEnabled: true,
+    });
+    expect(result.detractionApplies).toBe(true);
+    expect(result.detraction).toBe(84.96);
+    expect(amountOf(result, "summary.detraction")).toBe(84.96);
+  });
+
+  test("does not apply up to the threshold", () => {
+    const result = totals([row({ hours: 10, hourlyCost: 60 })], {
+      detractionEnabled: true,
+      detractionThreshold: 708,
+    });
+    expect(result.detractionApplies).toBe(false);
+    expect(result.detraction).toBe(0);
+  });
+
+  test("compares the total converted to soles", () => {
+    const result = totals([row({ hourlyCost: 200 })], {
+      currency: "USD",
+      detractionEnabled: true,
+    });
+    // USD 236 = S/ 885
+    expect(result.detractionApplies).toBe(true);
+    expect(result.detraction).toBe(28.32);
+  });
+});
+
+describe("computePaymentSchedule", () => {
+  const schedule = (milestones, totalC) =>
+    computePaymentSchedule(milestones, totalC, {
+      currency: "PEN",
+      otherCurrency: "USD",
+      ratesToPen: { PEN: 1, USD: 3.75 },
+    });
+  const percent = (value) => ({ type: "percent", value });
+
+  test("is valid when the milestones add up to the total", () => {
+    const result = schedule([percent(50), percent(30), percent(20)], 75000);
+    expect(result.items.map((m) => m.amount)).toEqual([375, 225, 150]);
+    expect(result.items[0].amountOther).toBe(100);
+    expect(result).toMatchObject({ diff: 0, valid: true });
+  });
+
+  test("splits the percentages to the cent without leftovers", () => {
+    const result = schedule([percent(1), percent(1), percent(1)], 100);
+    expect(result.items.map((m) => m.amountC)).toEqual([1, 1, 1]);
+    const thirds = schedule([percent(50), percent(50)], 101);
+    expect(thirds.items.map((m) => m.amountC)).toEqual([51, 50]);
+    expect(thirds.valid).toBe(true);
+  });
+
+  test("mixes fixed amounts and percentages", () => {
+    const result = schedule(
+      [{ type: "amount", value: 200 }, percent(60)],
+      50000
+    );
+    expect(result.items.map((m) => m.amount)).toEqual([200, 300]);
+    expect(result.valid).toBe(true);
+  });
+
+  test("reports what is missing or exceeds the total", () => {
+    expect(schedule([percent(50), percent(30)], 1000)).toMatchObject({
+      diff: 2,
+      valid: false,
+    });
+    expect(
+      schedule([percent(100), { type: "amount", value: 1 }], 1000)
+    ).toMatchObject({ diff: -1, valid: false });
+  });
+
+  test("an empty schedule is valid", () => {
+    expect(schedule([], 1000)).toEqual({ items: [], diff: 10, valid: true });
+  });
+});
+
+describe("computeProfitability", () => {
+  const roles = [{ id: "dev", costRate: 40, currency: "PEN" }];
+  const costed = [
+    { code: "web", taxCategory: "gravado", internalCost: 30, currency: "PEN" },
+    { code: "curso", taxCategory: "exonerado" },
+  ];
+  const profit = (rows, patch) =>
+    computeProfitability(totals(rows, { services: costed }), {
+      services: costed,
+      teamRoles: roles,
+      currency: "PEN",
+      ratesToPen: { PEN: 1, USD: 3.75 },
+      minMarginPercent: 30,
+      ...patch,
+    });
+
+  test("uses the service cost and flags margins under the minimum", () => {
+    const result = profit([
+      row({ id: "a", hours: 10, hourlyCost: 50 }),
+      row({ id: "b", hours: 10, hourlyCost: 40 }),
+    ]);
+    expect(result.rows.a).toMatchObject({
+      cost: 300,
+      margin: 200,
+      marginPct: 0.4,
+      low: false,
+    });
+    expect(result.rows.b).toMatchObject({ margin: 100, low: true });
+    expect(result).toMatchObject({
+      cost: 600,
+      margin: 300,
+      marginPct: 1 / 3,
+      missing: 0,
+      lowCount: 1,
+    });
+  });
+
+  test("the role cost replaces the service cost on hourly rows", () => {
+    const result = profit([
+      row({ id: "a", hours: 10, hourlyCost: 50, roleId: "dev" }),
+      row({ id: "b", pricingType: "fixed", hourlyCost: 50, roleId: "dev" }),
+    ]);
+    expect(result.rows.a).toMatchObject({ cost: 400, low: true });
+    expect(result.rows.b).toMatchObject({ cost: 30, low: false });
+  });
+
+  test("converts the cost to the quote currency", () => {
+    const result = profit([row({ id: "a", hours: 1, hourlyCost: 10 })], {
+      currency: "USD",
+    });
+    expect(result.rows.a.cost).toBe(8);
+  });
+
+  test("rows without cost are counted as missing", () => {
+    const result = profit([
+      row({ id: "a", serviceType: "curso", hourlyCost: 100 }),
+    ]);
+    expect(result.rows.a).toBe(null);
+    expect(result).toMatchObject({ cost: 0, missing: 1, lowCount: 0 });
+  });
+
+  test("a row without base is always below the minimum", () => {
+    const result = profit([row({ id: "a", hourlyCost: 0 })], {
+      minMarginPercent: 0,
+    });
+    expect(result.rows.a).toMatchObject({ marginPct: null, low: true });
+    expect(result.marginPct).toBe(null);
+  });
+});
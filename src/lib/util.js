@@ -0,0 +1,31 @@
+/** ========= Utilidades ========= */
+// Fecha local (no UTC): en Perú (UTC−5) la noche ya es "mañana" en UTC
+export const todayISO = () => {
+  const d = new Date();
+  return [
+    d.getFullYear(),
+    String(d.getMonth() + 1).padStart(2, "0"),
+    String(d.getDate()).padStart(2, "0"),
+  ].join("-");
+};
+
+export function addDaysISO(dateISO, days) {
+  const d = new Date(`${dateISO}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return "";
+  d.setUTCDate(d.getUTCDate() + (Number(days) || 0));
+  return d.toISOString().slice(0, 10);
+}
+
+export const safeId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : String(Date.now() + Math.random());
+
+export function sanitizeFilename(s) {
+  return (s || "documento")
+    .toString()
+    .trim()
+    .replace(/[\\/:*?"<>|]/g, "")
+    .replace(/\s+/g, "_")
+    .slice(0, 80);
+}
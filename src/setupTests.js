@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsPDF usa TextEncoder/TextDecoder, que jsdom no trae
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;